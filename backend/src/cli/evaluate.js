@@ -0,0 +1,141 @@
+/**
+ * Score plans against labeled reference edits and compare planner
+ * configurations, without a server, videos or API calls.
+ *
+ * Usage:
+ *   node src/cli/evaluate.js [options]
+ *
+ * Options:
+ *   --cases <dir>          Folder of evaluation cases (see evaluationService.js),
+ *                          ../examples/eval/cases by default
+ *   --configs <file>       Planner configurations to compare, an array of
+ *                          {name, strategy?, scoring?, preset?, options?, allow_looping?, variants?};
+ *                          the first is the baseline
+ *   --embeddings offline   offline: the offline provider's hashed vectors
+ *                          cached: only vectors cached by earlier runs (no API calls)
+ *                          live: the configured provider, filling the cache
+ *   --model <name>         Embedding model of the cached vectors (defaults
+ *                          to the configured provider's model)
+ *   --out <file>           Also write the full report as JSON
+ *   --verbose              Print the pipeline logs of every plan
+ *
+ * Exit codes: 0 when every case planned, 1 when any failed, 2 for invalid
+ * arguments, cases or configurations.
+ */
+
+import fs from "fs";
+import { resolve } from "path";
+import { parseArgs } from "util";
+import {
+  DEFAULT_EVAL_CONFIGS,
+  evalConfigError,
+  formatReport,
+  loadEvalCases,
+  runEvaluation,
+} from "../services/evaluationService.js";
+import { createProvider, getProvider } from "../services/providers/index.js";
+import { cachedEmbeddingsOnly } from "../services/providers/cachedProvider.js";
+import { getCache } from "../utils/cache.js";
+
+const EMBEDDING_SOURCES = ["offline", "cached", "live"];
+
+const { values } = parseArgs({
+  options: {
+    cases: { type: "string", default: "../examples/eval/cases" },
+    configs: { type: "string" },
+    embeddings: { type: "string", default: "offline" },
+    model: { type: "string" },
+    out: { type: "string" },
+    verbose: { type: "boolean", default: false },
+  },
+});
+
+// Thrown for bad arguments, cases and configurations (exit code 2)
+class UsageError extends Error {}
+
+const print = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Read the configurations to compare
+ * @param {string|undefined} filePath - --configs file
+ * @returns {Array} Configurations
+ */
+function readConfigs(filePath) {
+  if (!filePath) return DEFAULT_EVAL_CONFIGS;
+
+  let configs;
+  try {
+    configs = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    throw new UsageError(`Cannot read ${filePath}: ${err.message}`);
+  }
+  if (!Array.isArray(configs) || configs.length === 0) {
+    throw new UsageError(`${filePath} must hold a non-empty array of configurations.`);
+  }
+  for (const config of configs) {
+    const error = evalConfigError(config);
+    if (error) throw new UsageError(error);
+  }
+  if (new Set(configs.map((config) => config.name)).size !== configs.length) {
+    throw new UsageError("Configuration names must be unique.");
+  }
+  return configs;
+}
+
+/**
+ * Pick the embedding provider
+ * @param {string} source - One of EMBEDDING_SOURCES
+ * @returns {Object} Provider
+ */
+function embeddingProvider(source) {
+  switch (source) {
+    case "cached": {
+      // The model the configured provider would embed with, so its cached vectors match
+      const model =
+        values.model ||
+        createProvider(process.env.EMBEDDING_PROVIDER || process.env.AI_PROVIDER || "openai").embeddingModel;
+      return cachedEmbeddingsOnly(model, getCache());
+    }
+    case "offline":
+      return createProvider("offline");
+    case "live":
+      return getProvider();
+    default:
+      throw new UsageError(`--embeddings must be one of: ${EMBEDDING_SOURCES.join(", ")}.`);
+  }
+}
+
+async function main() {
+  const configs = readConfigs(values.configs);
+  const provider = embeddingProvider(values.embeddings);
+
+  let cases;
+  try {
+    cases = loadEvalCases(resolve(values.cases));
+  } catch (err) {
+    throw new UsageError(`Cannot load cases from ${values.cases}: ${err.message}`);
+  }
+  if (cases.length === 0) throw new UsageError(`No evaluation cases in ${values.cases}.`);
+
+  if (!values.verbose) console.log = () => {};
+
+  print(`Evaluating ${configs.length} configurations on ${cases.length} cases...`);
+  const report = await runEvaluation(cases, configs, provider);
+  print("");
+  print(formatReport(report));
+
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify(report, null, 2));
+    print("");
+    print(`Report written to ${values.out}`);
+  }
+
+  return report.configs.every((config) => config.cases.every((result) => !result.error)) ? 0 : 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(`Evaluation failed: ${err.message}`);
+    process.exit(err instanceof UsageError ? 2 : 1);
+  });
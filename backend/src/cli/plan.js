@@ -0,0 +1,355 @@
+/**
+ * Plan many videos from the command line without starting the server.
+ *
+ * Usage:
+ *   node src/cli/plan.js --manifest videos.json [options]
+ *   node src/cli/plan.js --dir ./arolls [--library brolls.json] [options]
+ *
+ * Options:
+ *   --out-dir plans        Directory for the plans (created if missing)
+ *   --format json          json, edl, fcpxml or otio
+ *   --concurrency 2        Videos planned at the same time
+ *   --preset default       Pacing preset (see plannerPresets.js)
+ *   --options '{...}'      Planner options as JSON, e.g. '{"max_insertions":4}'
+ *   --strategy greedy      greedy or optimal
+ *   --scoring hybrid       hybrid or semantic
+ *   --allow-looping        Let short clips loop
+ *   --transition cut       cut, crossfade or dip into and out of every insertion
+ *   --transition-duration 0.5  Seconds per transition (crossfade and dip)
+ *   --schema-version 2     Plan schema to write; 1 starts every clip at 0 with hard cuts
+ *   --fps 25               Frame rate of timeline exports
+ *   --verbose              Print the pipeline logs of every video
+ *
+ * A manifest is a video_url.json file ({a_roll, b_rolls}), an array of them,
+ * or {b_rolls, videos: [{id?, a_roll, b_rolls?}]} where videos share the
+ * top-level B-rolls unless they list their own. Local paths in a manifest are
+ * relative to it. With --dir, every video in the folder is planned against
+ * the B-rolls of --library ({b_rolls} or an array), or the stored B-roll
+ * library when it is omitted.
+ *
+ * Exit codes: 0 when every video was planned, 1 when any failed, 2 for
+ * invalid arguments or manifests.
+ */
+
+import fs from "fs";
+import { basename, dirname, extname, isAbsolute, join, resolve } from "path";
+import { parseArgs } from "util";
+import { downloadAroll, releaseAroll, generatePlanFromArollFile } from "../services/planService.js";
+import { getLibraryBrolls } from "../services/libraryService.js";
+import { PLANNER_STRATEGIES, SCORING_MODES } from "../services/matchingService.js";
+import { DEFAULT_PRESET, plannerOptionsError } from "../services/plannerPresets.js";
+import { PLAN_SCHEMA_VERSIONS, transitionError } from "../services/insertionSchema.js";
+import { EXPORT_FORMATS, exportPlan } from "../services/exporters/index.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { parseFps } from "../utils/timecode.js";
+
+const VIDEO_EXTENSIONS = new Set([".mp4", ".mov", ".m4v", ".mkv", ".webm", ".avi"]);
+
+const { values } = parseArgs({
+  options: {
+    manifest: { type: "string" },
+    dir: { type: "string" },
+    library: { type: "string" },
+    "out-dir": { type: "string", default: "plans" },
+    format: { type: "string", default: "json" },
+    concurrency: { type: "string", default: "2" },
+    preset: { type: "string", default: DEFAULT_PRESET },
+    options: { type: "string" },
+    strategy: { type: "string" },
+    scoring: { type: "string" },
+    "allow-looping": { type: "boolean", default: false },
+    transition: { type: "string" },
+    "transition-duration": { type: "string" },
+    "schema-version": { type: "string" },
+    fps: { type: "string" },
+    verbose: { type: "boolean", default: false },
+  },
+});
+
+// Thrown for bad arguments and manifests (exit code 2)
+class UsageError extends Error {}
+
+const print = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Read a JSON file, naming the file in parse errors
+ * @param {string} filePath - File to read
+ * @returns {*} Parsed JSON
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    throw new UsageError(`Cannot read ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Videos listed in a manifest, with URLs resolved and B-rolls attached
+ * @param {string} manifestPath - Manifest file
+ * @returns {Array} Videos {name, source, b_rolls}
+ */
+function manifestVideos(manifestPath) {
+  const manifest = readJson(manifestPath);
+  const entries = Array.isArray(manifest) ? manifest : manifest.videos || [manifest];
+  const sharedBrolls = Array.isArray(manifest) ? null : manifest.b_rolls;
+  const baseDir = dirname(resolve(manifestPath));
+
+  return entries.map((entry, idx) => {
+    const url = entry?.a_roll?.url;
+    if (!url) {
+      throw new UsageError(`Manifest entry ${idx + 1} has no a_roll.url.`);
+    }
+    const b_rolls = entry.b_rolls || sharedBrolls;
+    if (!Array.isArray(b_rolls) || b_rolls.length === 0) {
+      throw new UsageError(`Manifest entry ${idx + 1} has no b_rolls.`);
+    }
+    // Remote URLs are kept; local paths are relative to the manifest
+    const source = /^[a-z][a-z\d+.-]*:\/\//i.test(url) || isAbsolute(url) ? url : resolve(baseDir, url);
+    const name = entry.id || basename(url.split("?")[0], extname(url.split("?")[0])) || `video_${idx + 1}`;
+    return { name, source, b_rolls };
+  });
+}
+
+/**
+ * Videos in a folder, all planned against the same B-rolls
+ * @param {string} dir - Folder of A-roll videos
+ * @param {string|undefined} libraryPath - B-roll file, or undefined for the stored library
+ * @returns {Promise<Array>} Videos {name, source, b_rolls}
+ */
+async function folderVideos(dir, libraryPath) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new UsageError(`${dir} is not a folder.`);
+  }
+
+  let b_rolls;
+  if (libraryPath) {
+    const library = readJson(libraryPath);
+    b_rolls = Array.isArray(library) ? library : library.b_rolls;
+  } else {
+    b_rolls = await getLibraryBrolls();
+  }
+  if (!Array.isArray(b_rolls) || b_rolls.length === 0) {
+    throw new UsageError(
+      libraryPath ? `${libraryPath} lists no b_rolls.` : "The B-roll library is empty; pass --library <file>."
+    );
+  }
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => VIDEO_EXTENSIONS.has(extname(file).toLowerCase()))
+    .sort();
+  if (files.length === 0) {
+    throw new UsageError(`No videos (${[...VIDEO_EXTENSIONS].join(", ")}) in ${dir}.`);
+  }
+  return files.map((file) => ({
+    name: basename(file, extname(file)),
+    source: resolve(dir, file),
+    b_rolls,
+  }));
+}
+
+/**
+ * Give videos unique output names (name, name_2, ...)
+ * @param {Array} videos - Videos {name}
+ * @returns {Array} Videos with unique names
+ */
+function uniqueNames(videos) {
+  const seen = new Map();
+  return videos.map((video) => {
+    const count = (seen.get(video.name) || 0) + 1;
+    seen.set(video.name, count);
+    return count === 1 ? video : { ...video, name: `${video.name}_${count}` };
+  });
+}
+
+/**
+ * Planner settings from the command line
+ * @returns {Object} {planOptions, format, fps, concurrency}
+ */
+function readSettings() {
+  const format = values.format;
+  if (format !== "json" && !EXPORT_FORMATS[format]) {
+    throw new UsageError(`Unknown --format "${format}". Use json, ${Object.keys(EXPORT_FORMATS).join(", ")}.`);
+  }
+  if (values.strategy && !PLANNER_STRATEGIES.includes(values.strategy)) {
+    throw new UsageError(`Unknown --strategy "${values.strategy}". Use ${PLANNER_STRATEGIES.join(" or ")}.`);
+  }
+  if (values.scoring && !SCORING_MODES.includes(values.scoring)) {
+    throw new UsageError(`Unknown --scoring "${values.scoring}". Use ${SCORING_MODES.join(" or ")}.`);
+  }
+
+  let options;
+  try {
+    options = values.options ? JSON.parse(values.options) : undefined;
+  } catch (err) {
+    throw new UsageError(`--options is not valid JSON: ${err.message}`);
+  }
+  const optionsError = plannerOptionsError(values.preset, options);
+  if (optionsError) throw new UsageError(optionsError);
+
+  const transition = values.transition && {
+    type: values.transition,
+    ...(values["transition-duration"] && { duration_sec: Number(values["transition-duration"]) }),
+  };
+  const transitionProblem = transitionError(transition || undefined);
+  if (transitionProblem) {
+    throw new UsageError(`Invalid --transition or --transition-duration: ${transitionProblem}`);
+  }
+
+  const schemaVersion = values["schema-version"] ? Number(values["schema-version"]) : undefined;
+  if (schemaVersion !== undefined && !PLAN_SCHEMA_VERSIONS.includes(schemaVersion)) {
+    throw new UsageError(`--schema-version must be ${PLAN_SCHEMA_VERSIONS.join(" or ")}.`);
+  }
+
+  const concurrency = Number(values.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new UsageError("--concurrency must be a positive integer.");
+  }
+
+  let fps;
+  try {
+    fps = parseFps(values.fps);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  return {
+    planOptions: {
+      strategy: values.strategy,
+      scoring: values.scoring,
+      preset: values.preset,
+      options,
+      transition: transition || undefined,
+      schemaVersion,
+      allowLooping: values["allow-looping"],
+      // Paths on the command line and in manifests are trusted
+      allowLocalFiles: true,
+    },
+    format,
+    fps,
+    concurrency,
+  };
+}
+
+/**
+ * Plan one video and write it to the output folder
+ * @param {Object} video - {name, source, b_rolls}
+ * @param {Object} settings - From readSettings
+ * @param {AbortSignal} signal - Cancels the run
+ * @returns {Promise<Object>} Report entry {name, ok, outputPath?, insertions?, coverage?, seconds, error?}
+ */
+async function planVideo(video, settings, signal) {
+  const started = Date.now();
+  const seconds = () => Math.round((Date.now() - started) / 100) / 10;
+  const planOptions = { ...settings.planOptions, signal };
+
+  try {
+    const arollFile = await downloadAroll(video.source, planOptions);
+    let plan;
+    try {
+      plan = await generatePlanFromArollFile(arollFile.path, video.b_rolls, planOptions);
+    } finally {
+      releaseAroll(arollFile);
+    }
+    plan = { ...plan, a_roll: { url: video.source } };
+
+    const outputPath =
+      settings.format === "json"
+        ? join(settings.outDir, `${video.name}.plan.json`)
+        : join(settings.outDir, `${video.name}.${EXPORT_FORMATS[settings.format].extension}`);
+    const content =
+      settings.format === "json"
+        ? JSON.stringify(plan, null, 2)
+        : exportPlan(settings.format, plan, {
+            fps: settings.fps,
+            title: video.name,
+            a_roll: plan.a_roll,
+            b_rolls: plan.b_rolls,
+          }).content;
+    fs.writeFileSync(outputPath, content);
+
+    print(`ok     ${video.name} (${plan.insertions.length} insertions, ${seconds()}s)`);
+    return {
+      name: video.name,
+      ok: true,
+      outputPath,
+      insertions: plan.insertions.length,
+      coverage: plan.coverage_ratio,
+      seconds: seconds(),
+    };
+  } catch (err) {
+    print(`failed ${video.name}: ${err.message}`);
+    return { name: video.name, ok: false, seconds: seconds(), error: err.message };
+  }
+}
+
+/**
+ * Print the summary table of a run
+ * @param {Array} report - Entries from planVideo
+ * @param {number} totalSeconds - Wall-clock time of the run
+ */
+function printSummary(report, totalSeconds) {
+  const width = Math.max(5, ...report.map((entry) => entry.name.length));
+  print("");
+  print(`${"Video".padEnd(width)}  Status  Insertions  Coverage  Time    Output`);
+  for (const entry of report) {
+    const columns = entry.ok
+      ? [
+          "ok    ",
+          String(entry.insertions).padStart(10),
+          `${Math.round(entry.coverage * 100)}%`.padStart(8),
+          `${entry.seconds}s`.padEnd(6),
+          entry.outputPath,
+        ]
+      : ["failed", "".padStart(10), "".padStart(8), `${entry.seconds}s`.padEnd(6), entry.error];
+    print(`${entry.name.padEnd(width)}  ${columns.join("  ")}`);
+  }
+
+  const failed = report.filter((entry) => !entry.ok).length;
+  print("");
+  print(
+    `Planned ${report.length - failed} of ${report.length} videos in ${totalSeconds}s` +
+      (failed > 0 ? ` (${failed} failed)` : "")
+  );
+}
+
+async function main() {
+  if (Boolean(values.manifest) === Boolean(values.dir)) {
+    throw new UsageError("Pass either --manifest <file> or --dir <folder>.");
+  }
+  const settings = readSettings();
+  const videos = uniqueNames(
+    values.manifest ? manifestVideos(values.manifest) : await folderVideos(values.dir, values.library)
+  );
+
+  settings.outDir = resolve(values["out-dir"]);
+  fs.mkdirSync(settings.outDir, { recursive: true });
+
+  // Pipeline logs of parallel videos interleave, so they are opt-in
+  if (!values.verbose) console.log = () => {};
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    print("Cancelling...");
+    controller.abort();
+  });
+
+  print(`Planning ${videos.length} videos, ${settings.concurrency} at a time...`);
+  const started = Date.now();
+  const report = await mapWithConcurrency(videos, settings.concurrency, (video) =>
+    controller.signal.aborted
+      ? { name: video.name, ok: false, seconds: 0, error: "Cancelled" }
+      : planVideo(video, settings, controller.signal)
+  );
+  printSummary(report, Math.round((Date.now() - started) / 100) / 10);
+
+  return report.every((entry) => entry.ok) ? 0 : 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(`Batch planning failed: ${err.message}`);
+    process.exit(err instanceof UsageError ? 2 : 1);
+  });
@@ -0,0 +1,91 @@
+/**
+ * Render a saved plan to MP4 without starting the server.
+ *
+ * Usage:
+ *   node src/cli/render.js --plan plan.json --out final.mp4 [--aroll a_roll.mp4]
+ *     [--broll broll_1=clip1.mp4 ...] [--config video_url.json] [--crf 20] [--preset veryfast]
+ *     [--captions] [--karaoke] [--caption-options '{"max_lines":1}']
+ *
+ * The A-roll and any B-roll not given on the command line are taken from the
+ * config file (video_url.json by default) and downloaded from their URLs.
+ * --captions burns the plan's transcript in (--karaoke highlights each word
+ * as it is spoken; --caption-options takes the options of captionService.js).
+ */
+
+import fs from "fs";
+import { resolve } from "path";
+import { parseArgs } from "util";
+import { renderVideo } from "../services/renderService.js";
+import { captionOptionsError } from "../services/captionService.js";
+import { loadVideoConfig, DEFAULT_VIDEO_CONFIG_PATH } from "../utils/videoConfig.js";
+
+const { values } = parseArgs({
+  options: {
+    plan: { type: "string" },
+    out: { type: "string", default: "broll_render.mp4" },
+    aroll: { type: "string" },
+    broll: { type: "string", multiple: true, default: [] },
+    config: { type: "string", default: DEFAULT_VIDEO_CONFIG_PATH },
+    crf: { type: "string" },
+    preset: { type: "string" },
+    captions: { type: "boolean", default: false },
+    karaoke: { type: "boolean", default: false },
+    "caption-options": { type: "string" },
+  },
+});
+
+async function main() {
+  if (!values.plan) {
+    throw new Error("--plan <file> is required.");
+  }
+
+  const plan = JSON.parse(fs.readFileSync(values.plan, "utf-8"));
+  const videoConfig = loadVideoConfig(values.config) || {};
+
+  const aroll = values.aroll
+    ? { path: resolve(values.aroll) }
+    : videoConfig.a_roll?.url
+      ? { url: videoConfig.a_roll.url }
+      : null;
+  if (!aroll) {
+    throw new Error("No A-roll given: pass --aroll or provide a_roll.url in the config file.");
+  }
+
+  const brolls = new Map(
+    (videoConfig.b_rolls || []).map((broll) => [broll.id, { id: broll.id, url: broll.url }])
+  );
+  for (const entry of values.broll) {
+    const [id, path] = entry.split("=");
+    if (!id || !path) {
+      throw new Error(`Invalid --broll "${entry}", expected <id>=<path>.`);
+    }
+    brolls.set(id, { id, path: resolve(path) });
+  }
+
+  let captions = null;
+  if (values.captions || values.karaoke || values["caption-options"]) {
+    captions = values["caption-options"] ? JSON.parse(values["caption-options"]) : {};
+    if (values.karaoke) captions.karaoke = true;
+    const error = captionOptionsError(captions);
+    if (error) throw new Error(error);
+  }
+
+  const result = await renderVideo({
+    aroll,
+    brolls: [...brolls.values()],
+    plan,
+    outputPath: resolve(values.out),
+    options: {
+      crf: values.crf ? Number(values.crf) : undefined,
+      preset: values.preset,
+      captions,
+    },
+  });
+
+  console.log(JSON.stringify(result, null, 2));
+}
+
+main().catch((err) => {
+  console.error("Render failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,136 @@
+import express from "express";
+import multer from "multer";
+import { probeMediaBuffer } from "../utils/ffmpeg.js";
+import {
+  listClips,
+  getClip,
+  getClipFilePath,
+  createClip,
+  updateClip,
+  deleteClip,
+  searchClips,
+  clipValidationError,
+} from "../services/libraryService.js";
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+/**
+ * GET /api/library
+ * Lists clips. Optional ?tags=a,b keeps clips that carry all the tags.
+ */
+router.get("/", (req, res) => {
+  res.json({ clips: listClips({ tags: req.query.tags }) });
+});
+
+/**
+ * GET /api/library/search?q=...
+ * Semantic search over clip descriptions. Optional ?tags=a,b and ?limit=N.
+ */
+router.get("/search", async (req, res) => {
+  try {
+    if (!req.query.q) {
+      return res.status(400).json({ error: "Query parameter 'q' is required." });
+    }
+    const results = await searchClips(req.query.q, {
+      tags: req.query.tags,
+      limit: req.query.limit ? Number(req.query.limit) : undefined,
+    });
+    res.json({ results });
+  } catch (err) {
+    console.error("Library search error:", err);
+    res.status(500).json({ error: "Failed to search library.", details: err.message });
+  }
+});
+
+/**
+ * GET /api/library/:id
+ */
+router.get("/:id", (req, res) => {
+  const clip = getClip(req.params.id);
+  if (!clip) {
+    return res.status(404).json({ error: "Clip not found." });
+  }
+  res.json(clip);
+});
+
+/**
+ * GET /api/library/:id/file
+ * Streams a clip's stored file (used for previews).
+ */
+router.get("/:id/file", (req, res) => {
+  const filePath = getClipFilePath(req.params.id);
+  if (!filePath) {
+    return res.status(404).json({ error: "Clip has no stored file." });
+  }
+  res.sendFile(filePath);
+});
+
+/**
+ * POST /api/library
+ * Adds a clip. JSON body {id?, url, description, tags?, duration_sec?}, or a
+ * multipart form with the same fields plus a 'file' upload (stored locally;
+ * its duration is probed when not given).
+ */
+router.post("/", upload.single("file"), async (req, res) => {
+  try {
+    const fields = { ...req.body };
+    if (req.file && !fields.duration_sec) {
+      try {
+        fields.duration_sec = (await probeMediaBuffer(req.file.buffer)).duration_sec || null;
+      } catch (err) {
+        console.warn(`Could not probe duration of ${req.file.originalname}: ${err.message}`);
+      }
+    }
+
+    const validationError = clipValidationError(fields, { file: req.file });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const clip = await createClip(fields, req.file || null);
+
+    console.log(`Added library clip ${clip.id}`);
+    res.status(201).json(clip);
+  } catch (err) {
+    console.error("Library create error:", err);
+    res.status(500).json({ error: "Failed to add clip.", details: err.message });
+  }
+});
+
+/**
+ * PATCH /api/library/:id
+ * Updates {url, description, tags, duration_sec}; a new description is re-embedded.
+ */
+router.patch("/:id", async (req, res) => {
+  try {
+    if (!getClip(req.params.id)) {
+      return res.status(404).json({ error: "Clip not found." });
+    }
+
+    const fields = req.body || {};
+    const validationError = clipValidationError(fields, { existingId: req.params.id });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const clip = await updateClip(req.params.id, fields);
+    res.json(clip);
+  } catch (err) {
+    console.error("Library update error:", err);
+    res.status(500).json({ error: "Failed to update clip.", details: err.message });
+  }
+});
+
+/**
+ * DELETE /api/library/:id
+ */
+router.delete("/:id", (req, res) => {
+  if (!deleteClip(req.params.id)) {
+    return res.status(404).json({ error: "Clip not found." });
+  }
+  console.log(`Deleted library clip ${req.params.id}`);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import express from "express";
+import {
+  listSavedPlans,
+  getSavedPlan,
+  savePlan,
+  updateSavedPlan,
+  planValidationError,
+} from "../services/savedPlanService.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/plans
+ * Lists saved plans (without their contents).
+ */
+router.get("/", (req, res) => {
+  res.json({ plans: listSavedPlans() });
+});
+
+/**
+ * GET /api/plans/:id
+ */
+router.get("/:id", (req, res) => {
+  const entry = getSavedPlan(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: "Plan not found." });
+  }
+  res.json(entry);
+});
+
+/**
+ * POST /api/plans
+ * Saves a plan. Body: { plan }. Responds 201 with {id, plan, created_at, updated_at}.
+ */
+router.post("/", (req, res) => {
+  try {
+    const validationError = planValidationError(req.body?.plan);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const entry = savePlan(req.body.plan);
+    console.log(`Saved plan ${entry.id}`);
+    res.status(201).json(entry);
+  } catch (err) {
+    console.error("Plan save error:", err);
+    res.status(500).json({ error: "Failed to save plan.", details: err.message });
+  }
+});
+
+/**
+ * PUT /api/plans/:id
+ * Replaces a saved plan with an edited version. Body: { plan }.
+ */
+router.put("/:id", (req, res) => {
+  try {
+    if (!getSavedPlan(req.params.id)) {
+      return res.status(404).json({ error: "Plan not found." });
+    }
+
+    const validationError = planValidationError(req.body?.plan);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const entry = updateSavedPlan(req.params.id, req.body.plan);
+    console.log(`Updated plan ${entry.id}`);
+    res.json(entry);
+  } catch (err) {
+    console.error("Plan update error:", err);
+    res.status(500).json({ error: "Failed to update plan.", details: err.message });
+  }
+});
+
+export default router;
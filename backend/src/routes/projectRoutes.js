@@ -0,0 +1,140 @@
+import express from "express";
+import {
+  listProjects,
+  getProject,
+  getProjectVersion,
+  createProject,
+  addProjectVersion,
+  restoreProjectVersion,
+  diffProjectVersions,
+  projectFieldsError,
+  versionFieldsError,
+} from "../services/projectService.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/projects
+ * Lists projects (without their versions), most recently updated first.
+ */
+router.get("/", (req, res) => {
+  res.json({ projects: listProjects() });
+});
+
+/**
+ * GET /api/projects/:id
+ * The project with its A-roll, B-rolls, transcript, version summaries and the
+ * latest version's plan.
+ */
+router.get("/:id", (req, res) => {
+  const project = getProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: "Project not found." });
+  }
+  res.json(project);
+});
+
+/**
+ * POST /api/projects
+ * Creates a project. Body: { plan, name?, a_roll?: {url} | {name}, source?, note? }.
+ * The plan becomes version 1. Responds 201 with the project.
+ */
+router.post("/", (req, res) => {
+  try {
+    const validationError = projectFieldsError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const project = createProject(req.body);
+    console.log(`Created project ${project.id} (${project.name})`);
+    res.status(201).json(project);
+  } catch (err) {
+    console.error("Project creation error:", err);
+    res.status(500).json({ error: "Failed to create project.", details: err.message });
+  }
+});
+
+/**
+ * POST /api/projects/:id/versions
+ * Adds a plan to the history. Body: { plan, source?: "generated" | "edited", note? }.
+ * Responds 201 with the version summary.
+ */
+router.post("/:id/versions", (req, res) => {
+  try {
+    if (!getProject(req.params.id)) {
+      return res.status(404).json({ error: "Project not found." });
+    }
+
+    const validationError = versionFieldsError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const version = addProjectVersion(req.params.id, req.body);
+    console.log(`Project ${req.params.id}: saved version ${version.version} (${version.source})`);
+    res.status(201).json(version);
+  } catch (err) {
+    console.error("Project version error:", err);
+    res.status(500).json({ error: "Failed to save version.", details: err.message });
+  }
+});
+
+/**
+ * GET /api/projects/:id/diff?from=N&to=M
+ * Compares two versions: insertions added, removed and changed, edited
+ * transcript segments and planner settings. 'to' defaults to the latest version.
+ */
+router.get("/:id/diff", (req, res) => {
+  const project = getProject(req.params.id);
+  if (!project) {
+    return res.status(404).json({ error: "Project not found." });
+  }
+  if (!req.query.from) {
+    return res.status(400).json({ error: "Query parameter 'from' is required." });
+  }
+
+  const diff = diffProjectVersions(
+    req.params.id,
+    req.query.from,
+    req.query.to || project.latest.version
+  );
+  if (!diff) {
+    return res.status(404).json({ error: "Version not found." });
+  }
+  res.json(diff);
+});
+
+/**
+ * GET /api/projects/:id/versions/:version
+ * One version with its full plan.
+ */
+router.get("/:id/versions/:version", (req, res) => {
+  const version = getProjectVersion(req.params.id, req.params.version);
+  if (!version) {
+    return res.status(404).json({ error: "Version not found." });
+  }
+  res.json(version);
+});
+
+/**
+ * POST /api/projects/:id/versions/:version/restore
+ * Copies an older version to a new latest version (the history is kept).
+ * Responds 201 with the new version summary.
+ */
+router.post("/:id/versions/:version/restore", (req, res) => {
+  try {
+    const version = restoreProjectVersion(req.params.id, req.params.version);
+    if (!version) {
+      return res.status(404).json({ error: "Version not found." });
+    }
+
+    console.log(`Project ${req.params.id}: restored version ${req.params.version} as ${version.version}`);
+    res.status(201).json(version);
+  } catch (err) {
+    console.error("Project restore error:", err);
+    res.status(500).json({ error: "Failed to restore version.", details: err.message });
+  }
+});
+
+export default router;
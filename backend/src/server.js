@@ -2,94 +2,393 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import fs from "fs";
-import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import os from "os";
+import { join } from "path";
 import multer from "multer";
-import { downloadVideo } from "./utils/videoDownloader.js";
-import { transcribeVideo, getEmbeddings } from "./services/openaiService.js";
-import { planInsertions } from "./services/matchingService.js";
+import { loadVideoConfig } from "./utils/videoConfig.js";
+import { CACHE_NAMESPACES, getCache } from "./utils/cache.js";
+import { PLANNER_STRATEGIES, SCORING_MODES } from "./services/matchingService.js";
+import {
+  PLAN_STAGES,
+  MAX_PLAN_VARIANTS,
+  downloadAroll,
+  releaseAroll,
+  generatePlanFromArollFile,
+  generatePlanFromArollBuffer,
+  generatePlanFromTranscript,
+} from "./services/planService.js";
+import {
+  prepareEditedTranscript,
+  transcriptValidationError,
+} from "./services/transcriptService.js";
+import { createJob, getJob, cancelJob, subscribeToJob } from "./services/jobService.js";
+import { PLANNER_PRESETS, plannerOptionsError } from "./services/plannerPresets.js";
+import { constraintsError } from "./services/planConstraints.js";
+import { PLAN_SCHEMA_VERSIONS, planSchemaError, transitionError } from "./services/insertionSchema.js";
+import { audioAnalysisError } from "./services/audioAnalysisService.js";
+import { cutsError } from "./services/visualAnalysisService.js";
+import { getLibraryBrolls, getClipSources } from "./services/libraryService.js";
+import libraryRoutes from "./routes/libraryRoutes.js";
+import planRoutes from "./routes/planRoutes.js";
+import projectRoutes from "./routes/projectRoutes.js";
+import {
+  buildUploadedBrolls,
+  parseJsonField,
+  uploadedBrollIds,
+  brollListFieldError,
+} from "./services/uploadService.js";
+import { renderVideo } from "./services/renderService.js";
+import {
+  CAPTION_FORMATS,
+  captionOptionsError,
+  exportCaptions,
+  resolveCaptionOptions,
+} from "./services/captionService.js";
+import { exportPlan, EXPORT_FORMATS } from "./services/exporters/index.js";
+import { parseFps } from "./utils/timecode.js";
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
 const app = express();
 const port = process.env.PORT || 4000;
 
-// Enable JSON parsing and CORS
-app.use(express.json());
+// Enable JSON parsing (edited plans are sent back whole) and CORS
+app.use(express.json({ limit: "5mb" }));
 app.use(cors());
 
 // Configure Multer for file uploads (stored in memory)
 const upload = multer({ storage: multer.memoryStorage() });
 
-//pipeline(includes transcribe, generate embeddings, plan insertions)
-// Shared helper to generate a plan from an A-roll buffer and B-roll metadata
-async function generatePlanFromArollBuffer(arollBuffer, b_rolls) {
-  //Transcribe A-roll video
-  console.log("\n[Step 2/5] Transcribing A-roll video with OpenAI Whisper...");
-  const transcriptResult = await transcribeVideo(arollBuffer, "a_roll.mp4");
-
-  if (!transcriptResult.segments || transcriptResult.segments.length === 0) {
-    throw new Error("Transcription returned no segments.");
-  }
-
-  console.log(`Transcribed ${transcriptResult.segments.length} segments`);
-
-  //Generate embeddings for transcript segments
-  console.log("\n[Step 3/5] Generating embeddings for transcript segments...");
-  const segmentTexts = transcriptResult.segments.map((seg) => seg.text);
-  const segmentEmbeddings = await getEmbeddings(segmentTexts);
-
-  // Attach embeddings to segments
-  const segmentsWithEmbeddings = transcriptResult.segments.map((seg, idx) => ({
-    ...seg,
-    embedding: segmentEmbeddings[idx],
-  }));
-
-  //Generate embeddings for B-roll metadata
-  console.log("\n[Step 4/5] Generating embeddings for B-roll metadata...");
-  const brollMetadataTexts = b_rolls.map((broll) => broll.metadata || "");
-  const brollEmbeddings = await getEmbeddings(brollMetadataTexts);
-
-  // Create B-roll objects with embeddings
-  const brollEmbeddingObjects = b_rolls.map((broll, idx) => ({
-    id: broll.id,
-    metadata: broll.metadata,
-    embedding: brollEmbeddings[idx],
-  }));
-
-  //Plan insertions using semantic matching
-  console.log("\n[Step 5/5] Planning B-roll insertions using semantic matching...");
-  const insertions = planInsertions(
-    segmentsWithEmbeddings,
-    brollEmbeddingObjects,
-    transcriptResult.duration_sec,
-    {
-      minInsertionGap: 3, // More frequent insertions
-      minInsertionDuration: 2,
-      maxInsertionDuration: 4,
-      minConfidence: 0.08,
-      maxInsertions: 4,
-      avoidFirstSeconds: 0.5, // Allow very early insertions
-      avoidLastSeconds: 1,
+// Validate an optional planner strategy from a request body
+function invalidStrategyError(strategy) {
+  if (strategy === undefined || PLANNER_STRATEGIES.includes(strategy)) return null;
+  return `Unknown planner strategy "${strategy}". Use one of: ${PLANNER_STRATEGIES.join(", ")}.`;
+}
+
+// Validate an optional scoring mode from a request body
+function invalidScoringError(scoring) {
+  if (scoring === undefined || SCORING_MODES.includes(scoring)) return null;
+  return `Unknown scoring mode "${scoring}". Use one of: ${SCORING_MODES.join(", ")}.`;
+}
+
+// Validate an optional plan variant count from a request body
+function invalidVariantsError(variants) {
+  if (variants === undefined) return null;
+  if (Number.isInteger(variants) && variants >= 1 && variants <= MAX_PLAN_VARIANTS) return null;
+  return `Option 'variants' must be an integer between 1 and ${MAX_PLAN_VARIANTS}.`;
+}
+
+// Validate the optional 'b_rolls' of a render request: media to fetch by id
+function invalidRenderBrollsError(b_rolls) {
+  if (b_rolls === undefined) return null;
+  const valid =
+    Array.isArray(b_rolls) &&
+    b_rolls.every(
+      (broll) => broll && typeof broll.id === "string" && broll.id && typeof broll.url === "string" && broll.url
+    );
+  return valid ? null : "b_rolls must be an array of { id, url } with string values.";
+}
+
+// Validate an optional plan schema version from a request body
+function invalidSchemaVersionError(version) {
+  if (version === undefined || PLAN_SCHEMA_VERSIONS.includes(version)) return null;
+  return `Option 'schema_version' must be one of: ${PLAN_SCHEMA_VERSIONS.join(", ")}.`;
+}
+
+const LIBRARY_OPTION_ERROR = "Option 'library' must be true or { tags: [...] }.";
+
+// Read the optional 'library' plan option: true plans against the whole
+// B-roll library, { tags: [...] } against clips carrying all those tags.
+// Multipart requests send the same value as a JSON string. Throws
+// LIBRARY_OPTION_ERROR for any other value.
+function parseLibraryOption(value) {
+  if (value === undefined || value === null || value === "" || value === false) return null;
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      throw new Error(LIBRARY_OPTION_ERROR);
     }
-  );
+  }
+  if (parsed === false) return null;
+  if (parsed === true) return {};
+
+  const isPlainObject = parsed !== null && typeof parsed === "object" && !Array.isArray(parsed);
+  const keys = isPlainObject ? Object.keys(parsed) : [];
+  const tagsValid =
+    typeof parsed?.tags === "string" ||
+    (Array.isArray(parsed?.tags) && parsed.tags.every((tag) => typeof tag === "string"));
+  if (!isPlainObject || !tagsValid || keys.some((key) => key !== "tags")) {
+    throw new Error(LIBRARY_OPTION_ERROR);
+  }
+  return { tags: parsed.tags };
+}
+
+// Read the optional 'captions' render option: true burns in captions with the
+// default caption options, an object sets some of them. Multipart requests
+// send the same value as a JSON string. Returns { error } or { captions }.
+function readCaptionsOption(value, plan) {
+  let parsed = value;
+  try {
+    if (typeof value === "string") parsed = value === "" ? null : JSON.parse(value);
+  } catch (e) {
+    return { error: "Option 'captions' must be true or an object of caption options." };
+  }
+  if (parsed === undefined || parsed === null || parsed === false) return { captions: null };
+  if (!Array.isArray(plan.transcript_segments) || plan.transcript_segments.length === 0) {
+    return { error: "Captions need a plan with transcript_segments." };
+  }
+  if (parsed === true) return { captions: {} };
+
+  const error = captionOptionsError(parsed);
+  return error ? { error } : { captions: parsed };
+}
+
+// Read the planner fields of a JSON plan request.
+// Returns { error } or { planOptions }.
+function readPlanOptions(body) {
+  const strategy = body?.strategy;
+  const scoring = body?.scoring;
+  const preset = body?.preset;
+  const options = body?.options;
+  const constraints = body?.constraints;
+  const variants = body?.variants;
+  const transition = body?.transition;
+  const schemaVersion = body?.schema_version;
+
+  const optionError =
+    invalidStrategyError(strategy) ||
+    invalidScoringError(scoring) ||
+    invalidVariantsError(variants) ||
+    invalidSchemaVersionError(schemaVersion) ||
+    transitionError(transition) ||
+    plannerOptionsError(preset, options) ||
+    constraintsError(constraints);
+  if (optionError) {
+    return { error: optionError };
+  }
+
+  return {
+    planOptions: {
+      strategy,
+      scoring,
+      preset,
+      options,
+      constraints,
+      variants,
+      transition,
+      schemaVersion,
+      allowLooping: body?.allow_looping === true,
+    },
+  };
+}
+
+// B-rolls of a JSON plan request: library clips when 'library' is set,
+// otherwise the given list. Returns { error } or { b_rolls }.
+async function readPlanBrolls(body, b_rolls) {
+  let libraryFilter;
+  try {
+    libraryFilter = parseLibraryOption(body?.library);
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (libraryFilter) {
+    b_rolls = await getLibraryBrolls(libraryFilter);
+  }
+
+  if (!b_rolls || !Array.isArray(b_rolls) || b_rolls.length === 0) {
+    return {
+      error: libraryFilter
+        ? "No library clips match the requested tags."
+        : "At least one B-roll is required.",
+    };
+  }
+  return { b_rolls };
+}
+
+// Parse a URL-based plan request (JSON body, falling back to video_url.json).
+// Returns { error } or { a_roll, b_rolls, planOptions }.
+async function parseUrlPlanRequest(body) {
+  let videoConfig;
+
+  // Checks if video URLs are provided in request body
+  if (body && body.a_roll) {
+    videoConfig = body;
+  } else {
+    // Read from video_url.json file
+    videoConfig = loadVideoConfig();
+    if (!videoConfig) {
+      return {
+        error:
+          "video_url.json not found. Please provide video URLs in request body or create video_url.json file.",
+      };
+    }
+  }
+
+  const { a_roll } = videoConfig;
+  const { error: optionError, planOptions } = readPlanOptions(body);
+  if (optionError) {
+    return { error: optionError };
+  }
+
+  if (!a_roll || !a_roll.url) {
+    return { error: "A-roll URL is required." };
+  }
+
+  const { error, b_rolls } = await readPlanBrolls(body, videoConfig.b_rolls);
+  if (error) {
+    return { error };
+  }
+
+  return { a_roll, b_rolls, planOptions };
+}
+
+// Parse a plan request with an edited transcript: 'transcript_segments' and
+// 'aroll_duration_sec' as returned in a plan, B-rolls from the body (or
+// video_url.json) and the same planner fields as /api/plan.
+// Returns { error } or { transcript, a_roll, b_rolls, planOptions }.
+async function parseTranscriptPlanRequest(body) {
+  const segments = body?.transcript_segments;
+  const duration = body?.aroll_duration_sec;
+  const transcriptError = transcriptValidationError(segments, duration);
+  if (transcriptError) {
+    return { error: transcriptError };
+  }
+
+  const { error: optionError, planOptions } = readPlanOptions(body);
+  if (optionError) {
+    return { error: optionError };
+  }
+
+  // The analyses of the original video keep its timing without the video itself
+  const analysisError = audioAnalysisError(body.audio_analysis);
+  if (analysisError) {
+    return { error: analysisError };
+  }
+  planOptions.audioAnalysis = body.audio_analysis || null;
+
+  const cutError = cutsError(body.aroll_cuts);
+  if (cutError) {
+    return { error: cutError };
+  }
+  planOptions.arollCuts = body.aroll_cuts || null;
 
-  console.log(`Planned ${insertions.length} B-roll insertions`);
+  const { error, b_rolls } = await readPlanBrolls(
+    body,
+    body?.b_rolls || loadVideoConfig()?.b_rolls
+  );
+  if (error) {
+    return { error };
+  }
 
   return {
-    aroll_duration_sec: transcriptResult.duration_sec,
-    transcript_segments: transcriptResult.segments.map((seg) => ({
-      start_sec: seg.start_sec,
-      end_sec: seg.end_sec,
-      text: seg.text,
-    })),
-    insertions,
+    transcript: { segments, duration_sec: duration, word_timing: body.word_timing },
+    a_roll: body.a_roll?.url ? { url: body.a_roll.url } : null,
+    b_rolls,
+    planOptions,
+  };
+}
+
+// Parse a multipart plan request. Uploaded B-roll files are used for matching,
+// with ids/descriptions from the optional 'broll_ids' / 'broll_descriptions'
+// fields (JSON arrays aligned with the files); without uploads the B-roll
+// metadata comes from video_url.json. With 'library' set, library clips are
+// planned against together with any uploads.
+// Returns { error } or { arollFile, brollFiles, b_rolls, planOptions }.
+async function parseUploadPlanRequest(req) {
+  const arollFile = req.files?.aroll?.[0];
+  const brollFiles = req.files?.brolls || [];
+
+  if (!arollFile) {
+    return { error: "A-roll video file (field 'aroll') is required." };
+  }
+
+  const strategy = req.body?.strategy || undefined;
+  const scoring = req.body?.scoring || undefined;
+  const preset = req.body?.preset || undefined;
+  const variants = req.body?.variants ? Number(req.body.variants) : undefined;
+  const schemaVersion = req.body?.schema_version ? Number(req.body.schema_version) : undefined;
+  let options;
+  let constraints;
+  let transition;
+  try {
+    options = parseJsonField(req.body?.options, undefined, "options");
+    constraints = parseJsonField(req.body?.constraints, undefined, "constraints");
+    transition = parseJsonField(req.body?.transition, undefined, "transition");
+  } catch (e) {
+    return { error: e.message };
+  }
+  const optionError =
+    invalidStrategyError(strategy) ||
+    invalidScoringError(scoring) ||
+    invalidVariantsError(variants) ||
+    invalidSchemaVersionError(schemaVersion) ||
+    transitionError(transition) ||
+    plannerOptionsError(preset, options) ||
+    constraintsError(constraints);
+  if (optionError) {
+    return { error: optionError };
+  }
+
+  let ids;
+  let descriptions;
+  let libraryFilter;
+  try {
+    ids = parseJsonField(req.body?.broll_ids, [], "broll_ids");
+    descriptions = parseJsonField(req.body?.broll_descriptions, [], "broll_descriptions");
+    libraryFilter = parseLibraryOption(req.body?.library);
+  } catch (e) {
+    return { error: e.message };
+  }
+  const listError =
+    brollListFieldError(ids, "broll_ids", brollFiles.length) ||
+    brollListFieldError(descriptions, "broll_descriptions", brollFiles.length);
+  if (listError) {
+    return { error: listError };
+  }
+
+  const configBrolls = loadVideoConfig()?.b_rolls || [];
+  let b_rolls;
+  if (brollFiles.length > 0) {
+    const uploaded = await buildUploadedBrolls(brollFiles, {
+      ids,
+      descriptions,
+      fallbackBrolls: configBrolls,
+    });
+    // Buffers are only needed for rendering, not for planning
+    b_rolls = uploaded.map(({ buffer, ...broll }) => broll);
+  } else {
+    b_rolls = libraryFilter ? [] : configBrolls;
+  }
+  if (libraryFilter) {
+    b_rolls = [...b_rolls, ...(await getLibraryBrolls(libraryFilter))];
+  }
+
+  if (b_rolls.length === 0) {
+    return {
+      error: "At least one B-roll is required. Upload B-roll files or add b_rolls to video_url.json.",
+    };
+  }
+
+  const planOptions = {
+    strategy,
+    scoring,
+    preset,
+    options,
+    constraints,
+    variants,
+    transition,
+    schemaVersion,
+    allowLooping: req.body?.allow_looping === "true",
   };
+  return { arollFile, brollFiles, b_rolls, planOptions };
 }
 
+const planUploadFields = upload.fields([
+  { name: "aroll", maxCount: 1 },
+  { name: "brolls", maxCount: 10 },
+]);
 
 app.get('/', (req, res) => {
   res.send('Smart B-Roll Inserter API. Try /api/health');
@@ -100,6 +399,60 @@ app.get("/api/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
+/**
+ * GET /api/cache
+ * Cache statistics (entries, bytes, hits, misses, evictions) per namespace.
+ */
+app.get("/api/cache", (req, res) => {
+  res.json(getCache().stats());
+});
+
+/**
+ * DELETE /api/cache
+ * Purges the cache. Optional ?namespace=downloads|download-validators|transcripts|embeddings;
+ * any other namespace is rejected with 400.
+ */
+app.delete("/api/cache", (req, res) => {
+  const { namespace } = req.query;
+  if (namespace !== undefined && !CACHE_NAMESPACES.includes(namespace)) {
+    return res
+      .status(400)
+      .json({ error: `Unknown cache namespace "${namespace}". Use one of: ${CACHE_NAMESPACES.join(", ")}.` });
+  }
+
+  try {
+    const removed = getCache().purge(req.query.namespace);
+    console.log(`Purged cache${req.query.namespace ? ` (${req.query.namespace})` : ""}: ${removed.entries} entries`);
+    res.json({ removed });
+  } catch (err) {
+    console.error("Cache purge error:", err);
+    res.status(500).json({ error: "Failed to purge cache.", details: err.message });
+  }
+});
+
+/**
+ * GET /api/presets
+ * Planner presets: { name: { label, description, options } }. Send a name as
+ * 'preset' and overrides as 'options' with a plan request.
+ */
+app.get("/api/presets", (req, res) => {
+  res.json(PLANNER_PRESETS);
+});
+
+/**
+ * GET /api/demo
+ * The demo A-roll from video_url.json ({ a_roll: {url} | null }), so clients
+ * can tell whether a plan was made from it.
+ */
+app.get("/api/demo", (req, res) => {
+  const aRollUrl = loadVideoConfig()?.a_roll?.url;
+  res.json({ a_roll: aRollUrl ? { url: aRollUrl } : null });
+});
+
+app.use("/api/library", libraryRoutes);
+app.use("/api/plans", planRoutes);
+app.use("/api/projects", projectRoutes);
+
 /**
  * POST /api/plan
  * Reads video_url.json, downloads videos, transcribes A-roll, and generates B-roll insertion plan.
@@ -108,45 +461,27 @@ app.get("/api/health", (req, res) => {
  */
 app.post("/api/plan", async (req, res) => {
   try {
-    let videoConfig;
-
-    // Checks if video URLs are provided in request body
-    if (req.body && req.body.a_roll) {
-      videoConfig = req.body;
-    } else {
-      // Read from video_url.json file
-      const videoUrlPath = join(__dirname, "../../video_url.json");
-      if (!fs.existsSync(videoUrlPath)) {
-        return res.status(400).json({
-          error:
-            "video_url.json not found. Please provide video URLs in request body or create video_url.json file.",
-        });
-      }
-      const videoUrlContent = fs.readFileSync(videoUrlPath, "utf-8");
-      videoConfig = JSON.parse(videoUrlContent);
-    }
-
-    const { a_roll, b_rolls } = videoConfig;
-
-    if (!a_roll || !a_roll.url) {
-      return res.status(400).json({ error: "A-roll URL is required." });
-    }
-
-    if (!b_rolls || !Array.isArray(b_rolls) || b_rolls.length === 0) {
-      return res.status(400).json({ error: "At least one B-roll is required." });
+    const request = await parseUrlPlanRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
     }
+    const { a_roll, b_rolls, planOptions } = request;
 
     console.log("Starting plan generation (URL-based)...");
     console.log(`A-roll URL: ${a_roll.url}`);
     console.log(`B-rolls: ${b_rolls.length} clips`);
 
-    // Step 1: Download A-roll video
-    console.log("\n[Step 1/5] Downloading A-roll video...");
-    const arollBuffer = await downloadVideo(a_roll.url);
+    const arollFile = await downloadAroll(a_roll.url);
 
-    const response = await generatePlanFromArollBuffer(arollBuffer, b_rolls);
+    let response;
+    try {
+      response = await generatePlanFromArollFile(arollFile.path, b_rolls, planOptions);
+    } finally {
+      releaseAroll(arollFile);
+    }
 
-    res.json(response);
+    // Keep the A-roll source with the plan so it can be previewed and rendered later
+    res.json({ ...response, a_roll: { url: a_roll.url } });
   } catch (err) {
     console.error("Plan generation error:", err);
     res.status(500).json({
@@ -159,15 +494,277 @@ app.post("/api/plan", async (req, res) => {
 /**
  * POST /api/plan/upload
  * Accepts uploaded A-roll and optional B-roll clips, uses A-roll file instead of URL.
- * For this assignment, B-roll video content is not analyzed directly; we still rely on metadata
- * from video_url.json (or provided config) for semantic matching.
+ * Uploaded B-rolls are matched by their descriptions and never scheduled for
+ * longer than the clip (unless allow_looping=true); without uploads the
+ * B-roll metadata comes from video_url.json.
+ */
+app.post("/api/plan/upload", planUploadFields, async (req, res) => {
+  try {
+    const request = await parseUploadPlanRequest(req);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+    const { arollFile, brollFiles, b_rolls, planOptions } = request;
+
+    console.log("Starting plan generation (file upload)...");
+    console.log(`Uploaded A-roll file: ${arollFile.originalname}`);
+    console.log(`Uploaded B-roll files: ${brollFiles.length}`);
+
+    const arollBuffer = arollFile.buffer;
+
+    const response = await generatePlanFromArollBuffer(arollBuffer, b_rolls, planOptions);
+
+    res.json(response);
+  } catch (err) {
+    console.error("Plan generation error (upload):", err);
+    res.status(500).json({
+      error: "Failed to generate plan from uploaded files.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/plan/transcript
+ * Re-plans from a corrected transcript without downloading or transcribing:
+ * only the embedding and planning stages run. Takes 'transcript_segments'
+ * ({start_sec, end_sec, text, words?}), 'aroll_duration_sec', 'b_rolls' and
+ * optionally 'audio_analysis' and 'aroll_cuts' as returned in a plan, plus
+ * the planner fields of /api/plan.
+ */
+app.post("/api/plan/transcript", async (req, res) => {
+  try {
+    const request = await parseTranscriptPlanRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+    const { transcript, a_roll, b_rolls, planOptions } = request;
+
+    console.log("Starting plan generation (edited transcript)...");
+    console.log(`Transcript: ${transcript.segments.length} segments, B-rolls: ${b_rolls.length} clips`);
+
+    const response = await generatePlanFromTranscript(
+      prepareEditedTranscript(transcript),
+      b_rolls,
+      planOptions
+    );
+
+    res.json(a_roll ? { ...response, a_roll } : response);
+  } catch (err) {
+    console.error("Plan generation error (transcript):", err);
+    res.status(500).json({
+      error: "Failed to generate plan from transcript.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/jobs
+ * Starts plan generation in the background. Takes the same body as /api/plan
+ * and responds 202 with the job; progress is streamed from /api/jobs/:id/events.
+ */
+app.post("/api/jobs", async (req, res) => {
+  try {
+    const request = await parseUrlPlanRequest(req.body);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+    const { a_roll, b_rolls, planOptions } = request;
+
+    const job = createJob(PLAN_STAGES, async ({ onProgress, signal }) => {
+      const options = { ...planOptions, onProgress, signal };
+      const arollFile = await downloadAroll(a_roll.url, options);
+      try {
+        const plan = await generatePlanFromArollFile(arollFile.path, b_rolls, options);
+        return { ...plan, a_roll: { url: a_roll.url } };
+      } finally {
+        releaseAroll(arollFile);
+      }
+    });
+
+    console.log(`Started plan job ${job.id} (URL-based)`);
+    res.status(202).json(job);
+  } catch (err) {
+    console.error("Job creation error:", err);
+    res.status(500).json({ error: "Failed to start plan job.", details: err.message });
+  }
+});
+
+/**
+ * POST /api/jobs/upload
+ * Background version of /api/plan/upload. The download stage is skipped.
+ */
+app.post("/api/jobs/upload", planUploadFields, async (req, res) => {
+  try {
+    const request = await parseUploadPlanRequest(req);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+    const { arollFile, b_rolls, planOptions } = request;
+
+    const stages = PLAN_STAGES.filter((stage) => stage.id !== "download");
+    const job = createJob(stages, ({ onProgress, signal }) =>
+      generatePlanFromArollBuffer(arollFile.buffer, b_rolls, { ...planOptions, onProgress, signal })
+    );
+
+    console.log(`Started plan job ${job.id} (file upload: ${arollFile.originalname})`);
+    res.status(202).json(job);
+  } catch (err) {
+    console.error("Job creation error (upload):", err);
+    res.status(500).json({ error: "Failed to start plan job.", details: err.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Returns the job status, and the plan once it has completed.
+ */
+app.get("/api/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+  res.json(job);
+});
+
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of job updates. Sends the current state first,
+ * then one event per change ("progress", "completed", "failed", "cancelled").
+ */
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const isFinished = (status) => ["completed", "failed", "cancelled"].includes(status);
+
+  send(isFinished(job.status) ? job.status : "progress", job);
+  if (isFinished(job.status)) {
+    return res.end();
+  }
+
+  const unsubscribe = subscribeToJob(job.id, ({ event, job: current }) => {
+    send(event, current);
+    if (isFinished(current.status)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  // Keep proxies from closing an idle stream during long stages
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancels a queued or running job.
+ */
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+  console.log(`Job ${job.id}: ${job.status}`);
+  res.json(job);
+});
+
+// Send a rendered file as a download and remove it afterwards
+function sendRenderedFile(res, outputPath) {
+  res.download(outputPath, "broll_render.mp4", (err) => {
+    if (err) console.error("Error sending rendered video:", err);
+    fs.rm(outputPath, { force: true }, () => {});
+  });
+}
+
+/**
+ * POST /api/render
+ * Renders an MP4 from a plan. Body: { plan, a_roll?, b_rolls?, captions? }.
+ * Missing A-roll / B-roll sources are taken from video_url.json, then the B-roll library.
+ * 'captions' (true or caption options) burns the plan's transcript in.
+ */
+app.post("/api/render", async (req, res) => {
+  try {
+    const { plan } = req.body || {};
+    if (!plan || !Array.isArray(plan.insertions)) {
+      return res.status(400).json({ error: "A plan with an insertions array is required." });
+    }
+    const schemaError = planSchemaError(plan);
+    if (schemaError) {
+      return res.status(400).json({ error: schemaError });
+    }
+
+    const brollsError = invalidRenderBrollsError(req.body.b_rolls);
+    if (brollsError) {
+      return res.status(400).json({ error: brollsError });
+    }
+
+    const videoConfig = loadVideoConfig() || {};
+    const a_roll = req.body.a_roll || videoConfig.a_roll;
+    const b_rolls = req.body.b_rolls || videoConfig.b_rolls || [];
+
+    if (!a_roll || !a_roll.url) {
+      return res.status(400).json({ error: "A-roll URL is required." });
+    }
+
+    const { captions, error: captionsError } = readCaptionsOption(req.body.captions, plan);
+    if (captionsError) {
+      return res.status(400).json({ error: captionsError });
+    }
+
+    // Library clips first so explicitly given B-rolls win on id clashes
+    const brolls = new Map(getClipSources().map((source) => [source.id, source]));
+    for (const broll of b_rolls) {
+      brolls.set(broll.id, { id: broll.id, url: broll.url });
+    }
+
+    console.log("Starting render (URL-based)...");
+    const outputPath = join(os.tmpdir(), `broll_render_${Date.now()}.mp4`);
+    await renderVideo({
+      aroll: { url: a_roll.url },
+      brolls: [...brolls.values()],
+      plan,
+      outputPath,
+      options: { captions },
+    });
+
+    sendRenderedFile(res, outputPath);
+  } catch (err) {
+    console.error("Render error:", err);
+    res.status(500).json({
+      error: "Failed to render video.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/render/upload
+ * Renders an MP4 from an uploaded A-roll and a plan (form field 'plan', JSON).
+ * Uploaded B-roll files get the same ids as in /api/plan/upload: the optional
+ * 'broll_ids' field (JSON array), otherwise the file name without extension.
+ * Clips not uploaded come from video_url.json or the B-roll library. The
+ * optional 'captions' field works as in /api/render (JSON).
  */
 app.post(
-  "/api/plan/upload",
-  upload.fields([
-    { name: "aroll", maxCount: 1 },
-    { name: "brolls", maxCount: 10 },
-  ]),
+  "/api/render/upload",
+  planUploadFields,
   async (req, res) => {
     try {
       const arollFile = req.files?.aroll?.[0];
@@ -179,40 +776,151 @@ app.post(
           .json({ error: "A-roll video file (field 'aroll') is required." });
       }
 
-      const videoUrlPath = join(__dirname, "../../video_url.json");
-      if (!fs.existsSync(videoUrlPath)) {
-        return res.status(400).json({
-          error:
-            "video_url.json not found. Please create video_url.json file with B-roll metadata.",
-        });
+      let plan;
+      let brollIds = [];
+      try {
+        plan = parseJsonField(req.body.plan, null, "plan");
+        brollIds = parseJsonField(req.body.broll_ids, [], "broll_ids");
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
       }
-      const videoUrlContent = fs.readFileSync(videoUrlPath, "utf-8");
-      const videoConfig = JSON.parse(videoUrlContent);
-      const { b_rolls } = videoConfig;
-
-      if (!b_rolls || !Array.isArray(b_rolls) || b_rolls.length === 0) {
-        return res.status(400).json({ error: "At least one B-roll is required." });
+      const idsError = brollListFieldError(brollIds, "broll_ids", brollFiles.length);
+      if (idsError) {
+        return res.status(400).json({ error: idsError });
+      }
+      if (!plan || !Array.isArray(plan.insertions)) {
+        return res.status(400).json({ error: "A plan with an insertions array is required." });
+      }
+      const schemaError = planSchemaError(plan);
+      if (schemaError) {
+        return res.status(400).json({ error: schemaError });
+      }
+      const { captions, error: captionsError } = readCaptionsOption(req.body.captions, plan);
+      if (captionsError) {
+        return res.status(400).json({ error: captionsError });
       }
 
-      console.log("Starting plan generation (file upload)...");
-      console.log(`Uploaded A-roll file: ${arollFile.originalname}`);
-      console.log(`Uploaded B-roll files: ${brollFiles.length}`);
-
-      const arollBuffer = arollFile.buffer;
+      const configBrolls = loadVideoConfig()?.b_rolls || [];
+      const brolls = new Map(getClipSources().map((source) => [source.id, source]));
+      for (const broll of configBrolls) {
+        brolls.set(broll.id, { id: broll.id, url: broll.url });
+      }
+      uploadedBrollIds(brollFiles, brollIds).forEach((id, idx) => {
+        brolls.set(id, { id, buffer: brollFiles[idx].buffer });
+      });
 
-      const response = await generatePlanFromArollBuffer(arollBuffer, b_rolls);
+      console.log("Starting render (file upload)...");
+      const outputPath = join(os.tmpdir(), `broll_render_${Date.now()}.mp4`);
+      await renderVideo({
+        aroll: { buffer: arollFile.buffer },
+        brolls: [...brolls.values()],
+        plan,
+        outputPath,
+        options: { captions },
+      });
 
-      res.json(response);
+      sendRenderedFile(res, outputPath);
     } catch (err) {
-      console.error("Plan generation error (upload):", err);
+      console.error("Render error (upload):", err);
       res.status(500).json({
-        error: "Failed to generate plan from uploaded files.",
+        error: "Failed to render video from uploaded files.",
         details: err.message,
       });
     }
   }
 );
 
+/**
+ * POST /api/export/:format
+ * Downloads a plan as an NLE timeline (edl, fcpxml or otio).
+ * Body: { plan, fps?, a_roll?, b_rolls? } - media URLs default to video_url.json.
+ */
+app.post("/api/export/:format", (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`,
+      });
+    }
+
+    const { plan } = req.body || {};
+    if (!plan || !Array.isArray(plan.insertions)) {
+      return res.status(400).json({ error: "A plan with an insertions array is required." });
+    }
+    const schemaError = planSchemaError(plan);
+    if (schemaError) {
+      return res.status(400).json({ error: schemaError });
+    }
+
+    let fps;
+    try {
+      fps = parseFps(req.body.fps);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    const videoConfig = loadVideoConfig() || {};
+    const exported = exportPlan(format, plan, {
+      fps,
+      a_roll: req.body.a_roll || videoConfig.a_roll,
+      b_rolls: req.body.b_rolls || videoConfig.b_rolls,
+    });
+
+    res.setHeader("Content-Type", exported.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="broll_timeline.${exported.extension}"`
+    );
+    res.send(exported.content);
+  } catch (err) {
+    console.error("Export error:", err);
+    res.status(500).json({
+      error: "Failed to export timeline.",
+      details: err.message,
+    });
+  }
+});
+
+/**
+ * POST /api/captions/:format
+ * Downloads the plan's transcript as captions (srt or vtt).
+ * Body: { plan, options? } - see captionService.js for the caption options.
+ */
+app.post("/api/captions/:format", (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!CAPTION_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported caption format. Use one of: ${Object.keys(CAPTION_FORMATS).join(", ")}.`,
+      });
+    }
+
+    const { plan, options } = req.body || {};
+    if (!Array.isArray(plan?.transcript_segments) || plan.transcript_segments.length === 0) {
+      return res.status(400).json({ error: "A plan with transcript_segments is required." });
+    }
+    const optionsError = captionOptionsError(options);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const exported = exportCaptions(format, plan, resolveCaptionOptions(options));
+    res.setHeader("Content-Type", exported.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="broll_captions.${exported.extension}"`
+    );
+    res.send(exported.content);
+  } catch (err) {
+    console.error("Caption export error:", err);
+    res.status(500).json({
+      error: "Failed to export captions.",
+      details: err.message,
+    });
+  }
+});
+
 app.listen(port, () => {
   console.log(`Backend server listening on http://localhost:${port}`);
 });
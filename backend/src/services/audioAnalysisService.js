@@ -0,0 +1,191 @@
+/**
+ * A-roll audio analysis: a loudness envelope and the pauses between phrases.
+ * The planner cuts insertions on pauses rather than mid-word and favours
+ * emphasized (louder than usual) moments; the editor draws the envelope as a
+ * waveform.
+ */
+
+import { runFfmpeg } from "../utils/ffmpeg.js";
+
+// Speech energy sits well below 4 kHz, so a low rate keeps decoding cheap
+const SAMPLE_RATE = 8000;
+const FRAME_SEC = 0.02;
+const WAVEFORM_RESOLUTION_SEC = 0.1;
+const SILENT_DB = -90;
+
+// Pauses are relative to the speaker's level, so quiet recordings still have them
+const PAUSE_BELOW_MEDIAN_DB = 15;
+const MIN_PAUSE_SEC = 0.2;
+
+// Cuts sit this far into a pause: after the last word fades, before the next breath
+const CUT_INTO_PAUSE_SEC = 0.2;
+const SNAP_TOLERANCE_SEC = 0.35;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Analyze 16-bit mono PCM samples
+ * @param {Buffer} pcm - Little-endian signed 16-bit samples
+ * @param {number} sampleRate - Samples per second
+ * @returns {Object} Analysis (see analyzeAudio)
+ */
+export function analyzeSamples(pcm, sampleRate = SAMPLE_RATE) {
+  const frameSize = Math.round(sampleRate * FRAME_SEC);
+  const frameCount = Math.floor(pcm.length / 2 / frameSize);
+  const framesPerBucket = Math.round(WAVEFORM_RESOLUTION_SEC / FRAME_SEC);
+
+  const frameRms = new Float64Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let i = 0; i < frameSize; i++) {
+      const sample = pcm.readInt16LE((frame * frameSize + i) * 2) / 32768;
+      sum += sample * sample;
+    }
+    frameRms[frame] = Math.sqrt(sum / frameSize);
+  }
+  const toDb = (rms) => (rms > 0 ? Math.max(SILENT_DB, 20 * Math.log10(rms)) : SILENT_DB);
+  const frameDb = Array.from(frameRms, toDb);
+
+  // Digital silence (padding, muted stretches) would drag the median down
+  const audible = frameDb.filter((db) => db > SILENT_DB).sort((a, b) => a - b);
+  const medianDb = audible.length > 0 ? audible[Math.floor(audible.length / 2)] : SILENT_DB;
+  const pauseDb = medianDb - PAUSE_BELOW_MEDIAN_DB;
+
+  const silences = [];
+  let pauseStart = null;
+  for (let frame = 0; frame <= frameCount; frame++) {
+    const quiet = frame < frameCount && frameDb[frame] < pauseDb;
+    if (quiet && pauseStart === null) pauseStart = frame;
+    if (!quiet && pauseStart !== null) {
+      if ((frame - pauseStart) * FRAME_SEC >= MIN_PAUSE_SEC) {
+        silences.push({ start_sec: round(pauseStart * FRAME_SEC), end_sec: round(frame * FRAME_SEC) });
+      }
+      pauseStart = null;
+    }
+  }
+
+  const buckets = [];
+  for (let start = 0; start < frameCount; start += framesPerBucket) {
+    const frames = frameRms.subarray(start, start + framesPerBucket);
+    buckets.push(Math.sqrt(frames.reduce((sum, rms) => sum + rms * rms, 0) / frames.length));
+  }
+  const peak = Math.max(0, ...buckets);
+
+  return {
+    duration_sec: round(frameCount * FRAME_SEC),
+    resolution_sec: WAVEFORM_RESOLUTION_SEC,
+    waveform: buckets.map((rms) => (peak > 0 ? round(rms / peak) : 0)),
+    silences,
+    loudness: {
+      median_db: round(medianDb),
+      peak_db: round(toDb(peak)),
+    },
+  };
+}
+
+/**
+ * Analyze the loudness and pauses of an audio (or video) file
+ * @param {string} audioPath - Media file
+ * @param {Object} options - {signal}
+ * @returns {Promise<Object>} {duration_sec, resolution_sec, waveform, silences, loudness}
+ *   where waveform is the RMS level per resolution_sec (0-1, relative to the
+ *   loudest), silences are pauses {start_sec, end_sec} and loudness is
+ *   {median_db, peak_db} in dBFS
+ */
+export async function analyzeAudio(audioPath, options = {}) {
+  const { stdout } = await runFfmpeg(
+    ["-i", audioPath, "-vn", "-ac", "1", "-ar", String(SAMPLE_RATE), "-f", "s16le", "-"],
+    { signal: options.signal }
+  );
+  return analyzeSamples(stdout, SAMPLE_RATE);
+}
+
+/**
+ * Check the shape of an analysis sent back by a client
+ * @param {Object|undefined} analysis - Analysis from a plan
+ * @returns {string|null} Error message, or null if valid
+ */
+export function audioAnalysisError(analysis) {
+  if (analysis === undefined || analysis === null) return null;
+  if (
+    typeof analysis !== "object" ||
+    !(analysis.resolution_sec > 0) ||
+    !Array.isArray(analysis.waveform) ||
+    !Array.isArray(analysis.silences)
+  ) {
+    return "'audio_analysis' must be the audio_analysis object of a plan.";
+  }
+  const invalid = analysis.silences.some(
+    (silence) => !(silence?.end_sec > silence?.start_sec) || !Number.isFinite(silence.start_sec)
+  );
+  return invalid ? "Each audio_analysis silence needs start_sec and a greater end_sec." : null;
+}
+
+/**
+ * Move an insertion window's cuts onto pauses. The start moves into a pause
+ * where speech resumes near the window start (anywhere in the first second
+ * of a segment without word timings); the end moves into the pause closest to
+ * the current end that keeps the duration in range. Cuts without a nearby
+ * pause stay where they are.
+ * @param {Object} window - Insertion window {start_sec, duration_sec, word_ends?}
+ * @param {Object} segment - Transcript segment {start_sec, end_sec, words?}
+ * @param {Object|null} analysis - Result of analyzeAudio
+ * @param {number} minInsertionDuration - Shortest allowed insertion
+ * @param {number} maxInsertionDuration - Longest allowed insertion
+ * @returns {Object} The window, or a copy with snapped cuts
+ */
+export function snapWindowToPauses(window, segment, analysis, minInsertionDuration, maxInsertionDuration) {
+  if (!analysis?.silences?.length) return window;
+
+  const end = window.start_sec + window.duration_sec;
+  const [earliest, latest] =
+    segment.words?.length > 0
+      ? [window.start_sec - SNAP_TOLERANCE_SEC, window.start_sec + SNAP_TOLERANCE_SEC]
+      : [segment.start_sec - SNAP_TOLERANCE_SEC, segment.start_sec + 1];
+  const startPause = analysis.silences
+    .filter((silence) => silence.end_sec >= earliest && silence.end_sec <= latest)
+    .sort((a, b) => Math.abs(a.end_sec - window.start_sec) - Math.abs(b.end_sec - window.start_sec))[0];
+
+  let start = startPause
+    ? Math.max(startPause.start_sec, startPause.end_sec - CUT_INTO_PAUSE_SEC)
+    : window.start_sec;
+  // Snapping the start may not push an unsnapped end out of range
+  if (end - start > maxInsertionDuration) start = window.start_sec;
+
+  const endCuts = analysis.silences
+    .map((silence) => Math.min(silence.end_sec, silence.start_sec + CUT_INTO_PAUSE_SEC))
+    .filter((cut) => cut - start >= minInsertionDuration && cut - start <= maxInsertionDuration)
+    .sort((a, b) => Math.abs(a - end) - Math.abs(b - end));
+  const newEnd = endCuts.length > 0 ? endCuts[0] : end;
+  if (newEnd - start < minInsertionDuration) return window;
+
+  const snapped = { ...window, start_sec: round(start), duration_sec: round(newEnd - start) };
+  if (window.word_ends) {
+    const shift = window.start_sec - start;
+    snapped.word_ends = window.word_ends
+      .map((wordEnd) => round(wordEnd + shift))
+      .filter((wordEnd) => wordEnd >= minInsertionDuration && wordEnd <= snapped.duration_sec);
+  }
+  return snapped;
+}
+
+/**
+ * How emphasized a time range is: its mean level relative to the mean level
+ * of the whole A-roll, from -1 (silent) through 0 (average) to 1 (twice as
+ * loud or more)
+ * @param {Object|null} analysis - Result of analyzeAudio
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {number} Emphasis, 0 without an analysis
+ */
+export function emphasisScore(analysis, start, end) {
+  if (!analysis?.waveform?.length) return 0;
+  const { waveform, resolution_sec: resolution } = analysis;
+
+  const overall = waveform.reduce((sum, level) => sum + level, 0) / waveform.length;
+  const levels = waveform.slice(Math.floor(start / resolution), Math.ceil(end / resolution));
+  if (overall === 0 || levels.length === 0) return 0;
+
+  const mean = levels.reduce((sum, level) => sum + level, 0) / levels.length;
+  return Math.max(-1, Math.min(1, mean / overall - 1));
+}
@@ -0,0 +1,212 @@
+/**
+ * A-roll audio pre-processing for transcription: extract compressed mono
+ * audio with ffmpeg, read the real duration with ffprobe and split long
+ * recordings at silences so every chunk stays under the upload limit of the
+ * transcription API. Chunks are transcribed in parallel and their timestamps
+ * shifted back onto the A-roll timeline.
+ */
+
+import fs from "fs";
+import { join } from "path";
+import { runFfmpeg, probeMedia } from "../utils/ffmpeg.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+
+// Speech-grade MP3: small enough for hours of audio, accepted by every Whisper server
+const AUDIO_BITRATE_KBPS = 32;
+const AUDIO_ENCODE_ARGS = ["-vn", "-ac", "1", "-ar", "16000", "-c:a", "libmp3lame", "-b:a", `${AUDIO_BITRATE_KBPS}k`];
+
+// Silences shorter than this are pauses inside a sentence, not places to cut
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SEC = 0.5;
+
+/**
+ * Chunking settings, from options or the environment
+ * @param {Object} options - {chunkSec, concurrency}
+ * @returns {{chunkSec: number, concurrency: number}}
+ */
+function audioSettings(options = {}) {
+  return {
+    chunkSec: options.chunkSec ?? Number(process.env.TRANSCRIBE_CHUNK_SEC || 600),
+    concurrency: Math.max(1, options.concurrency ?? Number(process.env.TRANSCRIBE_CONCURRENCY || 3)),
+  };
+}
+
+/**
+ * Detect silences in an audio file with ffmpeg's silencedetect filter. The
+ * filter metadata goes to a file, since stderr is truncated on long inputs.
+ * @param {string} audioPath - Audio file
+ * @param {string} workDir - Directory for the metadata file
+ * @param {Object} options - {signal}
+ * @returns {Promise<Array>} Silences {start_sec, end_sec} in time order
+ */
+async function detectSilences(audioPath, workDir, options = {}) {
+  // Relative to cwd so Windows drive letters never appear inside the filter string
+  const metadataFile = "silences.txt";
+  await runFfmpeg(
+    [
+      "-nostats",
+      "-i",
+      audioPath,
+      "-af",
+      `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SEC},ametadata=mode=print:file=${metadataFile}`,
+      "-f",
+      "null",
+      "-",
+    ],
+    { signal: options.signal, cwd: workDir }
+  );
+
+  const silences = [];
+  const metadataPath = join(workDir, metadataFile);
+  const metadata = fs.existsSync(metadataPath) ? fs.readFileSync(metadataPath, "utf-8") : "";
+  for (const [, kind, value] of metadata.matchAll(/lavfi\.silence_(start|end)=(-?[\d.]+)/g)) {
+    if (kind === "start") {
+      silences.push({ start_sec: Math.max(0, Number(value)), end_sec: null });
+    } else if (silences.length > 0 && silences[silences.length - 1].end_sec === null) {
+      silences[silences.length - 1].end_sec = Number(value);
+    }
+  }
+  // A silence still open at the end of the file is trailing silence, not a gap
+  return silences.filter((silence) => silence.end_sec !== null);
+}
+
+/**
+ * Choose chunk boundaries no longer than maxChunkSec. Each cut goes in the
+ * middle of the longest silence in the second half of the chunk; without one
+ * the chunk is cut at its maximum length.
+ * @param {number} duration - Audio duration in seconds
+ * @param {Array} silences - Silences {start_sec, end_sec}
+ * @param {number} maxChunkSec - Longest chunk in seconds
+ * @returns {Array} Chunks {start_sec, end_sec}
+ */
+export function chunkBoundaries(duration, silences, maxChunkSec) {
+  const chunks = [];
+  let start = 0;
+  while (duration - start > maxChunkSec) {
+    const limit = start + maxChunkSec;
+    const candidates = silences
+      .map((silence) => ({ ...silence, middle: (silence.start_sec + silence.end_sec) / 2 }))
+      .filter((silence) => silence.middle > start + maxChunkSec / 2 && silence.middle <= limit);
+    const best = candidates.reduce(
+      (longest, silence) =>
+        !longest || silence.end_sec - silence.start_sec > longest.end_sec - longest.start_sec
+          ? silence
+          : longest,
+      null
+    );
+
+    const end = best ? best.middle : limit;
+    chunks.push({ start_sec: start, end_sec: end });
+    start = end;
+  }
+  chunks.push({ start_sec: start, end_sec: duration });
+  return chunks;
+}
+
+/**
+ * Extract the A-roll audio and split it into chunks the transcription API
+ * accepts. Files are written to workDir, which the caller owns and removes.
+ * @param {string} videoPath - A-roll video file
+ * @param {string} workDir - Private temp directory of the request
+ * @param {Object} options - {signal, chunkSec, maxUploadBytes}
+ * @returns {Promise<{path: string, chunks: Array, duration_sec: number}>} The whole
+ *   extracted audio, its chunks {path, start_sec, end_sec} and the real duration of the A-roll
+ */
+export async function prepareTranscriptionAudio(videoPath, workDir, options = {}) {
+  const { chunkSec } = audioSettings(options);
+
+  const info = await probeMedia(videoPath);
+  if (!info.has_audio) {
+    throw new Error("The A-roll has no audio track to transcribe.");
+  }
+
+  const audioPath = join(workDir, "audio.mp3");
+  await runFfmpeg(["-y", "-i", videoPath, ...AUDIO_ENCODE_ARGS, audioPath], {
+    signal: options.signal,
+  });
+
+  const duration = info.duration_sec || (await probeMedia(audioPath)).duration_sec;
+
+  // Leave 10% headroom under the upload limit for container overhead
+  const bytesPerSec = (AUDIO_BITRATE_KBPS * 1000) / 8;
+  const maxChunkSec = options.maxUploadBytes
+    ? Math.min(chunkSec, (options.maxUploadBytes * 0.9) / bytesPerSec)
+    : chunkSec;
+  if (duration <= maxChunkSec) {
+    return {
+      path: audioPath,
+      chunks: [{ path: audioPath, start_sec: 0, end_sec: duration }],
+      duration_sec: duration,
+    };
+  }
+
+  const silences = await detectSilences(audioPath, workDir, options);
+  const boundaries = chunkBoundaries(duration, silences, maxChunkSec);
+  console.log(
+    `Split ${duration.toFixed(1)}s of audio into ${boundaries.length} chunks at ${silences.length} detected silences`
+  );
+
+  const chunks = [];
+  for (const [idx, boundary] of boundaries.entries()) {
+    const chunkPath = join(workDir, `chunk_${idx}.mp3`);
+    // Re-encoding (rather than stream copy) starts the chunk exactly at the cut
+    await runFfmpeg(
+      [
+        "-y",
+        "-ss",
+        boundary.start_sec.toFixed(3),
+        "-t",
+        (boundary.end_sec - boundary.start_sec).toFixed(3),
+        "-i",
+        audioPath,
+        ...AUDIO_ENCODE_ARGS,
+        chunkPath,
+      ],
+      { signal: options.signal }
+    );
+    chunks.push({ path: chunkPath, ...boundary });
+  }
+  return { path: audioPath, chunks, duration_sec: duration };
+}
+
+/**
+ * Transcribe audio chunks in parallel and stitch the transcripts together,
+ * shifting each chunk's segment and word times by the chunk start
+ * @param {Object} provider - Transcription provider
+ * @param {Array} chunks - Chunks {path, start_sec, end_sec}
+ * @param {Object} options - {signal, concurrency}
+ * @returns {Promise<{segments: Array, words: Array, duration_sec: number}>} Transcript
+ */
+export async function transcribeChunks(provider, chunks, options = {}) {
+  const { concurrency } = audioSettings(options);
+
+  const transcripts = await mapWithConcurrency(chunks, concurrency, async (chunk, idx) => {
+    if (chunks.length > 1) {
+      console.log(
+        `Transcribing chunk ${idx + 1}/${chunks.length} (${chunk.start_sec.toFixed(1)}s-${chunk.end_sec.toFixed(1)}s)`
+      );
+    }
+    return provider.transcribe(fs.readFileSync(chunk.path), `chunk_${idx}.mp3`, {
+      signal: options.signal,
+    });
+  });
+
+  const shift = (item, offset) => ({
+    ...item,
+    start_sec: item.start_sec + offset,
+    end_sec: item.end_sec + offset,
+  });
+  // Word timings are only usable if every chunk with speech has them
+  const hasWords = transcripts.every(
+    (transcript) => transcript.words?.length > 0 || !transcript.segments?.length
+  );
+  const segments = [];
+  const words = [];
+  transcripts.forEach((transcript, idx) => {
+    const offset = chunks[idx].start_sec;
+    segments.push(...(transcript.segments || []).map((segment) => shift(segment, offset)));
+    if (hasWords) words.push(...(transcript.words || []).map((word) => shift(word, offset)));
+  });
+
+  return { segments, words, duration_sec: chunks[chunks.length - 1].end_sec };
+}
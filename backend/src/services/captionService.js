@@ -0,0 +1,455 @@
+/**
+ * Captions from a plan's transcript: cues that respect line-length and
+ * reading-speed limits, written as SubRip (SRT), WebVTT or, for burning into
+ * a render, Advanced SubStation Alpha (ASS). Word timings drive optional
+ * karaoke-style cues that highlight each word as it is spoken.
+ */
+
+import { prepareEditedTranscript } from "./transcriptService.js";
+
+// Allowed API options: internal key and valid range (karaoke is a boolean)
+const OPTION_SPECS = {
+  max_chars_per_line: { key: "maxCharsPerLine", min: 10, max: 80, integer: true },
+  max_lines: { key: "maxLines", min: 1, max: 3, integer: true },
+  // Reading speed; cues are held longer (into the following pause) to meet it
+  max_chars_per_sec: { key: "maxCharsPerSec", min: 5, max: 40 },
+  min_duration_sec: { key: "minDurationSec", min: 0.3, max: 5 },
+  max_duration_sec: { key: "maxDurationSec", min: 1, max: 10 },
+};
+
+// Broadcast-style defaults; portrait burn-ins use shorter lines (see captionLayout)
+const DEFAULT_OPTIONS = {
+  maxCharsPerLine: 42,
+  maxLines: 2,
+  maxCharsPerSec: 17,
+  minDurationSec: 0.8,
+  maxDurationSec: 6,
+  karaoke: false,
+};
+
+// Cues end this long before the next one so players never show two at once
+const CUE_GAP_SEC = 0.05;
+// A clause break this far into a full cue is preferred over filling it up
+const CLAUSE_BREAK_MIN_FILL = 0.5;
+const CLAUSE_END = /[,;:—–.!?।॥…]["')\]]*$/;
+
+const KARAOKE_HIGHLIGHT = "#FFD400";
+
+export const CAPTION_FORMATS = {
+  srt: { extension: "srt", contentType: "application/x-subrip" },
+  vtt: { extension: "vtt", contentType: "text/vtt" },
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const charCount = (text) => Array.from(text).length;
+const wordsText = (words) => words.map((word) => word.text).join(" ");
+
+/**
+ * Check caption options from a request
+ * @param {Object|undefined} options - snake_case caption options
+ * @returns {string|null} Error message, or null if valid
+ */
+export function captionOptionsError(options) {
+  if (options === undefined || options === null) return null;
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return "Caption options must be an object.";
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    if (name === "karaoke") {
+      if (typeof value !== "boolean") return 'Caption option "karaoke" must be a boolean.';
+      continue;
+    }
+    const spec = OPTION_SPECS[name];
+    if (!spec) {
+      return `Unknown caption option "${name}". Use any of: karaoke, ${Object.keys(OPTION_SPECS).join(", ")}.`;
+    }
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `Caption option "${name}" must be a number.`;
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+      return `Caption option "${name}" must be an integer.`;
+    }
+    if (value < spec.min || value > spec.max) {
+      return `Caption option "${name}" must be between ${spec.min} and ${spec.max}.`;
+    }
+  }
+
+  const minDuration = options.min_duration_sec ?? DEFAULT_OPTIONS.minDurationSec;
+  if (minDuration > (options.max_duration_sec ?? DEFAULT_OPTIONS.maxDurationSec)) {
+    return "min_duration_sec cannot be greater than max_duration_sec.";
+  }
+  return null;
+}
+
+/**
+ * Resolve request options (validate with captionOptionsError first)
+ * @param {Object|undefined} options - snake_case caption options
+ * @param {Object} defaults - camelCase overrides of the built-in defaults
+ * @returns {Object} camelCase options
+ */
+export function resolveCaptionOptions(options = {}, defaults = {}) {
+  const resolved = { ...DEFAULT_OPTIONS, ...defaults };
+  for (const [name, value] of Object.entries(options || {})) {
+    resolved[name === "karaoke" ? "karaoke" : OPTION_SPECS[name].key] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Split a run of words into cues no longer than the cue size limits,
+ * breaking after a clause when one falls late enough in the cue
+ * @param {Array} words - Words {text, start_sec, end_sec}
+ * @param {Object} options - Resolved caption options
+ * @returns {Array} Arrays of words, one per cue
+ */
+function splitIntoCues(words, options) {
+  const maxChars = options.maxCharsPerLine * options.maxLines;
+  const cues = [];
+  let current = [];
+
+  for (const word of words) {
+    const fits =
+      current.length === 0 ||
+      (charCount(wordsText([...current, word])) <= maxChars &&
+        word.end_sec - current[0].start_sec <= options.maxDurationSec);
+    if (fits) {
+      current.push(word);
+      continue;
+    }
+
+    let breakAt = current.length;
+    for (let i = current.length - 1; i > 0; i--) {
+      if (charCount(wordsText(current.slice(0, i))) < maxChars * CLAUSE_BREAK_MIN_FILL) break;
+      if (CLAUSE_END.test(current[i - 1].text)) {
+        breakAt = i;
+        break;
+      }
+    }
+    cues.push(current.slice(0, breakAt));
+    current = [...current.slice(breakAt), word];
+  }
+  if (current.length > 0) cues.push(current);
+  return cues;
+}
+
+/**
+ * Break a cue's words into balanced lines
+ * @param {Array} words - Words of one cue
+ * @param {Object} options - Resolved caption options
+ * @returns {Array} Arrays of words, one per line
+ */
+function breakLines(words, options) {
+  const total = charCount(wordsText(words));
+  const lineCount = Math.min(
+    options.maxLines,
+    words.length,
+    Math.ceil(total / options.maxCharsPerLine)
+  );
+  if (lineCount <= 1) return [words];
+
+  // Even lines read best; a line is closed once it reaches its share
+  const target = total / lineCount;
+  const lines = [];
+  let current = [];
+  for (const [idx, word] of words.entries()) {
+    const remainingWords = words.length - idx;
+    const remainingLines = lineCount - lines.length;
+    const length = charCount(wordsText([...current, word]));
+    const closeLine =
+      current.length > 0 &&
+      remainingLines > 1 &&
+      (length > options.maxCharsPerLine ||
+        remainingWords < remainingLines ||
+        Math.abs(length - target) > Math.abs(charCount(wordsText(current)) - target));
+    if (closeLine) {
+      lines.push(current);
+      current = [];
+    }
+    current.push(word);
+  }
+  lines.push(current);
+  return lines;
+}
+
+/**
+ * Build caption cues from a plan's transcript. Cues never span two transcript
+ * segments. Short or dense cues are held on screen longer, up to the start of
+ * the next cue, to meet the minimum duration and reading speed.
+ * @param {Array} segments - Transcript segments {start_sec, end_sec, text, words?}
+ * @param {Object} options - Resolved caption options
+ * @returns {Array} Cues {start_sec, end_sec, lines: [[{text, start_sec, end_sec}]], text}
+ */
+export function buildCaptionCues(segments, options = DEFAULT_OPTIONS) {
+  // Words are estimated for segments without (or with edited) word timings
+  const { segments: timed } = prepareEditedTranscript({ segments });
+
+  const cues = timed.flatMap((segment) =>
+    splitIntoCues(segment.words, options).map((words, idx, all) => ({
+      start_sec: idx === 0 ? segment.start_sec : words[0].start_sec,
+      end_sec: idx === all.length - 1 ? segment.end_sec : words[words.length - 1].end_sec,
+      lines: breakLines(words, options),
+    }))
+  );
+
+  return cues.map((cue, idx) => {
+    const text = cue.lines.map(wordsText).join("\n");
+    const readingTime = charCount(text.replace(/\n/g, " ")) / options.maxCharsPerSec;
+    const wanted = Math.max(options.minDurationSec, readingTime);
+    const limit = idx < cues.length - 1 ? cues[idx + 1].start_sec - CUE_GAP_SEC : Infinity;
+    const end = Math.max(cue.end_sec, Math.min(cue.start_sec + wanted, limit));
+    return { start_sec: round(cue.start_sec), end_sec: round(end), lines: cue.lines, text };
+  });
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Decimal separator ("," for SRT, "." for VTT)
+ * @returns {string} HH:MM:SS,mmm
+ */
+function timestamp(seconds, separator) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return (
+    `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:` +
+    `${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`
+  );
+}
+
+/**
+ * Escape caption text for the HTML-like markup of SRT and VTT
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Write cues as SubRip. SRT has no inline timing, so karaoke cues are split
+ * into one cue per word with the spoken word highlighted.
+ * @param {Array} cues - Cues from buildCaptionCues
+ * @param {Object} options - {karaoke}
+ * @returns {string} SRT text
+ */
+export function formatSrt(cues, options = {}) {
+  const blocks = [];
+  for (const cue of cues) {
+    if (!options.karaoke) {
+      blocks.push([cue.start_sec, cue.end_sec, cue.lines.map((line) => escapeMarkup(wordsText(line)))]);
+      continue;
+    }
+
+    const words = cue.lines.flat();
+    words.forEach((word, idx) => {
+      const start = idx === 0 ? cue.start_sec : word.start_sec;
+      const end = idx < words.length - 1 ? words[idx + 1].start_sec : cue.end_sec;
+      if (end <= start) return;
+      const lines = cue.lines.map((line) =>
+        line
+          .map((lineWord) =>
+            lineWord === word
+              ? `<font color="${KARAOKE_HIGHLIGHT}">${escapeMarkup(lineWord.text)}</font>`
+              : escapeMarkup(lineWord.text)
+          )
+          .join(" ")
+      );
+      blocks.push([start, end, lines]);
+    });
+  }
+
+  return blocks
+    .map(([start, end, lines], idx) =>
+      [String(idx + 1), `${timestamp(start, ",")} --> ${timestamp(end, ",")}`, ...lines].join("\n")
+    )
+    .join("\n\n")
+    .concat("\n");
+}
+
+/**
+ * Write cues as WebVTT. Karaoke cues carry a timestamp tag before each word,
+ * which players expose through the ::cue(:past) and ::cue(:future) styles.
+ * @param {Array} cues - Cues from buildCaptionCues
+ * @param {Object} options - {karaoke}
+ * @returns {string} WebVTT text
+ */
+export function formatVtt(cues, options = {}) {
+  const blocks = cues.map((cue) => {
+    const lines = cue.lines.map((line) =>
+      line
+        .map((word) => {
+          const text = escapeMarkup(word.text);
+          return options.karaoke && word.start_sec > cue.start_sec
+            ? `<${timestamp(word.start_sec, ".")}>${text}`
+            : text;
+        })
+        .join(" ")
+    );
+    return [`${timestamp(cue.start_sec, ".")} --> ${timestamp(cue.end_sec, ".")}`, ...lines].join("\n");
+  });
+
+  const header = options.karaoke
+    ? [
+        "WEBVTT",
+        "",
+        "STYLE",
+        "::cue(:future) {\n  color: #ffffff;\n}",
+        `::cue(:past) {\n  color: ${KARAOKE_HIGHLIGHT};\n}`,
+      ].join("\n")
+    : "WEBVTT";
+  return [header, ...blocks].join("\n\n").concat("\n");
+}
+
+/**
+ * Export a plan's transcript as captions
+ * @param {string} format - One of the CAPTION_FORMATS keys
+ * @param {Object} plan - Plan with transcript_segments
+ * @param {Object} options - Resolved caption options
+ * @returns {{content: string, extension: string, contentType: string}} Caption file
+ */
+export function exportCaptions(format, plan, options = DEFAULT_OPTIONS) {
+  const entry = CAPTION_FORMATS[format];
+  if (!entry) {
+    throw new Error(
+      `Unknown caption format "${format}". Expected one of: ${Object.keys(CAPTION_FORMATS).join(", ")}.`
+    );
+  }
+  if (!Array.isArray(plan?.transcript_segments) || plan.transcript_segments.length === 0) {
+    throw new Error("The plan has no transcript_segments to caption.");
+  }
+
+  const cues = buildCaptionCues(plan.transcript_segments, options);
+  return {
+    content: format === "srt" ? formatSrt(cues, options) : formatVtt(cues, options),
+    extension: entry.extension,
+    contentType: entry.contentType,
+  };
+}
+
+/**
+ * Caption layout for burning into a video: short-form portrait videos get
+ * shorter lines and sit higher, clear of the app buttons along the bottom
+ * @param {number} width - Video width in pixels
+ * @param {number} height - Video height in pixels
+ * @returns {Object} {fontSize, marginV, marginH, maxCharsPerLine}
+ */
+export function captionLayout(width, height) {
+  const portrait = height > width;
+  return {
+    fontSize: Math.round(Math.min(width, height) * 0.055),
+    marginV: Math.round(height * (portrait ? 0.18 : 0.07)),
+    marginH: Math.round(width * 0.06),
+    maxCharsPerLine: portrait ? 30 : 42,
+  };
+}
+
+/**
+ * ASS colour (&HAABBGGRR) from #RRGGBB and an opacity
+ * @param {string} hex - #RRGGBB
+ * @param {number} opacity - 0 (transparent) to 1
+ * @returns {string} ASS colour
+ */
+function assColour(hex, opacity = 1) {
+  const [r, g, b] = [1, 3, 5].map((idx) => hex.slice(idx, idx + 2));
+  const alpha = Math.round((1 - opacity) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+/**
+ * Format seconds as an ASS timestamp
+ * @param {number} seconds - Time in seconds
+ * @returns {string} H:MM:SS.cc
+ */
+function assTimestamp(seconds) {
+  const cs = Math.round(seconds * 100);
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:` +
+    `${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`
+  );
+}
+
+/**
+ * Write cues as an ASS script for burning in with ffmpeg's subtitles filter.
+ * Over the A-roll captions are outlined text; over B-roll, whose picture is
+ * unknown and often bright or busy, they sit on a translucent box. Cues
+ * that span an insertion edge are split there so each part gets its style.
+ * @param {Array} cues - Cues from buildCaptionCues
+ * @param {Array} insertions - Plan insertions {start_sec, duration_sec}
+ * @param {Object} video - {width, height}
+ * @param {Object} options - {karaoke}
+ * @returns {string} ASS script
+ */
+export function formatAss(cues, insertions, video, options = {}) {
+  const { width, height } = video;
+  const layout = captionLayout(width, height);
+  const outline = Math.max(2, Math.round(layout.fontSize / 14));
+  // Karaoke sweeps words from the secondary to the primary colour as they are spoken
+  const primary = assColour(options.karaoke ? KARAOKE_HIGHLIGHT : "#FFFFFF");
+  const secondary = assColour("#FFFFFF");
+  // With BorderStyle 3 the outline colour fills the box behind the text
+  const style = (name, borderStyle, outlineColour, backColour) =>
+    `Style: ${name},Arial,${layout.fontSize},${primary},${secondary},${outlineColour},${backColour},` +
+    `-1,0,0,0,100,100,0,0,${borderStyle},${outline},${borderStyle === 1 ? 1 : 0},2,` +
+    `${layout.marginH},${layout.marginH},${layout.marginV},1`;
+
+  const edges = insertions.flatMap((insertion) => [
+    insertion.start_sec,
+    insertion.start_sec + insertion.duration_sec,
+  ]);
+  const overBroll = (time) =>
+    insertions.some(
+      (insertion) => time >= insertion.start_sec && time < insertion.start_sec + insertion.duration_sec
+    );
+
+  const events = [];
+  for (const cue of cues) {
+    const inside = edges.filter((edge) => edge > cue.start_sec && edge < cue.end_sec);
+    const cuts = [cue.start_sec, ...inside.sort((a, b) => a - b), cue.end_sec];
+    const words = cue.lines.flat();
+
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const [start, end] = [cuts[i], cuts[i + 1]];
+      const text = cue.lines
+        .map((line) =>
+          line
+            .map((word) => {
+              const clean = word.text.replace(/[{}\\]/g, "");
+              if (!options.karaoke) return clean;
+              // Time of this word inside this part, so the sweep continues across parts
+              const idx = words.indexOf(word);
+              const wordStart = idx === 0 ? cue.start_sec : word.start_sec;
+              const wordEnd = idx < words.length - 1 ? words[idx + 1].start_sec : cue.end_sec;
+              const seconds = Math.max(0, Math.min(wordEnd, end) - Math.max(wordStart, start));
+              return `{\\kf${Math.round(seconds * 100)}}${clean}`;
+            })
+            .join(" ")
+        )
+        .join("\\N");
+      const styleName = overBroll((start + end) / 2) ? "Broll" : "Speaker";
+      events.push(`Dialogue: 0,${assTimestamp(start)},${assTimestamp(end)},${styleName},,0,0,0,,${text}`);
+    }
+  }
+
+  return [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    "WrapStyle: 2",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    style("Speaker", 1, assColour("#000000"), assColour("#000000", 0.6)),
+    style("Broll", 3, assColour("#000000", 0.55), assColour("#000000", 0)),
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ...events,
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,402 @@
+/**
+ * Plan-quality evaluation: plans A-roll transcripts with several planner
+ * configurations and scores each plan against human-labeled reference
+ * insertions, so changes to the planner, its thresholds or the embedding
+ * model can be compared on numbers rather than by eye.
+ *
+ * An evaluation case is a JSON file:
+ *   {id, aroll_duration_sec, transcript_segments: [{start_sec, end_sec, text}],
+ *    words?, b_rolls: [{id, metadata, duration_sec?}],
+ *    reference_insertions: [{start_sec, duration_sec, broll_id}],
+ *    audio_analysis?, aroll_cuts?}
+ */
+
+import fs from "fs";
+import { basename, extname, join } from "path";
+import { MAX_PLAN_VARIANTS, generatePlanFromTranscript } from "./planService.js";
+import { resegmentTranscript, transcriptValidationError } from "./transcriptService.js";
+import { PLANNER_STRATEGIES, SCORING_MODES } from "./matchingService.js";
+import { DEFAULT_PRESET, plannerOptionsError } from "./plannerPresets.js";
+
+// A generated insertion matches a reference one when they overlap at least this much
+export const IOU_MATCH_THRESHOLD = 0.3;
+
+// Configurations compared when none are given; the first is the baseline
+export const DEFAULT_EVAL_CONFIGS = [
+  { name: "greedy-hybrid", strategy: "greedy", scoring: "hybrid" },
+  { name: "optimal-hybrid", strategy: "optimal", scoring: "hybrid" },
+  { name: "greedy-semantic", strategy: "greedy", scoring: "semantic" },
+  { name: "greedy-semantic-variants", strategy: "greedy", scoring: "semantic", variants: 3 },
+];
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Intersection over union of two insertions' time ranges
+ * @param {Object} a - Insertion {start_sec, duration_sec}
+ * @param {Object} b - Insertion {start_sec, duration_sec}
+ * @returns {number} IoU (0-1)
+ */
+function intervalIou(a, b) {
+  const overlap = Math.max(
+    0,
+    Math.min(a.start_sec + a.duration_sec, b.start_sec + b.duration_sec) - Math.max(a.start_sec, b.start_sec)
+  );
+  const union = a.duration_sec + b.duration_sec - overlap;
+  return union > 0 ? overlap / union : 0;
+}
+
+/**
+ * Pair generated and reference insertions one-to-one, best overlap first
+ * @param {Array} generated - Generated insertions
+ * @param {Array} reference - Reference insertions
+ * @returns {Array} Pairs {generated, reference, iou} with iou >= IOU_MATCH_THRESHOLD
+ */
+function matchInsertions(generated, reference) {
+  const candidates = [];
+  for (const gen of generated) {
+    for (const ref of reference) {
+      const iou = intervalIou(gen, ref);
+      if (iou >= IOU_MATCH_THRESHOLD) candidates.push({ generated: gen, reference: ref, iou });
+    }
+  }
+  candidates.sort((a, b) => b.iou - a.iou);
+
+  const pairs = [];
+  const used = new Set();
+  for (const candidate of candidates) {
+    if (used.has(candidate.generated) || used.has(candidate.reference)) continue;
+    used.add(candidate.generated);
+    used.add(candidate.reference);
+    pairs.push(candidate);
+  }
+  return pairs;
+}
+
+/**
+ * Merge insertions into disjoint time ranges
+ * @param {Array} insertions - Insertions {start_sec, duration_sec}
+ * @returns {Array} Ranges [start, end] in time order
+ */
+function coveredRanges(insertions) {
+  const ranges = insertions
+    .map((insertion) => [insertion.start_sec, insertion.start_sec + insertion.duration_sec])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+}
+
+const rangesLength = (ranges) => ranges.reduce((sum, [start, end]) => sum + end - start, 0);
+
+/**
+ * Seconds covered by both sets of ranges
+ * @param {Array} a - Disjoint ranges
+ * @param {Array} b - Disjoint ranges
+ * @returns {number} Overlap in seconds
+ */
+function rangesOverlap(a, b) {
+  let total = 0;
+  for (const [startA, endA] of a) {
+    for (const [startB, endB] of b) {
+      total += Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+    }
+  }
+  return total;
+}
+
+/**
+ * Pacing statistics of a set of insertions
+ * @param {Array} insertions - Insertions {start_sec, duration_sec}
+ * @param {number} duration - A-roll duration in seconds
+ * @returns {Object} {count, per_minute, mean_duration_sec, mean_gap_sec, gap_std_sec}
+ */
+function pacingStats(insertions, duration) {
+  const sorted = [...insertions].sort((a, b) => a.start_sec - b.start_sec);
+  const gaps = sorted
+    .slice(1)
+    .map((insertion, idx) => insertion.start_sec - (sorted[idx].start_sec + sorted[idx].duration_sec));
+  const meanGap = mean(gaps);
+  return {
+    count: sorted.length,
+    per_minute: round(duration > 0 ? (sorted.length / duration) * 60 : 0),
+    mean_duration_sec: round(mean(sorted.map((insertion) => insertion.duration_sec))),
+    mean_gap_sec: round(meanGap),
+    gap_std_sec: round(meanGap === null ? null : Math.sqrt(mean(gaps.map((gap) => (gap - meanGap) ** 2)))),
+  };
+}
+
+/**
+ * Score a plan's insertions against reference insertions
+ * @param {Array} generated - Generated insertions {start_sec, duration_sec, broll_id}
+ * @param {Array} reference - Reference insertions {start_sec, duration_sec, broll_id}
+ * @param {number} duration - A-roll duration in seconds
+ * @returns {Object} {timing, clips, coverage, pacing} where timing holds
+ *   precision/recall/f1 of matched insertions, the mean best IoU per
+ *   reference insertion, the IoU of the covered time and the mean start
+ *   offset of matches; clips holds the share of matches using the same clip
+ *   and the Jaccard index of the clip sets
+ */
+export function evaluateInsertions(generated, reference, duration) {
+  const pairs = matchInsertions(generated, reference);
+  const precision = generated.length > 0 ? pairs.length / generated.length : reference.length === 0 ? 1 : 0;
+  const recall = reference.length > 0 ? pairs.length / reference.length : 1;
+
+  const generatedRanges = coveredRanges(generated);
+  const referenceRanges = coveredRanges(reference);
+  const overlap = rangesOverlap(generatedRanges, referenceRanges);
+  const union = rangesLength(generatedRanges) + rangesLength(referenceRanges) - overlap;
+
+  const generatedClips = new Set(generated.map((insertion) => insertion.broll_id));
+  const referenceClips = new Set(reference.map((insertion) => insertion.broll_id));
+  const sharedClips = [...generatedClips].filter((id) => referenceClips.has(id)).length;
+  const allClips = new Set([...generatedClips, ...referenceClips]).size;
+
+  const generatedCoverage = duration > 0 ? rangesLength(generatedRanges) / duration : 0;
+  const referenceCoverage = duration > 0 ? rangesLength(referenceRanges) / duration : 0;
+
+  return {
+    timing: {
+      precision: round(precision),
+      recall: round(recall),
+      f1: round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0),
+      mean_iou: round(
+        mean(reference.map((ref) => Math.max(0, ...generated.map((gen) => intervalIou(gen, ref))))) ?? 1
+      ),
+      timeline_iou: round(union > 0 ? overlap / union : 1),
+      mean_start_offset_sec: round(
+        mean(pairs.map((pair) => Math.abs(pair.generated.start_sec - pair.reference.start_sec)))
+      ),
+    },
+    clips: {
+      agreement: round(
+        mean(pairs.map((pair) => (pair.generated.broll_id === pair.reference.broll_id ? 1 : 0)))
+      ),
+      jaccard: round(allClips > 0 ? sharedClips / allClips : 1),
+    },
+    coverage: {
+      generated: round(generatedCoverage),
+      reference: round(referenceCoverage),
+      difference: round(generatedCoverage - referenceCoverage),
+    },
+    pacing: {
+      generated: pacingStats(generated, duration),
+      reference: pacingStats(reference, duration),
+    },
+  };
+}
+
+/**
+ * Average metrics over cases, leaf by leaf, skipping missing (null) values
+ * @param {Array} metricsList - Results of evaluateInsertions
+ * @returns {Object} Averaged metrics with the same shape
+ */
+export function averageMetrics(metricsList) {
+  const average = (nodes) => {
+    const sample = nodes.find((node) => node !== null && node !== undefined);
+    if (sample === undefined) return null;
+    if (typeof sample === "number") {
+      return round(mean(nodes.filter((node) => typeof node === "number")));
+    }
+    return Object.fromEntries(Object.keys(sample).map((key) => [key, average(nodes.map((node) => node?.[key]))]));
+  };
+  return average(metricsList);
+}
+
+/**
+ * Check an evaluation case
+ * @param {Object} evalCase - Case object
+ * @returns {string|null} Error message, or null if valid
+ */
+export function evalCaseError(evalCase) {
+  const transcriptError = transcriptValidationError(
+    evalCase?.transcript_segments,
+    evalCase?.aroll_duration_sec
+  );
+  if (transcriptError) return transcriptError;
+  if (!Array.isArray(evalCase.b_rolls) || evalCase.b_rolls.length === 0) {
+    return "An evaluation case needs b_rolls.";
+  }
+  if (!Array.isArray(evalCase.reference_insertions)) {
+    return "An evaluation case needs reference_insertions.";
+  }
+  const bad = evalCase.reference_insertions.find(
+    (insertion) =>
+      !Number.isFinite(insertion?.start_sec) || !(insertion.duration_sec > 0) || typeof insertion.broll_id !== "string"
+  );
+  return bad ? "Each reference insertion needs start_sec, a positive duration_sec and a broll_id." : null;
+}
+
+/**
+ * Check a planner configuration
+ * @param {Object} config - {name, strategy?, scoring?, preset?, options?, variants?}
+ * @returns {string|null} Error message, or null if valid
+ */
+export function evalConfigError(config) {
+  if (!config || typeof config.name !== "string" || !config.name) {
+    return "Each configuration needs a name.";
+  }
+  if (config.strategy && !PLANNER_STRATEGIES.includes(config.strategy)) {
+    return `Configuration "${config.name}": unknown strategy "${config.strategy}".`;
+  }
+  if (config.scoring && !SCORING_MODES.includes(config.scoring)) {
+    return `Configuration "${config.name}": unknown scoring "${config.scoring}".`;
+  }
+  if (
+    config.variants !== undefined &&
+    !(Number.isInteger(config.variants) && config.variants >= 1 && config.variants <= MAX_PLAN_VARIANTS)
+  ) {
+    return `Configuration "${config.name}": variants must be an integer between 1 and ${MAX_PLAN_VARIANTS}.`;
+  }
+  const optionsError = plannerOptionsError(config.preset || DEFAULT_PRESET, config.options);
+  return optionsError ? `Configuration "${config.name}": ${optionsError}` : null;
+}
+
+/**
+ * Load every *.json evaluation case in a folder
+ * @param {string} dir - Folder of cases
+ * @returns {Array} Cases, each with an id (the file name unless set)
+ */
+export function loadEvalCases(dir) {
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => extname(file) === ".json")
+    .sort();
+
+  return files.map((file) => {
+    const evalCase = JSON.parse(fs.readFileSync(join(dir, file), "utf-8"));
+    const error = evalCaseError(evalCase);
+    if (error) {
+      throw new Error(`${file}: ${error}`);
+    }
+    return { id: basename(file, ".json"), ...evalCase };
+  });
+}
+
+/**
+ * Plan every case with every configuration and score the plans. Metrics
+ * score the first variant; a configuration asking for several variants fails
+ * a case when the planner returns only one distinct plan for it.
+ * @param {Array} cases - Evaluation cases (see loadEvalCases)
+ * @param {Array} configs - Planner configurations; the first is the baseline
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Object>} Report {embedding_model, cases, configs: [{name,
+ *   settings, metrics, cases: [{id, metrics, error?}]}]} where metrics are
+ *   averaged over the cases that planned
+ */
+export async function runEvaluation(cases, configs, provider) {
+  const results = [];
+  for (const config of configs) {
+    const { name, ...settings } = config;
+    const caseResults = [];
+
+    for (const evalCase of cases) {
+      try {
+        const transcript = resegmentTranscript({
+          segments: evalCase.transcript_segments,
+          words: evalCase.words,
+          duration_sec: evalCase.aroll_duration_sec,
+        });
+        const plan = await generatePlanFromTranscript(
+          transcript,
+          evalCase.b_rolls,
+          {
+            strategy: settings.strategy,
+            scoring: settings.scoring,
+            preset: settings.preset,
+            options: settings.options,
+            variants: settings.variants,
+            allowLooping: settings.allow_looping,
+            audioAnalysis: evalCase.audio_analysis,
+            arollCuts: evalCase.aroll_cuts,
+          },
+          provider
+        );
+        if (settings.variants > 1 && (plan.variants?.length || 1) < 2) {
+          throw new Error(`only one distinct plan of the ${settings.variants} variants requested`);
+        }
+        caseResults.push({
+          id: evalCase.id,
+          metrics: evaluateInsertions(
+            plan.insertions,
+            evalCase.reference_insertions,
+            evalCase.aroll_duration_sec
+          ),
+        });
+      } catch (err) {
+        caseResults.push({ id: evalCase.id, metrics: null, error: err.message });
+      }
+    }
+
+    results.push({
+      name,
+      settings,
+      metrics: averageMetrics(caseResults.filter((result) => result.metrics).map((result) => result.metrics)),
+      cases: caseResults,
+    });
+  }
+
+  return {
+    embedding_model: provider.embeddingModel,
+    cases: cases.map((evalCase) => evalCase.id),
+    configs: results,
+  };
+}
+
+// Report columns: label, path into the metrics, and whether higher is better
+const REPORT_COLUMNS = [
+  ["F1", ["timing", "f1"], true],
+  ["Recall", ["timing", "recall"], true],
+  ["Precision", ["timing", "precision"], true],
+  ["Mean IoU", ["timing", "mean_iou"], true],
+  ["Timeline IoU", ["timing", "timeline_iou"], true],
+  ["Start offset (s)", ["timing", "mean_start_offset_sec"], false],
+  ["Clip agreement", ["clips", "agreement"], true],
+  ["Clip Jaccard", ["clips", "jaccard"], true],
+  ["Coverage diff", ["coverage", "difference"], null],
+  ["Insertions/min", ["pacing", "generated", "per_minute"], null],
+  ["Mean gap (s)", ["pacing", "generated", "mean_gap_sec"], null],
+];
+
+/**
+ * Format a report as a Markdown table with each configuration's change
+ * against the first (baseline) one
+ * @param {Object} report - Result of runEvaluation
+ * @returns {string} Markdown
+ */
+export function formatReport(report) {
+  const metric = (metrics, path) => path.reduce((node, key) => node?.[key], metrics) ?? null;
+  const format = (value) => (value === null ? "-" : value.toFixed(3));
+  const [baseline] = report.configs;
+
+  const lines = [
+    `Evaluated ${report.cases.length} cases with ${report.embedding_model} embeddings`,
+    "",
+    `| Configuration | ${REPORT_COLUMNS.map(([label]) => label).join(" | ")} |`,
+    `|---|${REPORT_COLUMNS.map(() => "---:").join("|")}|`,
+  ];
+  for (const config of report.configs) {
+    const cells = REPORT_COLUMNS.map(([, path, higherIsBetter]) => {
+      const value = metric(config.metrics, path);
+      const base = metric(baseline.metrics, path);
+      if (config === baseline || value === null || base === null || value === base) return format(value);
+
+      const delta = value - base;
+      // Arrows only where better and worse are clear
+      const arrow = higherIsBetter === null ? "" : delta > 0 === higherIsBetter ? " ▲" : " ▼";
+      return `${format(value)} (${delta > 0 ? "+" : ""}${delta.toFixed(3)}${arrow})`;
+    });
+    lines.push(`| ${config.name}${config === baseline ? " (baseline)" : ""} | ${cells.join(" | ")} |`);
+  }
+
+  const failures = report.configs.flatMap((config) =>
+    config.cases.filter((result) => result.error).map((result) => `- ${config.name} / ${result.id}: ${result.error}`)
+  );
+  if (failures.length > 0) lines.push("", "Failed cases:", ...failures);
+  return lines.join("\n");
+}
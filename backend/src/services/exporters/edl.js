@@ -0,0 +1,66 @@
+/**
+ * CMX3600 EDL exporter
+ *
+ * CMX3600 has a single picture track, so the A-roll is written as one
+ * audio+video event (V1/A1) and each B-roll as a video-only event over the
+ * same record range. NLEs overwrite the A-roll picture with those events
+ * while keeping the A-roll audio, and the `* TRACK` comments tell editors
+ * which events belong on V2. CMX3600 dissolves need an outgoing source on
+ * the same track, so B-roll crossfades and dips are listed as comments.
+ */
+
+import { framesToTimecode } from "../../utils/timecode.js";
+
+const TRANSITION_NAMES = { crossfade: "CROSS DISSOLVE", dip: "DIP TO BLACK" };
+
+/**
+ * Format one EDL event line
+ * @param {number} number - Event number
+ * @param {string} channel - Channel field (e.g. "V", "AA/V")
+ * @param {number[]} frames - [sourceIn, sourceOut, recordIn, recordOut]
+ * @param {number} fps - Frame rate
+ * @returns {string} Event line
+ */
+function eventLine(number, channel, frames, fps) {
+  const timecodes = frames.map((f) => framesToTimecode(f, fps)).join(" ");
+  return `${String(number).padStart(3, "0")}  AX       ${channel.padEnd(5)} C        ${timecodes}`;
+}
+
+/**
+ * Export a timeline as a CMX3600 EDL
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @returns {string} EDL text
+ */
+export function exportEdl(timeline) {
+  const { title, fps, duration_frames, aroll, clips } = timeline;
+  const lines = [`TITLE: ${title}`, "FCM: NON-DROP FRAME", ""];
+
+  lines.push(eventLine(1, "AA/V", [0, duration_frames, 0, duration_frames], fps));
+  lines.push(`* FROM CLIP NAME: ${aroll.name}`);
+  if (aroll.url) lines.push(`* SOURCE FILE: ${aroll.url}`);
+  lines.push("* TRACK: V1", "");
+
+  clips.forEach((clip, idx) => {
+    lines.push(
+      eventLine(
+        idx + 2,
+        "V",
+        [clip.source_in, clip.source_in + clip.duration, clip.record_in, clip.record_in + clip.duration],
+        fps
+      )
+    );
+    lines.push(`* FROM CLIP NAME: ${clip.name}`);
+    if (clip.url) lines.push(`* SOURCE FILE: ${clip.url}`);
+    for (const [edge, transition] of [
+      ["IN", clip.transition_in],
+      ["OUT", clip.transition_out],
+    ]) {
+      if (transition.type !== "cut") {
+        lines.push(`* TRANSITION ${edge}: ${TRANSITION_NAMES[transition.type]} ${transition.frames} FRAMES`);
+      }
+    }
+    lines.push("* TRACK: V2", "");
+  });
+
+  return lines.join("\r\n");
+}
@@ -0,0 +1,126 @@
+/**
+ * FCPXML (1.9) exporter
+ *
+ * The A-roll is the primary storyline clip and every B-roll is a connected
+ * clip on lane 1 above it, which Final Cut shows as V2 and Premiere/Resolve
+ * import as a second video track. Crossfades and dips are written as clip
+ * notes for the editor to apply.
+ */
+
+import { frameDuration } from "../../utils/timecode.js";
+
+/**
+ * Escape a string for use in an XML attribute
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Format a frame count as an FCPXML rational time
+ * @param {number} frames - Frame count
+ * @param {{num: number, den: number}} fd - Frame duration
+ * @returns {string} Time such as "1001/30000s" or "0s"
+ */
+function rationalTime(frames, fd) {
+  if (frames === 0) return "0s";
+  return `${frames * fd.num}/${fd.den}s`;
+}
+
+const TRANSITION_NAMES = { crossfade: "Cross dissolve", dip: "Dip to black" };
+
+/**
+ * Clip note describing a clip's transitions
+ * @param {Object} clip - Timeline clip with transition_in and transition_out
+ * @returns {string|null} Note text, or null for hard cuts
+ */
+function transitionNote(clip) {
+  const parts = [
+    ["in", clip.transition_in],
+    ["out", clip.transition_out],
+  ]
+    .filter(([, transition]) => transition.type !== "cut")
+    .map(([edge, transition]) => `${TRANSITION_NAMES[transition.type]} ${edge} (${transition.frames} frames)`);
+  return parts.length > 0 ? parts.join(", ") : null;
+}
+
+/**
+ * Export a timeline as FCPXML
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @param {Object} options - {width, height} of the sequence format
+ * @returns {string} FCPXML document
+ */
+export function exportFcpxml(timeline, options = {}) {
+  const { width = 1920, height = 1080 } = options;
+  const { title, fps, duration_frames, aroll, clips } = timeline;
+  const fd = frameDuration(fps);
+  const t = (frames) => rationalTime(frames, fd);
+
+  // One asset per distinct B-roll, long enough for its furthest use
+  const brollAssets = new Map();
+  for (const clip of clips) {
+    const needed = clip.source_in + clip.duration;
+    const asset = brollAssets.get(clip.id);
+    if (!asset) {
+      brollAssets.set(clip.id, { id: `r${brollAssets.size + 3}`, clip, frames: needed });
+    } else {
+      asset.frames = Math.max(asset.frames, needed);
+    }
+  }
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<!DOCTYPE fcpxml>",
+    '<fcpxml version="1.9">',
+    "  <resources>",
+    `    <format id="r1" frameDuration="${t(1)}" width="${width}" height="${height}"/>`,
+    `    <asset id="r2" name="${escapeXml(aroll.name)}" src="${escapeXml(aroll.url || `${aroll.name}.mp4`)}" start="0s" duration="${t(duration_frames)}" hasVideo="1" hasAudio="1" format="r1"/>`,
+  ];
+  for (const asset of brollAssets.values()) {
+    lines.push(
+      `    <asset id="${asset.id}" name="${escapeXml(asset.clip.name)}" src="${escapeXml(asset.clip.url || `${asset.clip.name}.mp4`)}" start="0s" duration="${t(asset.frames)}" hasVideo="1" hasAudio="0" format="r1"/>`
+    );
+  }
+  lines.push(
+    "  </resources>",
+    "  <library>",
+    `    <event name="${escapeXml(title)}">`,
+    `      <project name="${escapeXml(title)}">`,
+    `        <sequence format="r1" duration="${t(duration_frames)}" tcStart="0s" tcFormat="NDF">`,
+    "          <spine>",
+    `            <asset-clip ref="r2" name="${escapeXml(aroll.name)}" offset="0s" start="0s" duration="${t(duration_frames)}">`
+  );
+  for (const clip of clips) {
+    const asset = brollAssets.get(clip.id);
+    const note = transitionNote(clip);
+    const attributes = `ref="${asset.id}" lane="1" name="${escapeXml(clip.name)}" offset="${t(clip.record_in)}" start="${t(clip.source_in)}" duration="${t(clip.duration)}"`;
+    if (note) {
+      lines.push(
+        `              <asset-clip ${attributes}>`,
+        `                <note>${escapeXml(note)}</note>`,
+        "              </asset-clip>"
+      );
+    } else {
+      lines.push(`              <asset-clip ${attributes}/>`);
+    }
+  }
+  lines.push(
+    "            </asset-clip>",
+    "          </spine>",
+    "        </sequence>",
+    "      </project>",
+    "    </event>",
+    "  </library>",
+    "</fcpxml>",
+    ""
+  );
+
+  return lines.join("\n");
+}
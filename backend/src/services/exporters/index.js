@@ -0,0 +1,120 @@
+/**
+ * Timeline exporters: turn a plan into NLE interchange formats.
+ * Every format places the A-roll on V1 (with its audio on A1) and the
+ * B-roll insertions on V2 at frame-accurate positions, starting each clip at
+ * its source in-point.
+ */
+
+import { basename } from "path";
+import { secondsToFrames } from "../../utils/timecode.js";
+import { fitTransition, upgradePlan } from "../insertionSchema.js";
+import { exportEdl } from "./edl.js";
+import { exportFcpxml } from "./fcpxml.js";
+import { exportOtio } from "./otio.js";
+
+export const EXPORT_FORMATS = {
+  edl: { extension: "edl", contentType: "text/plain", exporter: exportEdl },
+  fcpxml: { extension: "fcpxml", contentType: "application/xml", exporter: exportFcpxml },
+  otio: { extension: "otio", contentType: "application/json", exporter: exportOtio },
+};
+
+/**
+ * Derive a display name from a media URL or path
+ * @param {string} url - Media URL
+ * @param {string} fallback - Name used when the URL has none
+ * @returns {string} Name without extension
+ */
+function mediaName(url, fallback) {
+  if (!url) return fallback;
+  const name = basename(url.split("?")[0]);
+  return name.replace(/\.[^.]+$/, "") || fallback;
+}
+
+/**
+ * Transition of a clip in frames
+ * @param {Object} transition - {type, duration_sec}
+ * @param {number} durationSec - Clip duration on the timeline in seconds
+ * @param {number} fps - Frame rate
+ * @returns {{type: string, frames: number}} Transition
+ */
+function transitionFrames(transition, durationSec, fps) {
+  const fitted = fitTransition(transition, durationSec);
+  const frames = secondsToFrames(fitted.duration_sec, fps);
+  return frames > 0 ? { type: fitted.type, frames } : { type: "cut", frames: 0 };
+}
+
+/**
+ * Convert a plan into a frame-based timeline shared by all exporters
+ * @param {Object} plan - Plan with aroll_duration_sec and insertions (any schema version)
+ * @param {Object} options - {fps, title, a_roll: {url}, b_rolls: [{id, url}]}
+ * @returns {Object} Timeline {title, fps, duration_frames, aroll, clips} where
+ *   clips have transition_in and transition_out as {type, frames}
+ */
+export function buildTimeline(plan, options = {}) {
+  const { fps = 25, title = "Smart B-Roll Plan", a_roll = {}, b_rolls = [] } = options;
+  const brollById = new Map(b_rolls.map((broll) => [broll.id, broll]));
+  const durationFrames = secondsToFrames(plan.aroll_duration_sec || 0, fps);
+
+  const clips = [];
+  let lastEnd = 0;
+  const sorted = [...upgradePlan(plan).insertions].sort((a, b) => a.start_sec - b.start_sec);
+  for (const insertion of sorted) {
+    // V2 is a single track, so overlapping insertions are trimmed to fit
+    const startFrame = secondsToFrames(insertion.start_sec, fps);
+    const recordIn = Math.max(startFrame, lastEnd);
+    const recordOut = Math.min(
+      secondsToFrames(insertion.start_sec + insertion.duration_sec, fps),
+      durationFrames
+    );
+    if (recordOut <= recordIn) continue;
+
+    const broll = brollById.get(insertion.broll_id) || {};
+    const durationSec = (recordOut - recordIn) / fps;
+    clips.push({
+      id: insertion.broll_id,
+      name: insertion.broll_id,
+      url: broll.url || null,
+      // A trimmed head skips the same frames of the clip
+      source_in: secondsToFrames(insertion.source_in_sec, fps) + (recordIn - startFrame),
+      record_in: recordIn,
+      duration: recordOut - recordIn,
+      transition_in: transitionFrames(insertion.transition_in, durationSec, fps),
+      transition_out: transitionFrames(insertion.transition_out, durationSec, fps),
+    });
+    lastEnd = recordOut;
+  }
+
+  return {
+    title,
+    fps,
+    duration_frames: durationFrames,
+    aroll: {
+      name: mediaName(a_roll.url, "a_roll"),
+      url: a_roll.url || null,
+    },
+    clips,
+  };
+}
+
+/**
+ * Export a plan in the given format
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @param {Object} plan - Plan object
+ * @param {Object} options - See buildTimeline (FCPXML also reads width/height)
+ * @returns {{content: string, extension: string, contentType: string}} Exported file
+ */
+export function exportPlan(format, plan, options = {}) {
+  const entry = EXPORT_FORMATS[format];
+  if (!entry) {
+    throw new Error(
+      `Unknown export format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(", ")}.`
+    );
+  }
+
+  const timeline = buildTimeline(plan, options);
+  return {
+    content: entry.exporter(timeline, options),
+    extension: entry.extension,
+    contentType: entry.contentType,
+  };
+}
@@ -0,0 +1,159 @@
+/**
+ * OpenTimelineIO (.otio JSON) exporter
+ *
+ * Produces a Timeline with three tracks: V1 (A-roll picture), V2 (B-roll
+ * clips separated by gaps) and A1 (A-roll audio). Crossfades and dips become
+ * Transitions on V2 that reach into the clip only, so the clips keep their
+ * exact timing.
+ */
+
+import { frameDuration } from "../../utils/timecode.js";
+
+/**
+ * Build an OTIO TimeRange from frame values
+ * @param {number} start - Start frame
+ * @param {number} duration - Duration in frames
+ * @param {number} rate - Frames per second
+ * @returns {Object} TimeRange.1
+ */
+function timeRange(start, duration, rate) {
+  return {
+    OTIO_SCHEMA: "TimeRange.1",
+    start_time: { OTIO_SCHEMA: "RationalTime.1", rate, value: start },
+    duration: { OTIO_SCHEMA: "RationalTime.1", rate, value: duration },
+  };
+}
+
+/**
+ * Build an OTIO clip
+ * @param {string} name - Clip name
+ * @param {string|null} url - Media URL
+ * @param {number} sourceIn - Source in-point in frames
+ * @param {number} duration - Duration in frames
+ * @param {number} rate - Frames per second
+ * @returns {Object} Clip.1
+ */
+function clip(name, url, sourceIn, duration, rate) {
+  return {
+    OTIO_SCHEMA: "Clip.1",
+    name,
+    metadata: {},
+    source_range: timeRange(sourceIn, duration, rate),
+    effects: [],
+    markers: [],
+    media_reference: url
+      ? { OTIO_SCHEMA: "ExternalReference.1", target_url: url, metadata: {} }
+      : { OTIO_SCHEMA: "MissingReference.1", metadata: {} },
+  };
+}
+
+/**
+ * Build an OTIO gap
+ * @param {number} duration - Duration in frames
+ * @param {number} rate - Frames per second
+ * @returns {Object} Gap.1
+ */
+function gap(duration, rate) {
+  return {
+    OTIO_SCHEMA: "Gap.1",
+    name: "",
+    metadata: {},
+    source_range: timeRange(0, duration, rate),
+    effects: [],
+    markers: [],
+  };
+}
+
+// OTIO transition type and display name of each transition
+const TRANSITION_TYPES = {
+  crossfade: { transitionType: "SMPTE_Dissolve", name: "Cross Dissolve" },
+  dip: { transitionType: "Custom_Transition", name: "Dip to Black" },
+};
+
+/**
+ * Build an OTIO transition
+ * @param {string} type - "crossfade" or "dip"
+ * @param {number} inOffset - Frames before the cut (into the outgoing item)
+ * @param {number} outOffset - Frames after the cut (into the incoming item)
+ * @param {number} rate - Frames per second
+ * @returns {Object} Transition.1
+ */
+function transition(type, inOffset, outOffset, rate) {
+  const { transitionType, name } = TRANSITION_TYPES[type];
+  return {
+    OTIO_SCHEMA: "Transition.1",
+    name,
+    metadata: { smart_broll: { type } },
+    transition_type: transitionType,
+    in_offset: { OTIO_SCHEMA: "RationalTime.1", rate, value: inOffset },
+    out_offset: { OTIO_SCHEMA: "RationalTime.1", rate, value: outOffset },
+  };
+}
+
+/**
+ * Build an OTIO track
+ * @param {string} name - Track name
+ * @param {string} kind - "Video" or "Audio"
+ * @param {Array} children - Clips and gaps
+ * @returns {Object} Track.1
+ */
+function track(name, kind, children) {
+  return { OTIO_SCHEMA: "Track.1", name, kind, metadata: {}, effects: [], markers: [], children };
+}
+
+/**
+ * Export a timeline as OpenTimelineIO JSON
+ * @param {Object} timeline - Timeline from buildTimeline()
+ * @returns {string} OTIO document
+ */
+export function exportOtio(timeline) {
+  const { title, fps, duration_frames, aroll, clips } = timeline;
+  const fd = frameDuration(fps);
+  const rate = fd.den / fd.num;
+
+  const brollChildren = [];
+  let cursor = 0;
+  // Transition out of the previous clip, placed once the next item is known
+  let pendingOut = null;
+  for (const c of clips) {
+    const into = c.transition_in.type === "cut" ? null : c.transition_in;
+    if (c.record_in > cursor) {
+      if (pendingOut) brollChildren.push(transition(pendingOut.type, pendingOut.frames, 0, rate));
+      brollChildren.push(gap(c.record_in - cursor, rate));
+      if (into) brollChildren.push(transition(into.type, 0, into.frames, rate));
+    } else if (brollChildren.length > 0 && (pendingOut || into)) {
+      // Back-to-back clips share one transition across their cut
+      brollChildren.push(
+        transition((into || pendingOut).type, pendingOut?.frames || 0, into?.frames || 0, rate)
+      );
+    }
+    brollChildren.push(clip(c.name, c.url, c.source_in, c.duration, rate));
+    cursor = c.record_in + c.duration;
+    pendingOut = c.transition_out.type === "cut" ? null : c.transition_out;
+  }
+  if (pendingOut && duration_frames > cursor) {
+    brollChildren.push(transition(pendingOut.type, pendingOut.frames, 0, rate));
+    brollChildren.push(gap(duration_frames - cursor, rate));
+  }
+
+  const document = {
+    OTIO_SCHEMA: "Timeline.1",
+    name: title,
+    metadata: {},
+    global_start_time: { OTIO_SCHEMA: "RationalTime.1", rate, value: 0 },
+    tracks: {
+      OTIO_SCHEMA: "Stack.1",
+      name: "tracks",
+      metadata: {},
+      effects: [],
+      markers: [],
+      children: [
+        track("V1", "Video", [clip(aroll.name, aroll.url, 0, duration_frames, rate)]),
+        track("V2", "Video", brollChildren),
+        track("A1", "Audio", [clip(aroll.name, aroll.url, 0, duration_frames, rate)]),
+      ],
+    },
+  };
+
+  return JSON.stringify(document, null, 2);
+}
@@ -0,0 +1,229 @@
+/**
+ * Insertion schema: where each insertion starts inside its B-roll clip
+ * (`source_in_sec`) and how it cuts in and out (`transition_in`,
+ * `transition_out`). Plans carry a `schema_version`. Version 1 plans have
+ * none of these fields and always used the first seconds of the clip with
+ * hard cuts, which is what upgradePlan fills in for them.
+ */
+
+export const PLAN_SCHEMA_VERSION = 2;
+export const PLAN_SCHEMA_VERSIONS = [1, 2];
+
+export const TRANSITION_TYPES = ["cut", "crossfade", "dip"];
+
+// Transition used when a request names a type without a duration
+const DEFAULT_TRANSITION_SEC = 0.5;
+const MAX_TRANSITION_SEC = 2;
+// Share of an insertion each transition may take, so some of the clip plays in full
+const MAX_TRANSITION_SHARE = 0.4;
+
+// Candidate in-points tried across the spare length of a clip (even, so the middle is one)
+const SOURCE_IN_STEPS = 8;
+
+// Rounding slack when comparing times sent back by the editor
+const EPSILON = 0.001;
+
+const CUT = { type: "cut", duration_sec: 0 };
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Check a transition from a request or a plan
+ * @param {Object|undefined} transition - {type, duration_sec?}
+ * @param {string} name - Field name for error messages
+ * @returns {string|null} Error message, or null if the transition is valid
+ */
+export function transitionError(transition, name = "transition") {
+  if (transition === undefined || transition === null) return null;
+  if (typeof transition !== "object" || Array.isArray(transition)) {
+    return `${name} must be an object {type, duration_sec}.`;
+  }
+  if (!TRANSITION_TYPES.includes(transition.type)) {
+    return `${name}.type must be one of: ${TRANSITION_TYPES.join(", ")}.`;
+  }
+  const duration = transition.duration_sec;
+  if (
+    duration !== undefined &&
+    (!isNumber(duration) || duration < 0 || duration > MAX_TRANSITION_SEC)
+  ) {
+    return `${name}.duration_sec must be between 0 and ${MAX_TRANSITION_SEC}.`;
+  }
+  return null;
+}
+
+/**
+ * Fill in a transition's duration (validate with transitionError first)
+ * @param {Object|undefined} transition - {type, duration_sec?}
+ * @returns {{type: string, duration_sec: number}} Transition; a hard cut when none is given
+ */
+export function resolveTransition(transition) {
+  if (!transition || transition.type === "cut") return CUT;
+  return { type: transition.type, duration_sec: transition.duration_sec ?? DEFAULT_TRANSITION_SEC };
+}
+
+/**
+ * Shorten a transition to fit an insertion; zero-length transitions become cuts
+ * @param {{type: string, duration_sec: number}} transition - Resolved transition
+ * @param {number} insertionDuration - Insertion duration in seconds
+ * @returns {{type: string, duration_sec: number}} Transition
+ */
+export function fitTransition(transition, insertionDuration) {
+  const duration = round(Math.min(transition.duration_sec, insertionDuration * MAX_TRANSITION_SHARE));
+  return transition.type === "cut" || duration <= 0 ? CUT : { type: transition.type, duration_sec: duration };
+}
+
+/**
+ * Check the schema fields of a plan's insertion
+ * @param {Object} insertion - Insertion
+ * @param {number|null} clipDuration - Length of its clip, if known
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function insertionSchemaError(insertion, clipDuration) {
+  const label = `Insertion at ${Number(insertion.start_sec).toFixed(2)}s`;
+  const sourceIn = insertion.source_in_sec ?? 0;
+  if (!isNumber(sourceIn) || sourceIn < 0) {
+    return `${label} needs a non-negative source_in_sec.`;
+  }
+  if (clipDuration && !insertion.loop && sourceIn + insertion.duration_sec > clipDuration + EPSILON) {
+    return `${label} runs past the end of B-roll "${insertion.broll_id}" (${clipDuration}s) from its source_in_sec.`;
+  }
+
+  let transitionSeconds = 0;
+  for (const name of ["transition_in", "transition_out"]) {
+    const error = transitionError(insertion[name], `${label} ${name}`);
+    if (error) return error;
+    transitionSeconds += insertion[name]?.duration_sec ?? 0;
+  }
+  if (transitionSeconds > insertion.duration_sec + EPSILON) {
+    return `${label} has transitions longer than the insertion.`;
+  }
+  return null;
+}
+
+/**
+ * Check the schema version and insertion fields of a plan sent back by a client
+ * @param {Object} plan - Plan with `insertions` (and optionally `b_rolls` with durations)
+ * @returns {string|null} Error message, or null if the plan is valid
+ */
+export function planSchemaError(plan) {
+  if (plan.schema_version !== undefined && !PLAN_SCHEMA_VERSIONS.includes(plan.schema_version)) {
+    return `Unknown plan schema_version ${plan.schema_version}. Expected one of: ${PLAN_SCHEMA_VERSIONS.join(", ")}.`;
+  }
+  const clipDuration = new Map((plan.b_rolls || []).map((broll) => [broll.id, broll.duration_sec || null]));
+  for (const insertion of plan.insertions) {
+    const error = insertionSchemaError(insertion, clipDuration.get(insertion.broll_id) || null);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Pick where an insertion starts inside its clip. With spare footage the
+ * window sits in the middle, away from the camera moves and fades stock clips
+ * tend to start and end with, and moves to footage not yet used when the
+ * clip appears more than once.
+ * @param {number|null} clipDuration - Clip length in seconds, if known
+ * @param {number} duration - Insertion duration in seconds
+ * @param {Array} usedWindows - Source windows of the same clip already placed, {start_sec, end_sec}
+ * @returns {number} In-point in seconds (0 when the clip has no spare footage)
+ */
+export function chooseSourceIn(clipDuration, duration, usedWindows = []) {
+  const spare = clipDuration ? clipDuration - duration : 0;
+  if (spare <= EPSILON) return 0;
+
+  const center = spare / 2;
+  const reusedSeconds = (start) =>
+    usedWindows.reduce(
+      (sum, used) =>
+        sum + Math.max(0, Math.min(start + duration, used.end_sec) - Math.max(start, used.start_sec)),
+      0
+    );
+
+  let best = null;
+  for (let step = 0; step <= SOURCE_IN_STEPS; step++) {
+    const start = (spare * step) / SOURCE_IN_STEPS;
+    const candidate = { start, reused: reusedSeconds(start), offCenter: Math.abs(start - center) };
+    if (
+      !best ||
+      candidate.reused < best.reused - EPSILON ||
+      (Math.abs(candidate.reused - best.reused) <= EPSILON && candidate.offCenter < best.offCenter)
+    ) {
+      best = candidate;
+    }
+  }
+  return round(best.start);
+}
+
+/**
+ * Set the source in-point and transitions of planned insertions. Looping
+ * insertions play their clip from the start. In-points and transitions
+ * already set (on pinned insertions) are kept when they still fit.
+ * @param {Array} insertions - Insertions in timeline order (changed in place)
+ * @param {Array} brolls - B-rolls {id, duration_sec?}
+ * @param {Object} options - {transition: resolved transition, trimSources: false keeps every in-point at 0}
+ * @returns {Array} The insertions
+ */
+export function placeSourceWindows(insertions, brolls, options = {}) {
+  const { transition = CUT, trimSources = true } = options;
+  const clipDuration = new Map(brolls.map((broll) => [broll.id, broll.duration_sec || null]));
+  const usedWindows = new Map();
+
+  for (const insertion of insertions) {
+    const length = clipDuration.get(insertion.broll_id);
+    const used = usedWindows.get(insertion.broll_id) || [];
+    const fits = (start) =>
+      isNumber(start) && start >= 0 && (!length || start + insertion.duration_sec <= length + EPSILON);
+
+    if (insertion.loop || !trimSources) {
+      insertion.source_in_sec = 0;
+    } else if (!fits(insertion.source_in_sec)) {
+      insertion.source_in_sec = chooseSourceIn(length, insertion.duration_sec, used);
+    }
+    used.push({ start_sec: insertion.source_in_sec, end_sec: insertion.source_in_sec + insertion.duration_sec });
+    usedWindows.set(insertion.broll_id, used);
+
+    for (const name of ["transition_in", "transition_out"]) {
+      insertion[name] = fitTransition(
+        insertion[name] ? resolveTransition(insertion[name]) : transition,
+        insertion.duration_sec
+      );
+    }
+  }
+  return insertions;
+}
+
+/**
+ * Insertion in the version 1 schema: the version 2 fields are dropped
+ * @param {Object} insertion - Insertion
+ * @returns {Object} Insertion without source_in_sec and transitions
+ */
+export function toLegacyInsertion(insertion) {
+  const { source_in_sec, transition_in, transition_out, ...rest } = insertion;
+  return rest;
+}
+
+/**
+ * Read a plan of any schema version as the current one: insertions without
+ * an in-point start at the beginning of their clip and cut in and out
+ * @param {Object} plan - Plan
+ * @returns {Object} Plan with schema_version PLAN_SCHEMA_VERSION
+ */
+export function upgradePlan(plan) {
+  const upgrade = (insertions) =>
+    insertions.map((insertion) => ({
+      ...insertion,
+      source_in_sec: insertion.source_in_sec ?? 0,
+      transition_in: insertion.transition_in || CUT,
+      transition_out: insertion.transition_out || CUT,
+    }));
+
+  return {
+    ...plan,
+    schema_version: PLAN_SCHEMA_VERSION,
+    insertions: upgrade(plan.insertions || []),
+    ...(Array.isArray(plan.variants) && {
+      variants: plan.variants.map((variant) => ({ ...variant, insertions: upgrade(variant.insertions) })),
+    }),
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * In-memory job service for long-running plan generation.
+ * Jobs report progress per pipeline stage, can be cancelled, and keep their
+ * result around for a while after finishing so clients can fetch it later.
+ */
+
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // Keep finished jobs for an hour
+
+const jobs = new Map();
+
+/**
+ * Public view of a job (no internals such as the abort controller)
+ * @param {Object} job - Job record
+ * @returns {Object} Job snapshot
+ */
+function snapshot(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    stage: job.stage,
+    stage_index: job.stageIndex,
+    total_stages: job.stages.length,
+    progress: job.progress,
+    stages: job.stages,
+    result: job.result,
+    error: job.error,
+    created_at: job.createdAt,
+    updated_at: job.updatedAt,
+  };
+}
+
+/**
+ * Update a job and notify listeners
+ * @param {Object} job - Job record
+ * @param {string} event - Event name sent to listeners
+ * @param {Object} changes - Fields to update
+ */
+function update(job, event, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  job.events.emit("update", { event, job: snapshot(job) });
+}
+
+/**
+ * Mark a job as finished and schedule its removal
+ * @param {Object} job - Job record
+ * @param {string} status - completed | failed | cancelled
+ * @param {Object} changes - Fields to update
+ */
+function finish(job, status, changes = {}) {
+  update(job, status, { ...changes, status });
+  setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+}
+
+/**
+ * Create and start a job
+ * @param {Array} stages - Ordered stages [{id, label}]
+ * @param {Function} run - async ({onProgress(stageId), signal}) => result
+ * @returns {Object} Job snapshot
+ */
+export function createJob(stages, run) {
+  const now = new Date().toISOString();
+  const job = {
+    id: randomUUID(),
+    status: "queued",
+    stage: null,
+    stageIndex: -1,
+    progress: 0,
+    stages,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    controller: new AbortController(),
+    events: new EventEmitter(),
+  };
+  jobs.set(job.id, job);
+
+  const onProgress = (stageId) => {
+    const stageIndex = stages.findIndex((stage) => stage.id === stageId);
+    update(job, "progress", {
+      status: "running",
+      stage: stageId,
+      stageIndex,
+      // A stage counts as done once the next one starts
+      progress: stageIndex / stages.length,
+    });
+  };
+
+  // Start on the next tick so callers can subscribe before the first event
+  setImmediate(async () => {
+    if (job.status === "cancelled") return;
+    update(job, "progress", { status: "running" });
+    try {
+      const result = await run({ onProgress, signal: job.controller.signal });
+      if (job.status === "cancelled") return;
+      finish(job, "completed", { result, progress: 1 });
+    } catch (err) {
+      if (job.status === "cancelled") return;
+      console.error(`Job ${job.id} failed:`, err);
+      finish(job, "failed", { error: err.message });
+    }
+  });
+
+  return snapshot(job);
+}
+
+/**
+ * Get a job snapshot
+ * @param {string} id - Job id
+ * @returns {Object|null} Job snapshot, or null if unknown
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? snapshot(job) : null;
+}
+
+/**
+ * Cancel a queued or running job
+ * @param {string} id - Job id
+ * @returns {Object|null} Job snapshot, or null if unknown
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.status === "queued" || job.status === "running") {
+    job.controller.abort();
+    finish(job, "cancelled", { error: "Job was cancelled." });
+  }
+  return snapshot(job);
+}
+
+/**
+ * Subscribe to job updates
+ * @param {string} id - Job id
+ * @param {Function} listener - Called with {event, job} on every update
+ * @returns {Function|null} Unsubscribe function, or null if the job is unknown
+ */
+export function subscribeToJob(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  job.events.on("update", listener);
+  return () => job.events.off("update", listener);
+}
@@ -0,0 +1,232 @@
+/**
+ * Lexical matching for multilingual transcripts: language detection,
+ * Devanagari transliteration, phonetic keys and BM25 over B-roll descriptions.
+ *
+ * Hinglish A-rolls are transcribed in Devanagari, often spelling English words
+ * phonetically ("फूड क्वालिटी" for "food quality"), while B-roll descriptions
+ * are English. Transliterating and reducing both sides to consonant skeletons
+ * lets those words match as keywords.
+ */
+
+const DEVANAGARI_CONSONANTS = {
+  क: "k", ख: "kh", ग: "g", घ: "gh", ङ: "n",
+  च: "ch", छ: "chh", ज: "j", झ: "jh", ञ: "n",
+  ट: "t", ठ: "th", ड: "d", ढ: "dh", ण: "n",
+  त: "t", थ: "th", द: "d", ध: "dh", न: "n",
+  प: "p", फ: "ph", ब: "b", भ: "bh", म: "m",
+  य: "y", र: "r", ल: "l", ळ: "l", व: "v",
+  श: "sh", ष: "sh", स: "s", ह: "h",
+};
+
+// Consonants followed by a nukta (borrowed sounds)
+const DEVANAGARI_NUKTA = { क: "q", ख: "kh", ग: "g", ज: "z", ड: "r", ढ: "rh", फ: "f" };
+
+const DEVANAGARI_VOWELS = {
+  अ: "a", आ: "aa", इ: "i", ई: "ii", उ: "u", ऊ: "uu", ऋ: "ri",
+  ए: "e", ऐ: "ai", ओ: "o", औ: "au", ऑ: "o", ऍ: "e",
+};
+
+const DEVANAGARI_MATRAS = {
+  "ा": "aa", "ि": "i", "ी": "ii", "ु": "u", "ू": "uu", "ृ": "ri",
+  "े": "e", "ै": "ai", "ो": "o", "ौ": "au", "ॉ": "o", "ॅ": "e",
+};
+
+const DEVANAGARI_SIGNS = { "ं": "n", "ँ": "n", "ः": "h", "।": ".", "॥": "." };
+
+// The anusvara is pronounced "m" before labials (मुंबई = mumbai)
+const LABIALS = new Set(["प", "फ", "ब", "भ", "म"]);
+
+const VIRAMA = "्";
+const NUKTA = "़";
+
+// Frequent function words that carry no visual meaning
+const STOPWORDS = new Set([
+  // English
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "into", "is", "it",
+  "near", "no", "not", "of", "on", "or", "shot", "that", "the", "this", "to", "with",
+  // Romanized Hindi
+  "aap", "aapko", "aur", "bhi", "hai", "hain", "ham", "hum", "jo", "ka", "ke", "ki", "ko",
+  "mein", "me", "nahi", "par", "pe", "se", "ye", "yeh", "vo", "wo", "woh",
+]);
+
+// Romanized Hindi words that mark Latin-script Hinglish
+const HINGLISH_MARKERS = new Set(["hai", "hain", "nahi", "aur", "mein", "kya", "bhi", "ka", "ki", "ke", "ko", "se"]);
+
+/**
+ * Transliterate Devanagari to Latin script (a simple phonetic romanization);
+ * other characters pass through unchanged
+ * @param {string} text - Input text
+ * @returns {string} Romanized text
+ */
+export function transliterate(text) {
+  const chars = [...(text || "")];
+  let out = "";
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (DEVANAGARI_CONSONANTS[ch]) {
+      let latin = DEVANAGARI_CONSONANTS[ch];
+      if (chars[i + 1] === NUKTA) {
+        latin = DEVANAGARI_NUKTA[ch] || latin;
+        i++;
+      }
+      out += latin;
+
+      const next = chars[i + 1];
+      if (DEVANAGARI_MATRAS[next]) {
+        out += DEVANAGARI_MATRAS[next];
+        i++;
+      } else if (next === VIRAMA) {
+        i++;
+      } else if (next && /[\p{L}\p{M}]/u.test(next)) {
+        // Inherent vowel, dropped at the end of a word
+        out += "a";
+      }
+    } else if (DEVANAGARI_VOWELS[ch]) {
+      out += DEVANAGARI_VOWELS[ch];
+    } else if (ch === "ं" && LABIALS.has(chars[i + 1])) {
+      out += "m";
+    } else if (DEVANAGARI_SIGNS[ch]) {
+      out += DEVANAGARI_SIGNS[ch];
+    } else if (ch >= "०" && ch <= "९") {
+      out += String(ch.charCodeAt(0) - "०".charCodeAt(0));
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+/**
+ * Detect the language / script of a transcript
+ * @param {string[]} texts - Transcript texts
+ * @returns {{code: string, script: string}} code is "hi" (Devanagari), "hi-Latn"
+ *   (romanized Hinglish), "en" or "unknown"
+ */
+export function detectLanguage(texts) {
+  const text = texts.join(" ");
+  const devanagari = (text.match(/[ऀ-ॿ]/g) || []).length;
+  const latin = (text.match(/[A-Za-z]/g) || []).length;
+
+  if (devanagari === 0 && latin === 0) return { code: "unknown", script: "unknown" };
+  if (devanagari >= latin) return { code: "hi", script: "Devanagari" };
+
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const markers = words.filter((word) => HINGLISH_MARKERS.has(word)).length;
+  return { code: markers / words.length >= 0.05 ? "hi-Latn" : "en", script: "Latin" };
+}
+
+/**
+ * Text to embed for matching: Devanagari text gets its romanization appended,
+ * which embedding models relate to English descriptions more easily
+ * @param {string} text - Transcript text
+ * @returns {string} Text for the embedding model
+ */
+export function matchingText(text) {
+  return /[ऀ-ॿ]/.test(text) ? `${text}\n${transliterate(text)}` : text;
+}
+
+/**
+ * Consonant skeleton of a romanized word, so spellings like "phud" / "food"
+ * or "haijin" / "hygiene" get the same key
+ * @param {string} word - Latin-script word
+ * @returns {string} Phonetic key ("" for words too short to be meaningful)
+ */
+export function phoneticKey(word) {
+  const key = word
+    .toLowerCase()
+    .replace(/[^a-z]/g, "")
+    .replace(/tch/g, "ch")
+    .replace(/ph/g, "f")
+    .replace(/qu/g, "kv")
+    .replace(/q/g, "k")
+    .replace(/ck/g, "k")
+    .replace(/x/g, "ks")
+    .replace(/ch/g, "C")
+    .replace(/sh/g, "S")
+    .replace(/c(?=[eiy])/g, "s")
+    .replace(/c/g, "k")
+    .replace(/g(?=[eiy])/g, "j")
+    .replace(/w/g, "v")
+    .replace(/z/g, "j")
+    .replace(/([kgtdbp])h/g, "$1")
+    .replace(/h/g, "")
+    .replace(/[aeiouy]/g, "")
+    .replace(/C/g, "c")
+    .replace(/S/g, "s")
+    .replace(/(.)\1+/g, "$1");
+  return key.length >= 2 ? key : "";
+}
+
+/**
+ * Keyword tokens of a text: romanized, stopwords removed, reduced to phonetic keys
+ * @param {string} text - Text in any script
+ * @returns {string[]} Keys
+ */
+export function keywordTokens(text) {
+  const words = transliterate(text).toLowerCase().match(/[a-z]+/g) || [];
+  return words
+    .filter((word) => !STOPWORDS.has(word))
+    .map(phoneticKey)
+    .filter(Boolean);
+}
+
+/**
+ * Build a BM25 index over documents
+ * @param {string[]} documents - Document texts
+ * @param {Object} options - {k1, b}
+ * @returns {{score: Function}} score(query) returns {scores, matches}, one entry per document
+ */
+export function createBm25Index(documents, options = {}) {
+  const { k1 = 1.2, b = 0.75 } = options;
+
+  const docs = documents.map((doc) => {
+    const counts = new Map();
+    const tokens = keywordTokens(doc);
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1);
+    return { counts, length: tokens.length };
+  });
+  const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+  const docFrequency = new Map();
+  for (const doc of docs) {
+    for (const token of doc.counts.keys()) {
+      docFrequency.set(token, (docFrequency.get(token) || 0) + 1);
+    }
+  }
+  const idf = (token) => {
+    const df = docFrequency.get(token) || 0;
+    return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    /**
+     * Score every document against a query
+     * @param {string} query - Query text
+     * @returns {{scores: number[], matches: string[][]}} Scores and matched keys per document
+     */
+    score(query) {
+      const queryTokens = [...new Set(keywordTokens(query))];
+      const matches = docs.map((doc) => queryTokens.filter((token) => doc.counts.has(token)));
+      const scores = docs.map((doc, idx) =>
+        matches[idx].reduce((sum, token) => {
+          const tf = doc.counts.get(token);
+          return sum + (idf(token) * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * doc.length) / avgLength));
+        }, 0)
+      );
+      return { scores, matches };
+    },
+  };
+}
+
+/**
+ * Words of a document that match a query's keywords, for explanations
+ * @param {string} query - Query text (any script)
+ * @param {string} document - Document text
+ * @returns {string[]} Distinct matching document words
+ */
+export function matchedKeywords(query, document) {
+  const keys = new Set(keywordTokens(query));
+  const words = transliterate(document).toLowerCase().match(/[a-z]+/g) || [];
+  return [...new Set(words.filter((word) => !STOPWORDS.has(word) && keys.has(phoneticKey(word))))];
+}
@@ -0,0 +1,301 @@
+/**
+ * B-roll library: a persistent catalog of reusable clips with descriptions,
+ * tags, durations and stored embeddings, so the same stock footage can be
+ * planned against across many videos without re-embedding it every time.
+ */
+
+import fs from "fs";
+import { randomUUID } from "crypto";
+import { extname, join } from "path";
+import { createJsonStore, DATA_DIR } from "../utils/jsonStore.js";
+import { getProvider } from "./providers/index.js";
+import { cosineSimilarity } from "./matchingService.js";
+
+const LIBRARY_FILES_DIR = join(DATA_DIR, "library");
+
+const store = createJsonStore(join(DATA_DIR, "library.json"), () => ({ clips: [] }));
+
+/**
+ * Public view of a clip (embeddings are large and internal)
+ * @param {Object} clip - Stored clip
+ * @returns {Object} Clip without its embedding
+ */
+function toPublicClip(clip) {
+  const { embedding, file_path, ...rest } = clip;
+  return { ...rest, has_file: Boolean(file_path) };
+}
+
+/**
+ * Normalize a tags value (array or comma-separated string) to lowercase strings
+ * @param {string[]|string|undefined} tags - Raw tags
+ * @returns {string[]} Unique tags
+ */
+export function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  return [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Whether a clip has all of the given tags
+ * @param {Object} clip - Clip
+ * @param {string[]} tags - Required tags
+ * @returns {boolean} True if every tag is present
+ */
+function hasTags(clip, tags) {
+  return tags.every((tag) => clip.tags.includes(tag));
+}
+
+/**
+ * Embed a clip description with the current provider
+ * @param {string} description - Clip description
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<{embedding: number[], embedding_model: string}>} Stored embedding fields
+ */
+async function embedDescription(description, provider) {
+  const [embedding] = await provider.embed([description || ""]);
+  return { embedding, embedding_model: provider.embeddingModel };
+}
+
+/**
+ * List clips, optionally restricted to those carrying all given tags
+ * @param {Object} filter - {tags}
+ * @returns {Array} Public clips
+ */
+export function listClips(filter = {}) {
+  const tags = normalizeTags(filter.tags);
+  return store
+    .read()
+    .clips.filter((clip) => hasTags(clip, tags))
+    .map(toPublicClip);
+}
+
+/**
+ * Get one clip
+ * @param {string} id - Clip id
+ * @returns {Object|null} Public clip, or null if not found
+ */
+export function getClip(id) {
+  const clip = store.read().clips.find((c) => c.id === id);
+  return clip ? toPublicClip(clip) : null;
+}
+
+/**
+ * Path of a clip's stored file
+ * @param {string} id - Clip id
+ * @returns {string|null} File path, or null if the clip has no stored file
+ */
+export function getClipFilePath(id) {
+  return store.read().clips.find((c) => c.id === id)?.file_path || null;
+}
+
+/**
+ * Check clip fields before creating or updating a clip
+ * @param {Object} fields - Clip fields
+ * @param {Object} options - {file} for creation, {existingId} for updates
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function clipValidationError(fields, options = {}) {
+  const { file = null, existingId = null } = options;
+
+  if (existingId) {
+    if (fields.description !== undefined && !fields.description) {
+      return "A clip description cannot be empty.";
+    }
+  } else {
+    if (!fields.description) return "A clip description is required.";
+    if (!fields.url && !file) return "A clip needs either a url or an uploaded file.";
+    if (fields.id && store.read().clips.some((c) => c.id === fields.id)) {
+      return `A clip with id "${fields.id}" already exists.`;
+    }
+  }
+
+  if (
+    fields.duration_sec !== undefined &&
+    fields.duration_sec !== null &&
+    fields.duration_sec !== "" &&
+    !(Number(fields.duration_sec) > 0)
+  ) {
+    return "duration_sec must be a positive number.";
+  }
+  return null;
+}
+
+/**
+ * Add a clip to the library (throws on invalid fields, see clipValidationError)
+ * @param {Object} fields - {id?, url?, description, tags?, duration_sec?}
+ * @param {Object} file - Optional uploaded file {buffer, originalname}
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Object>} Public clip
+ */
+export async function createClip(fields, file = null, provider = getProvider()) {
+  const error = clipValidationError(fields, { file });
+  if (error) throw new Error(error);
+
+  const id = fields.id || `clip_${randomUUID().slice(0, 8)}`;
+
+  let filePath = null;
+  if (file) {
+    fs.mkdirSync(LIBRARY_FILES_DIR, { recursive: true });
+    const safeName = id.replace(/[^\w.-]/g, "_");
+    filePath = join(LIBRARY_FILES_DIR, `${safeName}${extname(file.originalname) || ".mp4"}`);
+    fs.writeFileSync(filePath, file.buffer);
+  }
+
+  const now = new Date().toISOString();
+  const clip = {
+    id,
+    url: fields.url || null,
+    file_path: filePath,
+    description: fields.description,
+    tags: normalizeTags(fields.tags),
+    duration_sec: fields.duration_sec ? Number(fields.duration_sec) : null,
+    ...(await embedDescription(fields.description, provider)),
+    created_at: now,
+    updated_at: now,
+  };
+
+  store.update((data) => data.clips.push(clip));
+  return toPublicClip(clip);
+}
+
+/**
+ * Update a clip. The embedding is recomputed when the description changes.
+ * @param {string} id - Clip id
+ * @param {Object} fields - Any of {url, description, tags, duration_sec}
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Object|null>} Public clip, or null if not found
+ */
+export async function updateClip(id, fields, provider = getProvider()) {
+  const existing = store.read().clips.find((c) => c.id === id);
+  if (!existing) return null;
+
+  const error = clipValidationError(fields, { existingId: id });
+  if (error) throw new Error(error);
+
+  const changes = {};
+  if (fields.url !== undefined) changes.url = fields.url || null;
+  if (fields.tags !== undefined) changes.tags = normalizeTags(fields.tags);
+  if (fields.duration_sec !== undefined) {
+    changes.duration_sec = fields.duration_sec ? Number(fields.duration_sec) : null;
+  }
+  if (fields.description !== undefined && fields.description !== existing.description) {
+    changes.description = fields.description;
+    Object.assign(changes, await embedDescription(fields.description, provider));
+  }
+
+  const updated = store.update((data) => {
+    const clip = data.clips.find((c) => c.id === id);
+    Object.assign(clip, changes, { updated_at: new Date().toISOString() });
+    return clip;
+  });
+  return toPublicClip(updated);
+}
+
+/**
+ * Delete a clip and its stored file
+ * @param {string} id - Clip id
+ * @returns {boolean} True if the clip existed
+ */
+export function deleteClip(id) {
+  const clip = store.read().clips.find((c) => c.id === id);
+  if (!clip) return false;
+
+  if (clip.file_path) fs.rmSync(clip.file_path, { force: true });
+  store.update((data) => {
+    data.clips = data.clips.filter((c) => c.id !== id);
+  });
+  return true;
+}
+
+/**
+ * Make sure every clip has an embedding from the provider's current model,
+ * re-embedding (and storing) the ones created with another model
+ * @param {Array} clips - Stored clips
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Array>} Clips with current embeddings
+ */
+async function ensureEmbeddings(clips, provider) {
+  const stale = clips.filter((clip) => clip.embedding_model !== provider.embeddingModel);
+  if (stale.length === 0) return clips;
+
+  console.log(`Re-embedding ${stale.length} library clips for ${provider.embeddingModel}...`);
+  const vectors = await provider.embed(stale.map((clip) => clip.description));
+  const fresh = new Map(stale.map((clip, idx) => [clip.id, vectors[idx]]));
+
+  store.update((data) => {
+    for (const clip of data.clips) {
+      if (fresh.has(clip.id)) {
+        clip.embedding = fresh.get(clip.id);
+        clip.embedding_model = provider.embeddingModel;
+      }
+    }
+  });
+  return clips.map((clip) =>
+    fresh.has(clip.id)
+      ? { ...clip, embedding: fresh.get(clip.id), embedding_model: provider.embeddingModel }
+      : clip
+  );
+}
+
+/**
+ * Semantic search over clip descriptions
+ * @param {string} query - Free-text query
+ * @param {Object} options - {tags, limit}
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Array>} Public clips with a `score`, best first
+ */
+export async function searchClips(query, options = {}, provider = getProvider()) {
+  const { limit = 10 } = options;
+  const tags = normalizeTags(options.tags);
+  const candidates = await ensureEmbeddings(
+    store.read().clips.filter((clip) => hasTags(clip, tags)),
+    provider
+  );
+  if (candidates.length === 0) return [];
+
+  const [queryEmbedding] = await provider.embed([query]);
+  return candidates
+    .map((clip) => ({
+      ...toPublicClip(clip),
+      score: cosineSimilarity(queryEmbedding, clip.embedding),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Library clips in the B-roll shape used for planning and rendering
+ * @param {Object} filter - {tags}
+ * @param {Object} provider - Embedding provider
+ * @returns {Promise<Array>} Array of {id, metadata, duration_sec, embedding, url, path}
+ */
+export async function getLibraryBrolls(filter = {}, provider = getProvider()) {
+  const tags = normalizeTags(filter.tags);
+  const clips = await ensureEmbeddings(
+    store.read().clips.filter((clip) => hasTags(clip, tags)),
+    provider
+  );
+
+  return clips.map((clip) => ({
+    id: clip.id,
+    metadata: clip.description,
+    tags: clip.tags,
+    duration_sec: clip.duration_sec,
+    embedding: clip.embedding,
+    url: clip.url,
+    path: clip.file_path,
+  }));
+}
+
+/**
+ * Media sources of all library clips, for rendering
+ * @returns {Array} Array of {id, url} or {id, path}
+ */
+export function getClipSources() {
+  return store
+    .read()
+    .clips.map((clip) =>
+      clip.file_path ? { id: clip.id, path: clip.file_path } : { id: clip.id, url: clip.url }
+    );
+}
@@ -2,13 +2,29 @@
  * Semantic matching service for matching A-roll transcript segments with B-roll clips
  */
 
+import { planOptimalInsertions } from "./optimalPlanner.js";
+import { createBm25Index, matchedKeywords } from "./lexicalService.js";
+import { clearWindow, resolveConstraints } from "./planConstraints.js";
+import { emphasisScore, snapWindowToPauses } from "./audioAnalysisService.js";
+import { coveredCuts, extendWindowOverCut } from "./visualAnalysisService.js";
+import { placeSourceWindows, resolveTransition } from "./insertionSchema.js";
+
+export const PLANNER_STRATEGIES = ["greedy", "optimal"];
+
+// "hybrid" blends calibrated embedding similarity with BM25 keyword scores,
+// "semantic" is the raw cosine similarity
+export const SCORING_MODES = ["hybrid", "semantic"];
+
+// BM25 score at which the lexical score reaches 0.5
+const LEXICAL_HALF_SCORE = 2;
+
 /**
  * Calculate cosine similarity between two vectors
  * @param {number[]} vecA - First vector
  * @param {number[]} vecB - Second vector
  * @returns {number} Cosine similarity score (0-1)
  */
-function cosineSimilarity(vecA, vecB) {
+export function cosineSimilarity(vecA, vecB) {
   if (vecA.length !== vecB.length) {
     throw new Error("Vectors must have the same length");
   }
@@ -29,24 +45,262 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / denominator;
 }
 
+/**
+ * Text a B-roll is keyword-matched against: its description and tags
+ * @param {Object} broll - B-roll with metadata and optional tags
+ * @returns {string} Document text
+ */
+function brollDocument(broll) {
+  return [broll.metadata || "", ...(broll.tags || [])].join(" ");
+}
+
+/**
+ * Human-readable reason for choosing a B-roll
+ * @param {Object} segment - Matched transcript segment
+ * @param {Object} broll - Chosen B-roll
+ * @param {Object} entry - The clip's score entry from scoreMatches
+ * @param {string[]} keywords - Description words shared with the segment
+ * @param {Object|null} runnerUp - Best alternative {broll_id, score}
+ * @param {number} penalty - Reuse penalty paid for the clip
+ * @param {string} scoring - Scoring mode
+ * @returns {string} Reason text
+ */
+function matchReason(segment, broll, entry, keywords, runnerUp, penalty, scoring) {
+  const text = segment.text || "";
+  const quote = text.length > 60 ? `${text.substring(0, 60)}...` : text;
+
+  const parts =
+    scoring === "semantic"
+      ? [`semantic similarity ${entry.cosine.toFixed(2)}`]
+      : [
+          `semantic ${entry.semantic.toFixed(2)} (${entry.semantic >= 0.5 ? "above" : "below"} average for this video)`,
+          keywords.length > 0 ? `shared keywords: ${keywords.join(", ")}` : "no shared keywords",
+        ];
+  if (penalty > 0) parts.push(`reuse penalty ${penalty.toFixed(2)}`);
+
+  const comparison = runnerUp
+    ? `next best ${runnerUp.broll_id} at ${runnerUp.score.toFixed(2)}`
+    : "no other clip fits";
+  return `${broll.id} for "${quote}": ${parts.join(", ")}; ${comparison}.`;
+}
+
+/**
+ * Insertion timing for a segment. Segments with word timestamps start on their
+ * first word and end on the last word boundary that fits the allowed duration
+ * range; others start slightly after the segment starts.
+ * @param {Object} segment - Transcript segment {start_sec, end_sec, words?}
+ * @param {number} minInsertionDuration - Minimum insertion duration
+ * @param {number} maxInsertionDuration - Maximum insertion duration
+ * @returns {{start_sec: number, duration_sec: number, word_ends?: number[]}} Insertion window
+ */
+function insertionWindow(segment, minInsertionDuration, maxInsertionDuration) {
+  if (segment.words?.length > 0) {
+    const start = segment.words[0].start_sec;
+    // Word ends as durations from the insertion start, usable as cut points
+    const wordEnds = segment.words
+      .map((word) => word.end_sec - start)
+      .filter((end) => end >= minInsertionDuration && end <= maxInsertionDuration);
+    const duration =
+      wordEnds.length > 0
+        ? wordEnds[wordEnds.length - 1]
+        : Math.min(Math.max(minInsertionDuration, segment.end_sec - start), maxInsertionDuration);
+    return { start_sec: start, duration_sec: duration, word_ends: wordEnds };
+  }
+
+  const insertionStart = segment.start_sec + 0.5;
+  const insertionDuration = Math.min(
+    Math.max(minInsertionDuration, segment.end_sec - insertionStart - 0.5),
+    maxInsertionDuration
+  );
+  return { start_sec: insertionStart, duration_sec: insertionDuration };
+}
+
+/**
+ * How long a clip can play in an insertion window. Clips with a known
+ * duration are never stretched past their end unless looping is allowed;
+ * a clip shorter than the window is cut at the last word boundary it covers.
+ * @param {{duration_sec: number, word_ends?: number[]}} window - Insertion window
+ * @param {Object} broll - B-roll with optional duration_sec
+ * @param {number} minInsertionDuration - Minimum insertion duration
+ * @param {boolean} allowLooping - Whether short clips may loop
+ * @returns {number|null} Insertion duration, or null if the clip is too short
+ */
+function fittedDuration(window, broll, minInsertionDuration, allowLooping) {
+  if (!broll.duration_sec || allowLooping) return window.duration_sec;
+  if (broll.duration_sec < minInsertionDuration) return null;
+  if (broll.duration_sec >= window.duration_sec) return window.duration_sec;
+
+  const boundaries = (window.word_ends || []).filter((end) => end <= broll.duration_sec);
+  return boundaries.length > 0 ? boundaries[boundaries.length - 1] : broll.duration_sec;
+}
+
+/**
+ * Build an insertion object with its explanation: the matched transcript
+ * text, the score breakdown and the best alternative clips
+ * @param {{start_sec: number}} window - Insertion window
+ * @param {number} duration - Insertion duration
+ * @param {Object} broll - Chosen B-roll
+ * @param {Object} match - {segment, scoreRow, brolls, candidates, penalty, timing, cuts, topK, scoring}
+ *   where candidates are the B-rolls that fit the window, timing is the
+ *   emphasis and cut-cover bonus of the insertion and cuts the A-roll cuts it covers
+ * @returns {Object} Insertion
+ */
+function buildInsertion(window, duration, broll, match) {
+  const { segment, scoreRow, brolls, candidates, penalty = 0, timing = 0, cuts = [], topK, scoring } = match;
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const entry = scoreRow[brolls.indexOf(broll)];
+
+  const alternatives = candidates
+    .filter((candidate) => candidate !== broll)
+    .map((candidate) => ({ candidate, candidateEntry: scoreRow[brolls.indexOf(candidate)] }))
+    .sort((a, b) => b.candidateEntry.score - a.candidateEntry.score)
+    .slice(0, topK)
+    .map(({ candidate, candidateEntry }) => ({
+      broll_id: candidate.id,
+      score: round(candidateEntry.score),
+      semantic: round(candidateEntry.semantic),
+      lexical: round(candidateEntry.lexical),
+      keywords: matchedKeywords(segment.text || "", brollDocument(candidate)),
+    }));
+  const keywords = matchedKeywords(segment.text || "", brollDocument(broll));
+
+  const insertion = {
+    start_sec: round(window.start_sec),
+    duration_sec: round(duration),
+    broll_id: broll.id,
+    confidence: entry.score,
+    reason: matchReason(segment, broll, entry, keywords, alternatives[0] || null, penalty, scoring),
+    transcript_text: segment.text,
+    keywords,
+    // Parts add up to `total`; confidence is the match quality before penalties
+    score_breakdown: {
+      semantic: round(entry.semanticPart),
+      lexical: round(entry.lexicalPart),
+      reuse_penalty: round(-penalty),
+      timing: round(timing),
+      total: round(entry.score - penalty + timing),
+    },
+    alternatives,
+  };
+  // Only set when the clip has to loop to fill the insertion
+  if (broll.duration_sec && duration > broll.duration_sec) insertion.loop = true;
+  if (cuts.length > 0) insertion.covered_cuts = cuts.map((cut) => cut.time_sec);
+  return insertion;
+}
+
+/**
+ * Insertion for a clip pinned by the editor, explained against the phrase it
+ * starts in when there is one
+ * @param {Object} pin - Pinned insertion {start_sec, duration_sec, broll_id, loop?,
+ *   source_in_sec?, transition_in?, transition_out?}
+ * @param {Object} broll - Pinned B-roll
+ * @param {Object} match - As for buildInsertion, with a null segment when the pin starts outside speech
+ * @returns {Object} Insertion with `pinned: true`
+ */
+function pinnedInsertion(pin, broll, match) {
+  const insertion = match.segment
+    ? buildInsertion(pin, pin.duration_sec, broll, match)
+    : {
+        start_sec: pin.start_sec,
+        duration_sec: pin.duration_sec,
+        broll_id: broll.id,
+        confidence: null,
+        reason: "",
+        transcript_text: null,
+        keywords: [],
+        score_breakdown: null,
+        alternatives: [],
+      };
+  insertion.reason = `Pinned by the editor.${insertion.reason ? ` ${insertion.reason}` : ""}`;
+  if (pin.loop) insertion.loop = true;
+  // Kept by placeSourceWindows when they still fit
+  if (pin.source_in_sec !== undefined) insertion.source_in_sec = pin.source_in_sec;
+  if (pin.transition_in) insertion.transition_in = pin.transition_in;
+  if (pin.transition_out) insertion.transition_out = pin.transition_out;
+  insertion.pinned = true;
+  return insertion;
+}
+
+/**
+ * Score every segment against every B-roll.
+ *
+ * In "hybrid" mode the cosine similarity is calibrated to a z-score over all
+ * pairs of this request (squashed to 0-1), because its absolute level depends
+ * on the language: Devanagari text against English descriptions rarely passes
+ * 0.3 even for good matches. The BM25 keyword score over descriptions and tags
+ * is squashed the same way and blended in.
+ * @param {Array} segments - Segments with `embedding` and `text`
+ * @param {Array} brolls - B-rolls with `embedding`, `metadata` and optional `tags`
+ * @param {Object} options - {scoring, semanticWeight}
+ * @returns {Array<Array<Object>>} One row per segment, one entry per B-roll:
+ *   {score, semantic, lexical, cosine, semanticPart, lexicalPart} where the
+ *   parts are the weighted shares of score
+ */
+export function scoreMatches(segments, brolls, options = {}) {
+  const { scoring = "hybrid", semanticWeight = 0.7 } = options;
+
+  const cosines = segments.map((segment) =>
+    brolls.map((broll) => cosineSimilarity(segment.embedding, broll.embedding))
+  );
+  if (scoring === "semantic") {
+    return cosines.map((row) =>
+      row.map((cosine) => ({
+        score: cosine,
+        semantic: cosine,
+        lexical: 0,
+        cosine,
+        semanticPart: cosine,
+        lexicalPart: 0,
+      }))
+    );
+  }
+
+  const all = cosines.flat();
+  const mean = all.reduce((sum, value) => sum + value, 0) / (all.length || 1);
+  const std = Math.sqrt(all.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (all.length || 1));
+  const calibrate = (cosine) => (std > 0 ? 1 / (1 + Math.exp(-(cosine - mean) / std)) : cosine);
+
+  const index = createBm25Index(brolls.map(brollDocument));
+
+  return segments.map((segment, segIdx) => {
+    const { scores } = index.score(segment.text || "");
+    return brolls.map((broll, brollIdx) => {
+      const semantic = calibrate(cosines[segIdx][brollIdx]);
+      const lexical = scores[brollIdx] / (scores[brollIdx] + LEXICAL_HALF_SCORE);
+      const semanticPart = semanticWeight * semantic;
+      const lexicalPart = (1 - semanticWeight) * lexical;
+      return {
+        score: semanticPart + lexicalPart,
+        semantic,
+        lexical,
+        cosine: cosines[segIdx][brollIdx],
+        semanticPart,
+        lexicalPart,
+      };
+    });
+  });
+}
+
 /**
  * Find the best matching B-roll for a transcript segment
- * @param {number[]} segmentEmbedding - Embedding of transcript segment
- * @param {Array} brollEmbeddings - Array of {id, metadata, embedding} objects
- * @returns {Object} Best match with {id, confidence, reason}
+ * @param {Array} scoreRow - The segment's row from scoreMatches
+ * @param {Array} candidates - B-rolls that may be chosen
+ * @param {Array} brolls - All B-rolls, aligned with scoreRow
+ * @param {Function} penaltyFor - Score cost of choosing a B-roll here
+ * @returns {Object} Best match with {id, confidence}
  */
-function findBestMatch(segmentEmbedding, brollEmbeddings) {
+function findBestMatch(scoreRow, candidates, brolls, penaltyFor = () => 0) {
   let bestMatch = null;
-  let bestScore = -1;
+  let bestScore = -Infinity;
 
-  for (const broll of brollEmbeddings) {
-    const similarity = cosineSimilarity(segmentEmbedding, broll.embedding);
-    if (similarity > bestScore) {
-      bestScore = similarity;
+  for (const broll of candidates) {
+    const confidence = scoreRow[brolls.indexOf(broll)].score;
+    const score = confidence - penaltyFor(broll);
+    if (score > bestScore) {
+      bestScore = score;
       bestMatch = {
         id: broll.id,
-        confidence: similarity,
-        reason: `Semantic match: ${broll.metadata.substring(0, 100)}...`,
+        confidence,
       };
     }
   }
@@ -56,11 +310,23 @@ function findBestMatch(segmentEmbedding, brollEmbeddings) {
 
 /**
  * Plan B-roll insertions based on semantic matching
- * @param {Array} transcriptSegments - Array of {start_sec, end_sec, text, embedding}
- * @param {Array} brollEmbeddings - Array of {id, metadata, embedding}
+ * @param {Array} transcriptSegments - Array of {start_sec, end_sec, text, embedding, words?}
+ * @param {Array} brollEmbeddings - Array of {id, metadata, embedding, duration_sec?, tags?}
  * @param {number} arollDuration - Total A-roll duration in seconds
- * @param {Object} options - Configuration options
- * @returns {Array} Array of insertion plans
+ * @param {Object} options - Configuration options. `strategy` selects the planner:
+ *   "greedy" (first fit, in timeline order) or "optimal" (see optimalPlanner.js);
+ *   `scoring` selects how confidence is computed (see scoreMatches); `constraints`
+ *   are editor constraints the plan is filled around (see planConstraints.js);
+ *   `audioAnalysis` (see audioAnalysisService.js) moves cuts onto pauses and
+ *   adds an emphasis bonus to loud moments; `arollCuts` (see
+ *   visualAnalysisService.js) add a bonus to insertions that hide a cut;
+ *   `avoidInsertions` (the insertions of earlier plan variants) make
+ *   overlapping insertions cost `diversityPenalty`, or half of it for a
+ *   different clip, so the plan differs from them. Every insertion then gets
+ *   a source in-point inside its clip and `transition` at both ends (see
+ *   insertionSchema.js)
+ * @returns {{insertions: Array, unsatisfied: Array}} Insertions in timeline order, and
+ *   the constraints that could not be met as {type, constraint, reason}
  */
 export function planInsertions(transcriptSegments, brollEmbeddings, arollDuration, options = {}) {
   const {
@@ -71,11 +337,31 @@ export function planInsertions(transcriptSegments, brollEmbeddings, arollDuratio
     maxInsertions = 6, // Maximum number of insertions
     avoidFirstSeconds = 2, // Avoid inserting in first N seconds
     avoidLastSeconds = 3, // Avoid inserting in last N seconds
+    strategy = "greedy", // Planner strategy, one of PLANNER_STRATEGIES
+    reusePenalty = 0.1, // Score cost per repeated clip use (optimal strategy)
+    allowLooping = false, // Let clips shorter than the insertion loop
+    scoring = "hybrid", // Match scoring, one of SCORING_MODES
+    semanticWeight = 0.7, // Share of the semantic score in hybrid scoring
+    topK = 3, // Alternative clips listed per insertion
+    constraints = null, // Pinned insertions, forbidden ranges, required and banned clips
+    audioAnalysis = null, // Pauses and loudness envelope of the A-roll
+    emphasisWeight = 0.1, // Score bonus for a window twice as loud as average
+    arollCuts = null, // Scene and jump cuts in the A-roll picture
+    cutCoverBonus = 0.15, // Score bonus for an insertion that hides a cut
+    avoidInsertions = null, // Insertions of earlier variants to differ from
+    diversityPenalty = 0.2, // Score cost of repeating an earlier variant's insertion
+    transition = null, // Transition into and out of every insertion, {type, duration_sec}
+    trimSources = true, // Pick an in-point inside longer clips (false starts every clip at 0)
   } = options;
 
-  const insertions = [];
-  const usedBrollIds = new Set();
-  let lastInsertionEnd = avoidFirstSeconds;
+  if (!PLANNER_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown planner strategy "${strategy}". Expected one of: ${PLANNER_STRATEGIES.join(", ")}.`
+    );
+  }
+  if (!SCORING_MODES.includes(scoring)) {
+    throw new Error(`Unknown scoring mode "${scoring}". Expected one of: ${SCORING_MODES.join(", ")}.`);
+  }
 
   // Filter segments that are suitable for B-roll insertion
   // Avoid very short segments and segments at the beginning/end
@@ -92,44 +378,213 @@ export function planInsertions(transcriptSegments, brollEmbeddings, arollDuratio
   // Sort segments by their position in the video
   suitableSegments.sort((a, b) => a.start_sec - b.start_sec);
 
-  for (const segment of suitableSegments) {
-    // Check if we've reached max insertions
-    if (insertions.length >= maxInsertions) break;
+  // Scores are calibrated over the whole transcript, then looked up per segment
+  const scoredSegments = transcriptSegments.filter((segment) => segment.embedding);
+  const allScores = scoreMatches(scoredSegments, brollEmbeddings, { scoring, semanticWeight });
+  const scoresBySegment = new Map(scoredSegments.map((segment, idx) => [segment, allScores[idx]]));
 
-    // Check if enough time has passed since last insertion
-    if (segment.start_sec < lastInsertionEnd + minInsertionGap) continue;
+  const { pins, forbidden, required, banned, unsatisfied } = resolveConstraints(
+    constraints,
+    brollEmbeddings,
+    arollDuration,
+    allowLooping
+  );
+  // Banned clips are still scored (keeping calibration stable) but never chosen
+  const plannable = brollEmbeddings.filter((broll) => !banned.has(broll.id));
+  const fittingCandidates = (window) =>
+    plannable.filter((broll) => fittedDuration(window, broll, minInsertionDuration, allowLooping) !== null);
+  // Emphasized windows and windows hiding a cut score higher; without the
+  // analyses every window scores 0
+  const timingFor = (start, duration) =>
+    emphasisWeight * emphasisScore(audioAnalysis, start, start + duration) +
+    (coveredCuts(arollCuts, start, start + duration).length > 0 ? cutCoverBonus : 0);
+  // Only steers the choice: thresholds, confidences and breakdowns leave it
+  // out, so every variant meets the same quality bar
+  const diversityFor = (start, duration, brollId) =>
+    (avoidInsertions || []).reduce((cost, other) => {
+      const overlaps = other.start_sec < start + duration && start < other.start_sec + other.duration_sec;
+      if (!overlaps) return cost;
+      return Math.max(cost, other.broll_id === brollId ? diversityPenalty : diversityPenalty / 2);
+    }, 0);
+  const matchFor = (segment, candidates, start, duration) => ({
+    segment,
+    scoreRow: segment ? scoresBySegment.get(segment) : null,
+    brolls: brollEmbeddings,
+    candidates,
+    timing: timingFor(start, duration),
+    cuts: coveredCuts(arollCuts, start, start + duration),
+    topK,
+    scoring,
+  });
 
-    // Find best matching B-roll (allow reuse if needed to reach target insertions)
-    const availableBrolls = brollEmbeddings.filter((b) => !usedBrollIds.has(b.id));
-    // If we haven't reached max insertions yet, allow reuse of B-rolls
-    const brollsToSearch = insertions.length < maxInsertions && availableBrolls.length === 0 
-      ? brollEmbeddings  // Allow reuse if we need more insertions
-      : (availableBrolls.length > 0 ? availableBrolls : brollEmbeddings);
+  // Pinned and required insertions are placed first. Planned insertions stay
+  // a full gap away from them and out of the forbidden ranges.
+  const fixed = pins.map((pin) => {
+    const segment =
+      scoredSegments.find((seg) => pin.start_sec >= seg.start_sec && pin.start_sec < seg.end_sec) || null;
+    const broll = plannable.find((b) => b.id === pin.broll_id);
+    return pinnedInsertion(pin, broll, matchFor(segment, plannable, pin.start_sec, pin.duration_sec));
+  });
+  const fittedWindow = (segment) =>
+    clearWindow(
+      extendWindowOverCut(
+        snapWindowToPauses(
+          insertionWindow(segment, minInsertionDuration, maxInsertionDuration),
+          segment,
+          audioAnalysis,
+          minInsertionDuration,
+          maxInsertionDuration
+        ),
+        arollCuts,
+        minInsertionDuration,
+        maxInsertionDuration
+      ),
+      [
+        ...forbidden,
+        ...fixed.map((insertion) => ({
+          start_sec: insertion.start_sec - minInsertionGap,
+          end_sec: insertion.start_sec + insertion.duration_sec + minInsertionGap,
+        })),
+      ],
+      minInsertionDuration
+    );
 
-    const match = findBestMatch(segment.embedding, brollsToSearch);
+  // A required clip goes to the free slot it matches best, whatever its score
+  for (const id of required) {
+    if (fixed.some((insertion) => insertion.broll_id === id)) continue;
+    const broll = plannable.find((b) => b.id === id);
+    const brollIdx = brollEmbeddings.indexOf(broll);
 
-    if (match && match.confidence >= minConfidence) {
-      // Calculate insertion timing
-      // Insert B-roll starting slightly after segment start
-      const insertionStart = segment.start_sec + 0.5;
-      const insertionDuration = Math.min(
-        Math.max(minInsertionDuration, segment.end_sec - insertionStart - 0.5),
-        maxInsertionDuration
-      );
+    let best = null;
+    for (const segment of suitableSegments) {
+      const window = fittedWindow(segment);
+      const duration = window && fittedDuration(window, broll, minInsertionDuration, allowLooping);
+      if (!duration) continue;
+      const score = scoresBySegment.get(segment)[brollIdx].score + timingFor(window.start_sec, duration);
+      if (!best || score > best.score) best = { segment, window, duration, score };
+    }
 
-      insertions.push({
-        start_sec: insertionStart,
-        duration_sec: insertionDuration,
-        broll_id: match.id,
-        confidence: match.confidence,
-        reason: match.reason,
+    if (!best) {
+      unsatisfied.push({
+        type: "required_clip",
+        constraint: id,
+        reason: `No free slot fits B-roll "${id}".`,
       });
+      continue;
+    }
+    const insertion = buildInsertion(
+      best.window,
+      best.duration,
+      broll,
+      matchFor(best.segment, fittingCandidates(best.window), best.window.start_sec, best.duration)
+    );
+    insertion.required = true;
+    fixed.push(insertion);
+  }
+
+  const remainingInsertions = Math.max(0, maxInsertions - fixed.length);
+  const planned = [];
 
-      usedBrollIds.add(match.id);
-      lastInsertionEnd = insertionStart + insertionDuration;
+  if (strategy === "optimal") {
+    const slots = suitableSegments.flatMap((segment) => {
+      const window = fittedWindow(segment);
+      if (!window) return [];
+      const timing = timingFor(window.start_sec, window.duration_sec);
+      return [
+        {
+          segment,
+          segment_start: segment.start_sec,
+          ...window,
+          end_sec: window.start_sec + window.duration_sec,
+          // Banned clips and clips too short for the window can never be assigned to it
+          scores: brollEmbeddings.map((broll, brollIdx) =>
+            banned.has(broll.id) ||
+            fittedDuration(window, broll, minInsertionDuration, allowLooping) === null
+              ? -Infinity
+              : scoresBySegment.get(segment)[brollIdx].score + timing
+          ),
+          costs: brollEmbeddings.map((broll) => diversityFor(window.start_sec, window.duration_sec, broll.id)),
+        },
+      ];
+    });
+
+    const assigned = planOptimalInsertions(slots, {
+      minInsertionGap,
+      maxInsertions: remainingInsertions,
+      minConfidence,
+      reusePenalty,
+      // Same rule as the greedy loop: the first insertion waits a full gap
+      earliestStart: avoidFirstSeconds + minInsertionGap,
+    });
+
+    for (const { slot, clipIndex, penalty } of assigned) {
+      const broll = brollEmbeddings[clipIndex];
+      const duration = fittedDuration(slot, broll, minInsertionDuration, allowLooping);
+      planned.push(
+        buildInsertion(slot, duration, broll, {
+          ...matchFor(
+            slot.segment,
+            brollEmbeddings.filter((_, idx) => slot.scores[idx] !== -Infinity),
+            slot.start_sec,
+            duration
+          ),
+          penalty,
+        })
+      );
+    }
+  } else {
+    const usedBrollIds = new Set(fixed.map((insertion) => insertion.broll_id));
+    let lastInsertionEnd = avoidFirstSeconds;
+
+    for (const segment of suitableSegments) {
+      // Check if we've reached max insertions
+      if (planned.length >= remainingInsertions) break;
+
+      // Check if enough time has passed since last insertion
+      if (segment.start_sec < lastInsertionEnd + minInsertionGap) continue;
+
+      // Calculate insertion timing, kept clear of fixed insertions and forbidden ranges
+      const window = fittedWindow(segment);
+      if (!window) continue;
+
+      // Only clips long enough for this window (or allowed to loop) are candidates
+      const fittingBrolls = fittingCandidates(window);
+
+      // Find best matching B-roll (allow reuse if needed to reach target insertions)
+      const availableBrolls = fittingBrolls.filter((b) => !usedBrollIds.has(b.id));
+      // If we haven't reached max insertions yet, allow reuse of B-rolls
+      const brollsToSearch = planned.length < remainingInsertions && availableBrolls.length === 0
+        ? fittingBrolls  // Allow reuse if we need more insertions
+        : (availableBrolls.length > 0 ? availableBrolls : fittingBrolls);
+
+      const match = findBestMatch(scoresBySegment.get(segment), brollsToSearch, brollEmbeddings, (b) =>
+        diversityFor(window.start_sec, window.duration_sec, b.id)
+      );
+
+      const broll = match && brollsToSearch.find((b) => b.id === match.id);
+      const insertionDuration = broll && fittedDuration(window, broll, minInsertionDuration, allowLooping);
+      if (match && match.confidence + timingFor(window.start_sec, insertionDuration) >= minConfidence) {
+        planned.push(
+          buildInsertion(
+            window,
+            insertionDuration,
+            broll,
+            matchFor(segment, fittingBrolls, window.start_sec, insertionDuration)
+          )
+        );
+
+        usedBrollIds.add(match.id);
+        lastInsertionEnd = window.start_sec + insertionDuration;
+      }
     }
   }
 
-  return insertions;
+  const insertions = [...fixed, ...planned].sort((a, b) => a.start_sec - b.start_sec);
+  return {
+    insertions: placeSourceWindows(insertions, brollEmbeddings, {
+      transition: resolveTransition(transition),
+      trimSources,
+    }),
+    unsatisfied,
+  };
 }
-
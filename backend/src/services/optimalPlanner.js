@@ -0,0 +1,196 @@
+/**
+ * Globally optimal insertion planner
+ *
+ * Picks the set of insertion slots and the clip for each slot that maximise
+ * total match quality over the whole timeline, instead of taking the first
+ * slot that passes the checks like the greedy planner does:
+ *   1. Weighted interval scheduling (DP over slots x insertion count) picks
+ *      the slots, using each slot's best clip score as its weight.
+ *   2. A min-cost assignment (Hungarian algorithm) gives clips to the chosen
+ *      slots, where every repeated use of a clip costs `reusePenalty`.
+ */
+
+const INVALID_COST = 1e6;
+
+/**
+ * Solve a rectangular assignment problem (rows <= columns) minimising cost
+ * @param {number[][]} cost - cost[row][col]
+ * @returns {number[]} Column assigned to each row
+ */
+function hungarian(cost) {
+  const n = cost.length;
+  const m = cost[0].length;
+  // 1-indexed potentials and matching, classic O(n^2 m) formulation
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (p[j] > 0) assignment[p[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Choose the subset of slots with maximum total weight such that consecutive
+ * slots are at least `minInsertionGap` apart and at most `maxInsertions` are used
+ * @param {Array} slots - Sorted slots with {segment_start, end_sec, weight}
+ * @param {Object} options - {minInsertionGap, maxInsertions, earliestStart}
+ * @returns {number[]} Indices of the chosen slots in timeline order
+ */
+function selectSlots(slots, options) {
+  const { minInsertionGap, maxInsertions, earliestStart } = options;
+  const n = slots.length;
+  const maxK = Math.min(maxInsertions, n);
+  if (maxK <= 0) return [];
+
+  // best[k][j]: best total using k+1 insertions with slot j as the last one
+  const best = Array.from({ length: maxK }, () => new Array(n).fill(-Infinity));
+  const prev = Array.from({ length: maxK }, () => new Array(n).fill(-1));
+
+  for (let j = 0; j < n; j++) {
+    if (slots[j].weight === null) continue;
+    if (slots[j].segment_start >= earliestStart) best[0][j] = slots[j].weight;
+  }
+
+  for (let k = 1; k < maxK; k++) {
+    for (let j = 0; j < n; j++) {
+      if (slots[j].weight === null) continue;
+      for (let i = 0; i < j; i++) {
+        if (best[k - 1][i] === -Infinity) continue;
+        if (slots[j].segment_start < slots[i].end_sec + minInsertionGap) continue;
+        const total = best[k - 1][i] + slots[j].weight;
+        if (total > best[k][j]) {
+          best[k][j] = total;
+          prev[k][j] = i;
+        }
+      }
+    }
+  }
+
+  let bestK = -1;
+  let bestJ = -1;
+  let bestTotal = -Infinity;
+  for (let k = 0; k < maxK; k++) {
+    for (let j = 0; j < n; j++) {
+      if (best[k][j] > bestTotal) {
+        bestTotal = best[k][j];
+        bestK = k;
+        bestJ = j;
+      }
+    }
+  }
+  if (bestK < 0) return [];
+
+  const chosen = [];
+  for (let k = bestK, j = bestJ; k >= 0; k--) {
+    chosen.unshift(j);
+    j = prev[k][j];
+  }
+  return chosen;
+}
+
+/**
+ * Plan insertions that maximise total match quality across the timeline
+ * @param {Array} slots - Candidate slots sorted by time, each
+ *   {segment_start, start_sec, duration_sec, end_sec, scores, costs?} where
+ *   scores[c] is the similarity of the slot's segment to clip c and costs[c]
+ *   an extra cost of using clip c there, which steers the choice but not
+ *   which clips pass minConfidence
+ * @param {Object} options - Planner constraints
+ * @param {number} options.minInsertionGap - Seconds required between insertions
+ * @param {number} options.maxInsertions - Maximum number of insertions
+ * @param {number} options.minConfidence - Minimum similarity for a clip to be used
+ * @param {number} options.earliestStart - Earliest segment start for the first insertion
+ * @param {number} options.reusePenalty - Score cost for each repeated use of a clip
+ * @returns {Array} Array of {slot, clipIndex, score, penalty} in timeline order, where
+ *   penalty is the reuse cost paid for the assignment
+ */
+export function planOptimalInsertions(slots, options) {
+  const { minConfidence, reusePenalty = 0.1 } = options;
+  if (slots.length === 0) return [];
+
+  const net = (slot, c) => slot.scores[c] - (slot.costs?.[c] || 0);
+  const weighted = slots.map((slot) => {
+    const eligible = slot.scores.map((_, c) => c).filter((c) => slot.scores[c] >= minConfidence);
+    return {
+      ...slot,
+      weight: eligible.length > 0 ? Math.max(...eligible.map((c) => net(slot, c))) : null,
+    };
+  });
+
+  const chosen = selectSlots(weighted, options);
+  if (chosen.length === 0) return [];
+
+  // Each clip is expanded into one column per possible use; the r-th use of a
+  // clip costs r * reusePenalty on top of its similarity
+  const clipCount = slots[0].scores.length;
+  const uses = chosen.length;
+  const cost = chosen.map((slotIdx) => {
+    const row = [];
+    for (let c = 0; c < clipCount; c++) {
+      const eligible = slots[slotIdx].scores[c] >= minConfidence;
+      for (let r = 0; r < uses; r++) {
+        row.push(eligible ? -(net(slots[slotIdx], c) - r * reusePenalty) : INVALID_COST);
+      }
+    }
+    return row;
+  });
+
+  const assignment = hungarian(cost);
+  const result = [];
+  chosen.forEach((slotIdx, row) => {
+    const col = assignment[row];
+    if (col < 0 || cost[row][col] >= INVALID_COST) return;
+    const clipIndex = Math.floor(col / uses);
+    result.push({
+      slot: slots[slotIdx],
+      clipIndex,
+      score: slots[slotIdx].scores[clipIndex],
+      penalty: (col % uses) * reusePenalty,
+    });
+  });
+
+  return result;
+}
@@ -0,0 +1,173 @@
+/**
+ * Editor constraints for re-planning: insertions pinned at fixed times, time
+ * ranges where B-roll is forbidden, clips that must be used and clips that
+ * must not be. The planner fills the timeline around them and reports the
+ * ones it could not satisfy.
+ */
+
+import { transitionError } from "./insertionSchema.js";
+
+// Rounding slack when comparing times sent back by the editor
+const EPSILON = 0.001;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Check the shape of a constraints object from a request. Whether pins fit
+ * the A-roll and the clips is checked while planning and reported instead.
+ * @param {Object|undefined} constraints - {pinned, forbidden_ranges, required_clips, banned_clips}
+ * @returns {string|null} Error message, or null if the constraints are valid
+ */
+export function constraintsError(constraints) {
+  if (constraints === undefined || constraints === null) return null;
+  if (typeof constraints !== "object" || Array.isArray(constraints)) {
+    return "Option 'constraints' must be an object.";
+  }
+
+  const { pinned = [], forbidden_ranges = [], required_clips = [], banned_clips = [] } = constraints;
+  if (!Array.isArray(pinned)) return "constraints.pinned must be an array.";
+  for (const pin of pinned) {
+    if (!pin || typeof pin.broll_id !== "string" || !pin.broll_id) {
+      return "Each pinned insertion needs a broll_id.";
+    }
+    if (!isNumber(pin.start_sec) || pin.start_sec < 0 || !isNumber(pin.duration_sec) || pin.duration_sec <= 0) {
+      return `Pinned insertion of "${pin.broll_id}" needs a non-negative start_sec and a positive duration_sec.`;
+    }
+    if (pin.source_in_sec !== undefined && (!isNumber(pin.source_in_sec) || pin.source_in_sec < 0)) {
+      return `Pinned insertion of "${pin.broll_id}" needs a non-negative source_in_sec.`;
+    }
+    const pinTransitionError =
+      transitionError(pin.transition_in, "transition_in") ||
+      transitionError(pin.transition_out, "transition_out");
+    if (pinTransitionError) return `Pinned insertion of "${pin.broll_id}": ${pinTransitionError}`;
+  }
+
+  if (!Array.isArray(forbidden_ranges)) return "constraints.forbidden_ranges must be an array.";
+  for (const range of forbidden_ranges) {
+    if (!range || !isNumber(range.start_sec) || !isNumber(range.end_sec) || range.end_sec <= range.start_sec) {
+      return "Each forbidden range needs start_sec and a greater end_sec.";
+    }
+  }
+
+  for (const [name, ids] of [
+    ["required_clips", required_clips],
+    ["banned_clips", banned_clips],
+  ]) {
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== "string")) {
+      return `constraints.${name} must be an array of clip ids.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether two time ranges overlap by more than the rounding slack
+ * @param {number} startA - Start of the first range
+ * @param {number} endA - End of the first range
+ * @param {number} startB - Start of the second range
+ * @param {number} endB - End of the second range
+ * @returns {boolean}
+ */
+function overlaps(startA, endA, startB, endB) {
+  return startA < endB - EPSILON && startB < endA - EPSILON;
+}
+
+/**
+ * Check constraints against the clips and the A-roll. Pins that use an
+ * unknown or banned clip, leave the A-roll, fall in a forbidden range,
+ * overlap an earlier pin or outlast a clip that may not loop are dropped, as
+ * are required clips that are unknown or banned; each is reported.
+ * @param {Object|undefined} constraints - Validated constraints (see constraintsError)
+ * @param {Array} brolls - B-rolls {id, duration_sec?}
+ * @param {number} arollDuration - A-roll duration in seconds
+ * @param {boolean} allowLooping - Whether short clips may loop
+ * @returns {{pins: Array, forbidden: Array, required: string[], banned: Set<string>, unsatisfied: Array}}
+ *   where unsatisfied entries are {type, constraint, reason}
+ */
+export function resolveConstraints(constraints, brolls, arollDuration, allowLooping) {
+  const {
+    pinned = [],
+    forbidden_ranges: forbidden = [],
+    required_clips: requiredClips = [],
+    banned_clips: bannedClips = [],
+  } = constraints || {};
+  const brollById = new Map(brolls.map((broll) => [broll.id, broll]));
+  const banned = new Set(bannedClips);
+  const unsatisfied = [];
+
+  const pins = [];
+  for (const pin of [...pinned].sort((a, b) => a.start_sec - b.start_sec)) {
+    const broll = brollById.get(pin.broll_id);
+    const end = pin.start_sec + pin.duration_sec;
+    const range = forbidden.find((r) => overlaps(pin.start_sec, end, r.start_sec, r.end_sec));
+    const previous = pins[pins.length - 1];
+
+    let reason = null;
+    if (!broll) {
+      reason = `B-roll "${pin.broll_id}" is not available.`;
+    } else if (banned.has(pin.broll_id)) {
+      reason = `B-roll "${pin.broll_id}" is banned.`;
+    } else if (end > arollDuration + EPSILON) {
+      reason = `It ends after the A-roll (${arollDuration}s).`;
+    } else if (range) {
+      reason = `It overlaps the forbidden range ${range.start_sec}s-${range.end_sec}s.`;
+    } else if (previous && overlaps(pin.start_sec, end, previous.start_sec, previous.start_sec + previous.duration_sec)) {
+      reason = `It overlaps the pinned insertion at ${previous.start_sec}s.`;
+    } else if (
+      broll.duration_sec &&
+      !pin.loop &&
+      !allowLooping &&
+      pin.duration_sec > broll.duration_sec + EPSILON
+    ) {
+      reason = `It is longer than B-roll "${broll.id}" (${broll.duration_sec}s) and does not loop.`;
+    }
+
+    if (reason) {
+      unsatisfied.push({ type: "pinned", constraint: pin, reason });
+    } else {
+      pins.push(pin);
+    }
+  }
+
+  const required = [];
+  for (const id of new Set(requiredClips)) {
+    if (!brollById.has(id)) {
+      unsatisfied.push({ type: "required_clip", constraint: id, reason: `B-roll "${id}" is not available.` });
+    } else if (banned.has(id)) {
+      unsatisfied.push({ type: "required_clip", constraint: id, reason: `B-roll "${id}" is also banned.` });
+    } else {
+      required.push(id);
+    }
+  }
+
+  return { pins, forbidden, required, banned, unsatisfied };
+}
+
+/**
+ * Shorten an insertion window so it stays clear of blocked time ranges. A
+ * window starting inside a range is unusable; one running into a range is
+ * cut at the last word boundary (or the range start) before it.
+ * @param {Object} window - Insertion window {start_sec, duration_sec, word_ends?}
+ * @param {Array} blocked - Time ranges {start_sec, end_sec}
+ * @param {number} minInsertionDuration - Shortest allowed insertion
+ * @returns {Object|null} The window, a shortened copy, or null if nothing fits
+ */
+export function clearWindow(window, blocked, minInsertionDuration) {
+  const start = window.start_sec;
+  if (blocked.some((range) => start > range.start_sec - EPSILON && start < range.end_sec)) {
+    return null;
+  }
+
+  const limit = Math.min(
+    Infinity,
+    ...blocked.filter((range) => range.start_sec > start).map((range) => range.start_sec - start)
+  );
+  if (window.duration_sec <= limit + EPSILON) return window;
+
+  if (window.word_ends?.length > 0) {
+    const wordEnds = window.word_ends.filter((end) => end <= limit + EPSILON);
+    if (wordEnds.length === 0) return null;
+    return { ...window, duration_sec: wordEnds[wordEnds.length - 1], word_ends: wordEnds };
+  }
+  return limit >= minInsertionDuration ? { ...window, duration_sec: limit } : null;
+}
@@ -0,0 +1,448 @@
+/**
+ * Plan generation pipeline: download, extract audio, transcribe, embed and
+ * plan insertions
+ */
+
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+import { fetchVideoFile } from "../utils/videoDownloader.js";
+import { getProvider } from "./providers/index.js";
+import { prepareTranscriptionAudio, transcribeChunks } from "./audioService.js";
+import { analyzeAudio } from "./audioAnalysisService.js";
+import { detectCuts } from "./visualAnalysisService.js";
+import { planInsertions } from "./matchingService.js";
+import { PLAN_SCHEMA_VERSION, resolveTransition, toLegacyInsertion } from "./insertionSchema.js";
+import { resegmentTranscript } from "./transcriptService.js";
+import { detectLanguage, matchingText } from "./lexicalService.js";
+import {
+  DEFAULT_PRESET,
+  resolvePlannerOptions,
+  toPlanInsertionsOptions,
+} from "./plannerPresets.js";
+
+// Pipeline stages in order, used for logging and job progress
+export const PLAN_STAGES = [
+  { id: "download", label: "Downloading A-roll video" },
+  { id: "extract_audio", label: "Extracting A-roll audio" },
+  { id: "analyze_audio", label: "Analyzing A-roll pauses and loudness" },
+  { id: "transcribe", label: "Transcribing A-roll video" },
+  { id: "detect_cuts", label: "Detecting scene and jump cuts in the A-roll" },
+  { id: "segment", label: "Splitting transcript into phrases" },
+  { id: "embed_segments", label: "Generating embeddings for transcript segments" },
+  { id: "embed_brolls", label: "Generating embeddings for B-roll metadata" },
+  { id: "plan", label: "Planning B-roll insertions" },
+];
+
+// Most plan variants one request may ask for
+export const MAX_PLAN_VARIANTS = 5;
+
+// Repeated variants tolerated before the search gives up; each repeat
+// doubles the diversity penalty of the next attempt
+const MAX_VARIANT_REPEATS = 4;
+
+/**
+ * Summary of a plan variant for comparing variants at a glance
+ * @param {Array} insertions - Insertions of the variant
+ * @param {number} duration - A-roll duration in seconds
+ * @returns {Object} {insertion_count, covered_sec, coverage_ratio, average_confidence, clips_used}
+ *   where average_confidence leaves out pinned insertions without a match
+ */
+function summarizeVariant(insertions, duration) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const coveredSeconds = insertions.reduce((sum, insertion) => sum + insertion.duration_sec, 0);
+  const confidences = insertions
+    .map((insertion) => insertion.confidence)
+    .filter((confidence) => typeof confidence === "number");
+
+  return {
+    insertion_count: insertions.length,
+    covered_sec: round(coveredSeconds),
+    coverage_ratio: duration ? round(coveredSeconds / duration) : 0,
+    average_confidence:
+      confidences.length > 0
+        ? round(confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length)
+        : null,
+    clips_used: [...new Set(insertions.map((insertion) => insertion.broll_id))],
+  };
+}
+
+/**
+ * Log a pipeline stage and forward it to the progress callback
+ * @param {string} stageId - Stage id from PLAN_STAGES
+ * @param {Object} planOptions - {onProgress, signal}
+ * @param {string} detail - Extra text for the log line
+ */
+function enterStage(stageId, planOptions, detail = "") {
+  planOptions.signal?.throwIfAborted();
+
+  const index = PLAN_STAGES.findIndex((stage) => stage.id === stageId);
+  const stage = PLAN_STAGES[index];
+  console.log(`\n[Step ${index + 1}/${PLAN_STAGES.length}] ${stage.label}${detail}...`);
+  planOptions.onProgress?.(stageId);
+}
+
+/**
+ * Download the A-roll (stage 1 of the pipeline). Release the file with
+ * releaseAroll() once the plan is generated.
+ * @param {string} url - A-roll URL
+ * @param {Object} planOptions - {onProgress, signal, allowLocalFiles}, where
+ *   allowLocalFiles overrides ALLOW_LOCAL_FILES for trusted callers like the CLI
+ * @returns {Promise<{path: string, bytes: number, temporary: boolean, release: Function}>} A-roll file
+ */
+export async function downloadAroll(url, planOptions = {}) {
+  enterStage("download", planOptions);
+  return fetchVideoFile(url, { signal: planOptions.signal, allowLocal: planOptions.allowLocalFiles });
+}
+
+/**
+ * Remove a downloaded A-roll unless it lives in the cache or is a local file,
+ * and let the cache evict it again
+ * @param {Object} file - Result of downloadAroll()
+ */
+export function releaseAroll(file) {
+  file.release();
+  if (file.temporary) fs.rmSync(file.path, { force: true });
+}
+
+/**
+ * Analyze the A-roll audio (stage 3). A failed analysis only costs the
+ * pause-aware timing, so it is logged rather than thrown.
+ * @param {string} audioPath - Extracted audio (or the A-roll itself)
+ * @param {Object} planOptions - {onProgress, signal}
+ * @returns {Promise<Object|null>} Analysis, or null if it failed
+ */
+async function analyzeAroll(audioPath, planOptions) {
+  enterStage("analyze_audio", planOptions);
+  try {
+    const analysis = await analyzeAudio(audioPath, { signal: planOptions.signal });
+    console.log(
+      `Found ${analysis.silences.length} pauses (median level ${analysis.loudness.median_db.toFixed(1)} dBFS)`
+    );
+    return analysis;
+  } catch (err) {
+    planOptions.signal?.throwIfAborted();
+    console.warn(`Audio analysis skipped: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Transcribe and analyze an A-roll file (stages 2-4). The audio is extracted
+ * and chunked in a private temp directory; without ffmpeg the video itself is
+ * sent if the provider accepts its size, and there is no analysis.
+ * @param {string} arollPath - A-roll video file
+ * @param {Object} provider - Transcription provider
+ * @param {Object} planOptions - {onProgress, signal}
+ * @returns {Promise<{transcript: Object, analysis: Object|null}>} Raw transcript
+ *   {segments, words?, duration_sec} and audio analysis
+ */
+async function transcribeAroll(arollPath, provider, planOptions) {
+  const requestOptions = { signal: planOptions.signal };
+  const transcribeDetail = ` with ${provider.name} (${provider.transcriptionModel})`;
+
+  if (provider.transcribesMedia === false) {
+    // The media is still analyzed when ffmpeg is around, it just is not transcribed
+    const analysis = await analyzeAroll(arollPath, planOptions);
+    enterStage("transcribe", planOptions, transcribeDetail);
+    return { transcript: await provider.transcribe(null, "a_roll.mp4", requestOptions), analysis };
+  }
+
+  const workDir = fs.mkdtempSync(join(os.tmpdir(), "broll-audio-"));
+  try {
+    enterStage("extract_audio", planOptions);
+    let audio;
+    try {
+      audio = await prepareTranscriptionAudio(arollPath, workDir, {
+        signal: planOptions.signal,
+        maxUploadBytes: provider.maxUploadBytes,
+      });
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+
+      const { size } = fs.statSync(arollPath);
+      if (provider.maxUploadBytes && size > provider.maxUploadBytes) {
+        throw new Error(
+          `The A-roll (${(size / 1024 / 1024).toFixed(1)} MB) is over the ${(provider.maxUploadBytes / 1024 / 1024).toFixed(0)} MB transcription limit and its audio cannot be extracted: ${err.message}`
+        );
+      }
+      console.warn(`${err.message} Sending the whole video; its duration is estimated from the transcript.`);
+      enterStage("transcribe", planOptions, transcribeDetail);
+      const transcript = await provider.transcribe(fs.readFileSync(arollPath), "a_roll.mp4", requestOptions);
+      return { transcript, analysis: null };
+    }
+
+    const analysis = await analyzeAroll(audio.path, planOptions);
+    const chunkDetail = audio.chunks.length > 1 ? `, ${audio.chunks.length} chunks` : "";
+    enterStage("transcribe", planOptions, `${transcribeDetail}${chunkDetail}`);
+    return { transcript: await transcribeChunks(provider, audio.chunks, requestOptions), analysis };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Detect cuts in the A-roll picture (stage 5). Like the audio analysis, a
+ * failure only costs the cut-cover bonus.
+ * @param {string} arollPath - A-roll video file
+ * @param {Object} planOptions - {onProgress, signal}
+ * @returns {Promise<Array|null>} Cuts, or null if detection failed
+ */
+async function detectArollCuts(arollPath, planOptions) {
+  enterStage("detect_cuts", planOptions);
+  const workDir = fs.mkdtempSync(join(os.tmpdir(), "broll-cuts-"));
+  try {
+    const cuts = await detectCuts(arollPath, workDir, { signal: planOptions.signal });
+    const jumpCuts = cuts.filter((cut) => cut.type === "jump").length;
+    console.log(`Found ${cuts.length - jumpCuts} scene cuts and ${jumpCuts} jump cuts`);
+    return cuts;
+  } catch (err) {
+    planOptions.signal?.throwIfAborted();
+    console.warn(`Cut detection skipped: ${err.message}`);
+    return null;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Generate a plan from an A-roll file and B-roll metadata (stages 2-9)
+ * @param {string} arollPath - A-roll video file
+ * @param {Array} b_rolls - Array of {id, metadata, duration_sec?, embedding?, url?}
+ * @param {Object} planOptions - {strategy, scoring, preset, options, constraints, allowLooping, variants,
+ *   transition, schemaVersion, onProgress(stageId), signal}
+ *   where options are snake_case planner options (see plannerPresets.js),
+ *   constraints are editor constraints (see planConstraints.js), variants
+ *   is the number of plan variants (see generatePlanFromTranscript),
+ *   transition is {type, duration_sec} for every insertion and schemaVersion
+ *   the plan schema to return (see insertionSchema.js)
+ * @param {Object} provider - Transcription/embedding provider (defaults to AI_PROVIDER)
+ * @returns {Promise<Object>} Plan
+ */
+export async function generatePlanFromArollFile(
+  arollPath,
+  b_rolls,
+  planOptions = {},
+  provider = getProvider()
+) {
+  const { transcript: rawTranscript, analysis } = await transcribeAroll(arollPath, provider, planOptions);
+
+  if (!rawTranscript.segments || rawTranscript.segments.length === 0) {
+    throw new Error("Transcription returned no segments.");
+  }
+
+  console.log(`Transcribed ${rawTranscript.segments.length} segments`);
+
+  const arollCuts = await detectArollCuts(arollPath, planOptions);
+
+  //Re-segment into sentence / phrase units on word boundaries
+  enterStage("segment", planOptions);
+  const transcriptResult = resegmentTranscript(rawTranscript);
+
+  console.log(
+    `Split into ${transcriptResult.segments.length} phrases (${transcriptResult.word_timing} word timing)`
+  );
+
+  return generatePlanFromTranscript(
+    transcriptResult,
+    b_rolls,
+    { ...planOptions, audioAnalysis: analysis, arollCuts },
+    provider
+  );
+}
+
+/**
+ * Generate a plan from an in-memory A-roll, e.g. an upload (stages 2-9). The
+ * buffer is written to a private temp file first.
+ * @param {Buffer} arollBuffer - A-roll video
+ * @param {Array} b_rolls - As for generatePlanFromArollFile
+ * @param {Object} planOptions - As for generatePlanFromArollFile
+ * @param {Object} provider - Transcription/embedding provider (defaults to AI_PROVIDER)
+ * @returns {Promise<Object>} Plan
+ */
+export async function generatePlanFromArollBuffer(
+  arollBuffer,
+  b_rolls,
+  planOptions = {},
+  provider = getProvider()
+) {
+  const workDir = fs.mkdtempSync(join(os.tmpdir(), "broll-aroll-"));
+  try {
+    const arollPath = join(workDir, "a_roll.mp4");
+    fs.writeFileSync(arollPath, arollBuffer);
+    return await generatePlanFromArollFile(arollPath, b_rolls, planOptions, provider);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Generate a plan from a phrase-level transcript (stages 7-9). Used directly
+ * for transcripts corrected by an editor, which skip transcription and send
+ * back the audio analysis and cuts of the original plan.
+ * @param {Object} transcriptResult - {segments: [{start_sec, end_sec, text, words}], duration_sec, word_timing}
+ * @param {Array} b_rolls - Array of {id, metadata, duration_sec?, embedding?, url?}
+ * @param {Object} planOptions - As for generatePlanFromArollFile, plus audioAnalysis
+ *   (see audioAnalysisService.js) and arollCuts (see visualAnalysisService.js)
+ * @param {Object} provider - Embedding provider (defaults to AI_PROVIDER)
+ * @returns {Promise<Object>} Plan. With more than one variant requested it
+ *   also has `variants` [{id, insertions, unsatisfied_constraints, summary}]
+ *   and `selected_variant`; the plan's own insertions are those of variant 1.
+ *   Each variant is planned to differ from the ones before it, and planning
+ *   stops early once a variant comes out the same as an earlier one.
+ *   Schema version 1 plans start every clip at 0 with hard cuts and leave
+ *   out the in-point and transition fields.
+ */
+export async function generatePlanFromTranscript(
+  transcriptResult,
+  b_rolls,
+  planOptions = {},
+  provider = getProvider()
+) {
+  const strategy = planOptions.strategy || process.env.PLANNER_STRATEGY || "greedy";
+  const scoring = planOptions.scoring || "hybrid";
+  const preset = planOptions.preset || DEFAULT_PRESET;
+  const plannerOptions = resolvePlannerOptions(preset, planOptions.options);
+  const schemaVersion = planOptions.schemaVersion || PLAN_SCHEMA_VERSION;
+  const legacy = schemaVersion === 1;
+  const transition = legacy ? null : resolveTransition(planOptions.transition);
+  const requestOptions = { signal: planOptions.signal };
+
+  const language = detectLanguage(transcriptResult.segments.map((seg) => seg.text));
+  console.log(`Detected transcript language: ${language.code} (${language.script})`);
+
+  //Generate embeddings for transcript segments (Devanagari is embedded with its romanization)
+  enterStage("embed_segments", planOptions);
+  const segmentTexts = transcriptResult.segments.map((seg) => matchingText(seg.text));
+  const segmentEmbeddings = await provider.embed(segmentTexts, requestOptions);
+
+  // Attach embeddings to segments
+  const segmentsWithEmbeddings = transcriptResult.segments.map((seg, idx) => ({
+    ...seg,
+    embedding: segmentEmbeddings[idx],
+  }));
+
+  //Generate embeddings for B-roll metadata (library clips arrive with stored embeddings)
+  enterStage("embed_brolls", planOptions);
+  const brollsToEmbed = b_rolls.filter((broll) => !broll.embedding);
+  const freshEmbeddings =
+    brollsToEmbed.length > 0
+      ? await provider.embed(
+          brollsToEmbed.map((broll) => broll.metadata || ""),
+          requestOptions
+        )
+      : [];
+  const brollEmbeddings = b_rolls.map(
+    (broll) => broll.embedding || freshEmbeddings[brollsToEmbed.indexOf(broll)]
+  );
+
+  // Create B-roll objects with embeddings
+  const brollEmbeddingObjects = b_rolls.map((broll, idx) => ({
+    id: broll.id,
+    metadata: broll.metadata,
+    tags: broll.tags || [],
+    duration_sec: broll.duration_sec || null,
+    embedding: brollEmbeddings[idx],
+  }));
+
+  //Plan insertions using semantic matching
+  const variantCount = planOptions.variants || 1;
+  enterStage(
+    "plan",
+    planOptions,
+    ` using ${scoring} matching (${strategy})${variantCount > 1 ? `, ${variantCount} variants` : ""}`
+  );
+  const variants = [];
+  const variantKey = (insertions) =>
+    insertions.map((insertion) => `${insertion.start_sec}:${insertion.broll_id}`).join(",");
+  // Raw cosine scores sit closer together than hybrid ones, so they start
+  // with a smaller penalty; it grows until the planner finds another plan
+  let diversityPenalty = scoring === "semantic" ? 0.04 : 0.2;
+  let repeats = 0;
+  while (variants.length < variantCount && repeats <= MAX_VARIANT_REPEATS) {
+    const variant = planInsertions(
+      segmentsWithEmbeddings,
+      brollEmbeddingObjects,
+      transcriptResult.duration_sec,
+      {
+        // Hybrid scores are calibrated (0.5 is an average pair); raw cosine is not
+        minConfidence: scoring === "semantic" ? 0.08 : 0.5,
+        emphasisWeight: scoring === "semantic" ? 0.02 : 0.1,
+        cutCoverBonus: scoring === "semantic" ? 0.03 : 0.15,
+        diversityPenalty,
+        ...toPlanInsertionsOptions(plannerOptions, transcriptResult.duration_sec, planOptions.options),
+        strategy,
+        scoring,
+        allowLooping: Boolean(planOptions.allowLooping),
+        constraints: planOptions.constraints,
+        audioAnalysis: planOptions.audioAnalysis || null,
+        arollCuts: planOptions.arollCuts || null,
+        avoidInsertions: variants.flatMap((earlier) => earlier.insertions),
+        transition,
+        trimSources: !legacy,
+      }
+    );
+    if (legacy) variant.insertions = variant.insertions.map(toLegacyInsertion);
+
+    if (variants.some((earlier) => variantKey(earlier.insertions) === variantKey(variant.insertions))) {
+      repeats++;
+      diversityPenalty *= 2;
+      console.log(`Variant ${variants.length + 1} repeats an earlier one; retrying with diversity penalty ${diversityPenalty}`);
+      continue;
+    }
+    variants.push(variant);
+  }
+  if (variants.length < variantCount) {
+    console.log(`Found ${variants.length} distinct variants of the ${variantCount} requested`);
+  }
+  const [{ insertions, unsatisfied }] = variants;
+
+  for (const { type, reason } of unsatisfied) {
+    console.warn(`Unsatisfied ${type} constraint: ${reason}`);
+  }
+
+  const coveredSeconds = insertions.reduce((sum, insertion) => sum + insertion.duration_sec, 0);
+  console.log(
+    `Planned ${insertions.length} B-roll insertions (${preset} preset, ${coveredSeconds.toFixed(1)}s covered)`
+  );
+
+  return {
+    schema_version: schemaVersion,
+    aroll_duration_sec: transcriptResult.duration_sec,
+    strategy,
+    scoring,
+    preset,
+    planner_options: plannerOptions,
+    ...(!legacy && { transition }),
+    coverage_ratio: transcriptResult.duration_sec
+      ? Math.round((coveredSeconds / transcriptResult.duration_sec) * 1000) / 1000
+      : 0,
+    transcript_language: language,
+    word_timing: transcriptResult.word_timing,
+    transcript_segments: transcriptResult.segments.map((seg) => ({
+      start_sec: seg.start_sec,
+      end_sec: seg.end_sec,
+      text: seg.text,
+      words: seg.words,
+    })),
+    b_rolls: b_rolls.map((broll) => ({
+      id: broll.id,
+      metadata: broll.metadata,
+      duration_sec: broll.duration_sec || null,
+      url: broll.url || null,
+    })),
+    insertions,
+    unsatisfied_constraints: unsatisfied,
+    audio_analysis: planOptions.audioAnalysis || null,
+    aroll_cuts: planOptions.arollCuts || null,
+    ...(variantCount > 1 && {
+      selected_variant: 1,
+      variants: variants.map((variant, idx) => ({
+        id: idx + 1,
+        insertions: variant.insertions,
+        unsatisfied_constraints: variant.unsatisfied,
+        summary: summarizeVariant(variant.insertions, transcriptResult.duration_sec),
+      })),
+    }),
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Planner options and named pacing presets. The API takes snake_case options
+ * (validated here) and a preset name; both are resolved to the camelCase
+ * options of planInsertions.
+ */
+
+// Allowed API options: planInsertions key and valid range
+const OPTION_SPECS = {
+  min_insertion_gap: { key: "minInsertionGap", min: 0, max: 300 },
+  min_insertion_duration: { key: "minInsertionDuration", min: 0.5, max: 60 },
+  max_insertion_duration: { key: "maxInsertionDuration", min: 0.5, max: 60 },
+  max_insertions: { key: "maxInsertions", min: 0, max: 200, integer: true },
+  min_confidence: { key: "minConfidence", min: -1, max: 1 },
+  avoid_first_seconds: { key: "avoidFirstSeconds", min: 0, max: 600 },
+  avoid_last_seconds: { key: "avoidLastSeconds", min: 0, max: 600 },
+  reuse_penalty: { key: "reusePenalty", min: 0, max: 1 },
+  semantic_weight: { key: "semanticWeight", min: 0, max: 1 },
+  top_k: { key: "topK", min: 0, max: 20, integer: true },
+  // Share of the A-roll runtime to cover with B-roll (sets the insertion count and gaps)
+  target_coverage: { key: "targetCoverage", min: 0.01, max: 1 },
+};
+
+export const DEFAULT_PRESET = "default";
+
+export const PLANNER_PRESETS = {
+  default: {
+    label: "Default",
+    description: "A few insertions spread over the video.",
+    options: {
+      min_insertion_gap: 3,
+      min_insertion_duration: 2,
+      max_insertion_duration: 4,
+      max_insertions: 4,
+      avoid_first_seconds: 0.5,
+      avoid_last_seconds: 1,
+    },
+  },
+  "fast-paced": {
+    label: "Fast-paced reel",
+    description: "Short, frequent cutaways for reels and shorts.",
+    options: {
+      min_insertion_gap: 1.5,
+      min_insertion_duration: 1,
+      max_insertion_duration: 2.5,
+      max_insertions: 12,
+      avoid_first_seconds: 0.5,
+      avoid_last_seconds: 0.5,
+      reuse_penalty: 0.05,
+    },
+  },
+  documentary: {
+    label: "Documentary",
+    description: "Longer, well-spaced shots after an uncovered intro.",
+    options: {
+      min_insertion_gap: 6,
+      min_insertion_duration: 3,
+      max_insertion_duration: 6,
+      max_insertions: 6,
+      avoid_first_seconds: 3,
+      avoid_last_seconds: 3,
+    },
+  },
+  minimal: {
+    label: "Minimal",
+    description: "One or two strong matches only.",
+    options: {
+      min_insertion_gap: 10,
+      min_insertion_duration: 2,
+      max_insertion_duration: 4,
+      max_insertions: 2,
+      avoid_first_seconds: 2,
+      avoid_last_seconds: 2,
+    },
+  },
+  "coverage-30": {
+    label: "Cover 30% of runtime",
+    description: "As many insertions as it takes to cover about 30% of the video.",
+    options: {
+      min_insertion_duration: 2,
+      max_insertion_duration: 4,
+      avoid_first_seconds: 0.5,
+      avoid_last_seconds: 1,
+      target_coverage: 0.3,
+    },
+  },
+};
+
+/**
+ * Check a preset name and an options object from a request
+ * @param {string|undefined} preset - Preset name
+ * @param {Object|undefined} options - snake_case planner options
+ * @returns {string|null} Error message, or null if both are valid
+ */
+export function plannerOptionsError(preset, options) {
+  if (preset !== undefined && !PLANNER_PRESETS[preset]) {
+    return `Unknown preset "${preset}". Use one of: ${Object.keys(PLANNER_PRESETS).join(", ")}.`;
+  }
+  if (options === undefined || options === null) return null;
+  if (typeof options !== "object" || Array.isArray(options)) {
+    return "Option 'options' must be an object.";
+  }
+
+  for (const [name, value] of Object.entries(options)) {
+    const spec = OPTION_SPECS[name];
+    if (!spec) {
+      return `Unknown planner option "${name}". Use any of: ${Object.keys(OPTION_SPECS).join(", ")}.`;
+    }
+    if (value === null) continue;
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return `Planner option "${name}" must be a number.`;
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+      return `Planner option "${name}" must be an integer.`;
+    }
+    if (value < spec.min || value > spec.max) {
+      return `Planner option "${name}" must be between ${spec.min} and ${spec.max}.`;
+    }
+  }
+
+  const merged = { ...PLANNER_PRESETS[preset || DEFAULT_PRESET].options, ...options };
+  if (merged.min_insertion_duration > merged.max_insertion_duration) {
+    return "min_insertion_duration cannot be greater than max_insertion_duration.";
+  }
+  return null;
+}
+
+/**
+ * Merge a preset with request options (validate with plannerOptionsError first)
+ * @param {string|undefined} preset - Preset name (defaults to DEFAULT_PRESET)
+ * @param {Object|undefined} options - snake_case overrides; null values fall back to the preset
+ * @returns {Object} snake_case options
+ */
+export function resolvePlannerOptions(preset, options = {}) {
+  const resolved = { ...PLANNER_PRESETS[preset || DEFAULT_PRESET].options };
+  for (const [name, value] of Object.entries(options || {})) {
+    if (value !== null) resolved[name] = value;
+  }
+  return resolved;
+}
+
+/**
+ * Convert resolved options to planInsertions options. A coverage target is
+ * turned into an insertion count and a gap that leaves room for it, unless
+ * the request set max_insertions or min_insertion_gap itself: those win over
+ * the target and only the unset one is derived.
+ * @param {Object} options - snake_case options from resolvePlannerOptions
+ * @param {number} arollDuration - A-roll duration in seconds
+ * @param {Object|undefined} requested - snake_case options the request sent
+ * @returns {Object} camelCase planInsertions options
+ */
+export function toPlanInsertionsOptions(options, arollDuration, requested = {}) {
+  const planOptions = {};
+  for (const [name, value] of Object.entries(options)) {
+    planOptions[OPTION_SPECS[name].key] = value;
+  }
+
+  const { targetCoverage } = planOptions;
+  if (targetCoverage) {
+    const minDuration = planOptions.minInsertionDuration ?? 2;
+    const maxDuration = planOptions.maxInsertionDuration ?? 5;
+    const usable = Math.max(
+      0,
+      arollDuration - (planOptions.avoidFirstSeconds ?? 0) - (planOptions.avoidLastSeconds ?? 0)
+    );
+    const targetSeconds = Math.min(targetCoverage * arollDuration, usable);
+    let count = Math.max(1, Math.round(targetSeconds / ((minDuration + maxDuration) / 2)));
+
+    if (requested?.max_insertions == null) {
+      planOptions.maxInsertions = count;
+    } else {
+      count = Math.max(1, Math.min(count, planOptions.maxInsertions));
+    }
+    if (requested?.min_insertion_gap == null) {
+      // Half the even spacing: insertions can only start where phrases start
+      planOptions.minInsertionGap = Math.max(0, (usable - targetSeconds) / (count + 1) / 2);
+    }
+    delete planOptions.targetCoverage;
+  }
+  return planOptions;
+}
@@ -0,0 +1,477 @@
+/**
+ * Projects: an A-roll with its B-roll set, transcript and the history of every
+ * plan made for it, generated or hand-edited, so work survives a page reload
+ * and any earlier version can be compared or brought back.
+ *
+ * What a plan knows about its A-roll (transcript, B-rolls, audio analysis...)
+ * rarely changes between versions, so it is stored once per project in
+ * `contexts` and each version keeps only its insertions and settings plus
+ * the index of its context.
+ */
+
+import { randomUUID } from "crypto";
+import { join } from "path";
+import { createJsonStore, DATA_DIR } from "../utils/jsonStore.js";
+import { planValidationError } from "./savedPlanService.js";
+
+const store = createJsonStore(join(DATA_DIR, "projects.json"), () => ({ projects: [] }));
+
+// How a version came to be; "restored" versions are only made by restoreProjectVersion
+export const VERSION_SOURCES = ["generated", "edited", "restored"];
+const SAVABLE_SOURCES = ["generated", "edited"];
+
+// Rounding slack when comparing insertion times
+const EPSILON = 0.001;
+
+// Plan fields that describe the A-roll rather than the edit, shared by versions
+const CONTEXT_KEYS = [
+  "aroll_duration_sec",
+  "transcript_language",
+  "word_timing",
+  "transcript_segments",
+  "b_rolls",
+  "audio_analysis",
+  "aroll_cuts",
+];
+
+/**
+ * A-roll reference kept with a project: the URL it was planned from, or the
+ * name of the uploaded file (uploads themselves are not stored)
+ * @param {Object} plan - Plan
+ * @param {Object|null} aRoll - Explicit reference ({url} or {name})
+ * @returns {Object|null} {url} or {name}, or null if unknown
+ */
+function arollReference(plan, aRoll) {
+  const source = aRoll || plan.a_roll;
+  if (source?.url) return { url: source.url };
+  if (source?.name) return { name: source.name };
+  return null;
+}
+
+/**
+ * Project fields that follow the latest version's plan
+ * @param {Object} plan - Plan
+ * @returns {Object} {aroll_duration_sec, b_rolls, transcript}
+ */
+function planContext(plan) {
+  return {
+    aroll_duration_sec: plan.aroll_duration_sec,
+    b_rolls: plan.b_rolls || [],
+    transcript: {
+      language: plan.transcript_language || null,
+      word_timing: plan.word_timing || null,
+      segments: plan.transcript_segments || [],
+    },
+  };
+}
+
+/**
+ * Store a plan's context with the project, reusing an identical one
+ * @param {Object} project - Stored project (modified in place)
+ * @param {Object} plan - Full plan
+ * @returns {Object} {context, plan} where context is the index into
+ *   project.contexts and plan is the plan without its context fields
+ */
+function storePlan(project, plan) {
+  const context = {};
+  const rest = { ...plan };
+  for (const key of CONTEXT_KEYS) {
+    if (key in rest) {
+      context[key] = rest[key];
+      delete rest[key];
+    }
+  }
+
+  const serialized = JSON.stringify(context);
+  let index = project.contexts.findIndex((stored) => JSON.stringify(stored) === serialized);
+  if (index === -1) index = project.contexts.push(context) - 1;
+  return { context: index, plan: rest };
+}
+
+/**
+ * Stored version with its full plan
+ * @param {Object} project - Stored project
+ * @param {Object} version - Stored version
+ * @returns {Object} {version, source, note, restored_from, plan, created_at}
+ */
+function toVersion(project, version) {
+  const { context, ...rest } = version;
+  return { ...rest, plan: { ...version.plan, ...project.contexts[context] } };
+}
+
+/**
+ * Move the context of full-plan versions stored before `contexts` existed
+ * into the project
+ * @param {Object} project - Stored project (modified in place)
+ */
+function migrateProject(project) {
+  project.contexts = [];
+  for (const version of project.versions) {
+    Object.assign(version, storePlan(project, version.plan));
+  }
+  delete project.aroll_duration_sec;
+  delete project.b_rolls;
+  delete project.transcript;
+}
+
+/**
+ * Stored projects, migrating older ones first
+ * @returns {Array} Stored projects
+ */
+function readProjects() {
+  if (store.read().projects.some((project) => !project.contexts)) {
+    store.update((data) => data.projects.filter((project) => !project.contexts).forEach(migrateProject));
+  }
+  return store.read().projects;
+}
+
+/**
+ * Version without its plan
+ * @param {Object} version - Stored version
+ * @returns {Object} {version, source, note, restored_from, insertion_count, coverage_ratio, created_at}
+ */
+function toVersionSummary(version) {
+  return {
+    version: version.version,
+    source: version.source,
+    note: version.note,
+    restored_from: version.restored_from,
+    insertion_count: version.plan.insertions.length,
+    coverage_ratio: version.plan.coverage_ratio ?? null,
+    created_at: version.created_at,
+  };
+}
+
+/**
+ * Project without its version plans, with the latest version's context
+ * @param {Object} project - Stored project
+ * @returns {Object} Project with version summaries
+ */
+function toProjectView(project) {
+  const { versions, contexts, ...rest } = project;
+  const latest = toVersion(project, versions[versions.length - 1]);
+  return { ...rest, ...planContext(latest.plan), versions: versions.map(toVersionSummary) };
+}
+
+/**
+ * Check the fields of a new version
+ * @param {Object} fields - {plan, source?, note?}
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function versionFieldsError(fields) {
+  const planError = planValidationError(fields?.plan);
+  if (planError) return planError;
+  if (fields.source !== undefined && !SAVABLE_SOURCES.includes(fields.source)) {
+    return `source must be one of: ${SAVABLE_SOURCES.join(", ")}.`;
+  }
+  if (fields.note !== undefined && fields.note !== null && typeof fields.note !== "string") {
+    return "note must be a string.";
+  }
+  return null;
+}
+
+/**
+ * Check the fields of a new project
+ * @param {Object} fields - {name?, a_roll?, plan, source?, note?}
+ * @returns {string|null} Error message, or null if the fields are valid
+ */
+export function projectFieldsError(fields) {
+  if (fields?.name !== undefined && (typeof fields.name !== "string" || !fields.name.trim())) {
+    return "name must be a non-empty string.";
+  }
+  if (
+    fields?.a_roll !== undefined &&
+    fields.a_roll !== null &&
+    !fields.a_roll.url &&
+    !fields.a_roll.name
+  ) {
+    return "a_roll must have a url or a name.";
+  }
+  return versionFieldsError(fields);
+}
+
+/**
+ * List projects without their versions
+ * @returns {Array} Array of {id, name, a_roll, aroll_duration_sec, version_count, created_at, updated_at}, newest first
+ */
+export function listProjects() {
+  return readProjects()
+    .map((project) => {
+      const latest = project.versions[project.versions.length - 1];
+      return {
+        id: project.id,
+        name: project.name,
+        a_roll: project.a_roll,
+        aroll_duration_sec: project.contexts[latest.context].aroll_duration_sec,
+        version_count: project.versions.length,
+        created_at: project.created_at,
+        updated_at: project.updated_at,
+      };
+    })
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+}
+
+/**
+ * Get a project with the summaries of its versions and the latest plan
+ * @param {string} id - Project id
+ * @returns {Object|null} Project, or null if not found
+ */
+export function getProject(id) {
+  const project = readProjects().find((p) => p.id === id);
+  if (!project) return null;
+  const latest = project.versions[project.versions.length - 1];
+  return { ...toProjectView(project), latest: toVersion(project, latest) };
+}
+
+/**
+ * Get one version of a project
+ * @param {string} id - Project id
+ * @param {number} version - Version number (1-based)
+ * @returns {Object|null} {version, source, note, restored_from, plan, created_at}, or null if not found
+ */
+export function getProjectVersion(id, version) {
+  const project = readProjects().find((p) => p.id === id);
+  const stored = project?.versions.find((v) => v.version === Number(version));
+  return stored ? toVersion(project, stored) : null;
+}
+
+/**
+ * Create a project whose first version is the given plan (throws on invalid
+ * fields, see projectFieldsError)
+ * @param {Object} fields - {name?, a_roll?, plan, source?, note?}
+ * @returns {Object} Project
+ */
+export function createProject(fields) {
+  const error = projectFieldsError(fields);
+  if (error) throw new Error(error);
+
+  const { plan } = fields;
+  const aRoll = arollReference(plan, fields.a_roll);
+  const now = new Date().toISOString();
+  const project = {
+    id: randomUUID(),
+    name: fields.name?.trim() || aRoll?.name || aRoll?.url?.split("/").pop() || "Untitled project",
+    a_roll: aRoll,
+    contexts: [],
+    versions: [],
+    created_at: now,
+    updated_at: now,
+  };
+  project.versions.push({
+    version: 1,
+    source: fields.source || "generated",
+    note: fields.note || null,
+    restored_from: null,
+    ...storePlan(project, plan),
+    created_at: now,
+  });
+  store.update((data) => data.projects.push(project));
+  return getProject(project.id);
+}
+
+/**
+ * Append a version to a project, whose context becomes the project's
+ * @param {string} id - Project id
+ * @param {Object} fields - {plan, source?, note?}
+ * @param {number|null} restoredFrom - Version the plan was copied from
+ * @returns {Object|null} The new version's summary, or null if the project is not found
+ */
+function appendVersion(id, fields, restoredFrom = null) {
+  readProjects();
+  return store.update((data) => {
+    const project = data.projects.find((p) => p.id === id);
+    if (!project) return null;
+
+    const now = new Date().toISOString();
+    const version = {
+      version: project.versions[project.versions.length - 1].version + 1,
+      source: restoredFrom ? "restored" : fields.source || "edited",
+      note: fields.note || null,
+      restored_from: restoredFrom,
+      ...storePlan(project, fields.plan),
+      created_at: now,
+    };
+    project.versions.push(version);
+    project.updated_at = now;
+    if (!project.a_roll) project.a_roll = arollReference(fields.plan, null);
+    return toVersionSummary(version);
+  });
+}
+
+/**
+ * Add a plan to a project's history
+ * @param {string} id - Project id
+ * @param {Object} fields - {plan, source?, note?}
+ * @returns {Object|null} The new version's summary, or null if the project is not found
+ */
+export function addProjectVersion(id, fields) {
+  const error = versionFieldsError(fields);
+  if (error) throw new Error(error);
+  return appendVersion(id, fields);
+}
+
+/**
+ * Bring back an older version by copying it to a new latest version, so the
+ * history is never rewritten
+ * @param {string} id - Project id
+ * @param {number} version - Version to restore
+ * @returns {Object|null} The new version's summary, or null if the project or version is not found
+ */
+export function restoreProjectVersion(id, version) {
+  const old = getProjectVersion(id, version);
+  if (!old) return null;
+  return appendVersion(id, { plan: old.plan, note: `Restored version ${old.version}` }, old.version);
+}
+
+/**
+ * Whether two insertions cover the same time with the same clip, in-point and transitions
+ * @param {Object} a - Insertion
+ * @param {Object} b - Insertion
+ * @returns {boolean} True if unchanged
+ */
+function sameInsertion(a, b) {
+  return insertionChanges(a, b).length === 0;
+}
+
+/**
+ * Whether two transitions differ (a missing transition is a hard cut)
+ * @param {Object|undefined} a - Transition
+ * @param {Object|undefined} b - Transition
+ * @returns {boolean} True if they differ
+ */
+function transitionChanged(a, b) {
+  return (
+    (a?.type || "cut") !== (b?.type || "cut") ||
+    Math.abs((a?.duration_sec || 0) - (b?.duration_sec || 0)) >= EPSILON
+  );
+}
+
+/**
+ * Seconds two insertions overlap
+ * @param {Object} a - Insertion
+ * @param {Object} b - Insertion
+ * @returns {number} Overlap in seconds (0 if disjoint)
+ */
+function overlapSec(a, b) {
+  return Math.max(
+    0,
+    Math.min(a.start_sec + a.duration_sec, b.start_sec + b.duration_sec) -
+      Math.max(a.start_sec, b.start_sec)
+  );
+}
+
+/**
+ * What changed for an insertion that is in both versions
+ * @param {Object} from - Insertion in the older version
+ * @param {Object} to - Insertion in the newer version
+ * @returns {string[]} Any of "clip", "start", "duration", "loop", "source_in", "transitions"
+ */
+function insertionChanges(from, to) {
+  const changes = [];
+  if (from.broll_id !== to.broll_id) changes.push("clip");
+  if (Math.abs(from.start_sec - to.start_sec) >= EPSILON) changes.push("start");
+  if (Math.abs(from.duration_sec - to.duration_sec) >= EPSILON) changes.push("duration");
+  if (Boolean(from.loop) !== Boolean(to.loop)) changes.push("loop");
+  if (Math.abs((from.source_in_sec || 0) - (to.source_in_sec || 0)) >= EPSILON) changes.push("source_in");
+  if (
+    transitionChanged(from.transition_in, to.transition_in) ||
+    transitionChanged(from.transition_out, to.transition_out)
+  ) {
+    changes.push("transitions");
+  }
+  return changes;
+}
+
+/**
+ * Compare the insertions of two plans. Identical insertions are unchanged;
+ * of the rest, pairs that overlap in time (most overlap first) count as
+ * changed, and whatever is left was added or removed.
+ * @param {Array} fromInsertions - Older insertions
+ * @param {Array} toInsertions - Newer insertions
+ * @returns {Object} {unchanged_count, added, removed, changed: [{from, to, changes}]}
+ */
+export function diffInsertions(fromInsertions, toInsertions) {
+  const fromLeft = new Set(fromInsertions);
+  const toLeft = new Set(toInsertions);
+
+  let unchanged = 0;
+  for (const from of fromInsertions) {
+    const match = [...toLeft].find((to) => sameInsertion(from, to));
+    if (match) {
+      fromLeft.delete(from);
+      toLeft.delete(match);
+      unchanged++;
+    }
+  }
+
+  const pairs = [];
+  for (const from of fromLeft) {
+    for (const to of toLeft) {
+      const overlap = overlapSec(from, to);
+      if (overlap > 0) pairs.push({ from, to, overlap });
+    }
+  }
+  pairs.sort((a, b) => b.overlap - a.overlap);
+
+  const changed = [];
+  for (const { from, to } of pairs) {
+    if (!fromLeft.has(from) || !toLeft.has(to)) continue;
+    fromLeft.delete(from);
+    toLeft.delete(to);
+    changed.push({ from, to, changes: insertionChanges(from, to) });
+  }
+  changed.sort((a, b) => a.to.start_sec - b.to.start_sec);
+
+  const byStart = (a, b) => a.start_sec - b.start_sec;
+  return {
+    unchanged_count: unchanged,
+    added: [...toLeft].sort(byStart),
+    removed: [...fromLeft].sort(byStart),
+    changed,
+  };
+}
+
+/**
+ * Transcript segments whose text differs between two plans (segments are
+ * compared by position, as transcript edits keep the segmentation)
+ * @param {Array} fromSegments - Older segments
+ * @param {Array} toSegments - Newer segments
+ * @returns {Array} Array of {index, from, to} with from/to null for added or removed segments
+ */
+function diffTranscript(fromSegments = [], toSegments = []) {
+  const changes = [];
+  for (let idx = 0; idx < Math.max(fromSegments.length, toSegments.length); idx++) {
+    const from = fromSegments[idx]?.text ?? null;
+    const to = toSegments[idx]?.text ?? null;
+    if (from !== to) changes.push({ index: idx, from, to });
+  }
+  return changes;
+}
+
+/**
+ * Compare two versions of a project
+ * @param {string} id - Project id
+ * @param {number} fromVersion - Older version
+ * @param {number} toVersion - Newer version
+ * @returns {Object|null} {from, to, insertions, transcript, settings}, or null if a version is not found
+ */
+export function diffProjectVersions(id, fromVersion, toVersion) {
+  const from = getProjectVersion(id, fromVersion);
+  const to = getProjectVersion(id, toVersion);
+  if (!from || !to) return null;
+
+  const settings = {};
+  for (const key of ["strategy", "scoring", "preset"]) {
+    if (from.plan[key] !== to.plan[key]) {
+      settings[key] = { from: from.plan[key] ?? null, to: to.plan[key] ?? null };
+    }
+  }
+
+  return {
+    from: toVersionSummary(from),
+    to: toVersionSummary(to),
+    insertions: diffInsertions(from.plan.insertions, to.plan.insertions),
+    transcript: diffTranscript(from.plan.transcript_segments, to.plan.transcript_segments),
+    settings,
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * Caching decorator for providers: transcripts are keyed by the SHA-256 of
+ * the media and the transcription model, embeddings by the SHA-256 of each
+ * text and the embedding model, so only texts never seen before hit the API.
+ */
+
+import { hashKey } from "../../utils/cache.js";
+
+// Part of the transcript key; bump it when the transcript shape changes so
+// older cached transcripts are not reused
+const TRANSCRIPT_FORMAT = "segments+words";
+
+/**
+ * Wrap a provider with a persistent cache
+ * @param {Object} provider - Provider to wrap
+ * @param {Object} cache - Cache from utils/cache.js
+ * @returns {Object} Provider with the same interface
+ */
+export function withCache(provider, cache) {
+  async function transcribe(videoBuffer, filename, requestOptions = {}) {
+    const key = hashKey(provider.transcriptionModel, TRANSCRIPT_FORMAT, videoBuffer);
+    const cached = cache.getJson("transcripts", key);
+    if (cached) {
+      console.log(`Transcript cache hit (${provider.transcriptionModel})`);
+      return cached;
+    }
+
+    const result = await provider.transcribe(videoBuffer, filename, requestOptions);
+    cache.setJson("transcripts", key, result);
+    return result;
+  }
+
+  async function embed(texts, requestOptions = {}) {
+    const keys = texts.map((text) => hashKey(provider.embeddingModel, text));
+    const vectors = keys.map((key) => cache.getJson("embeddings", key));
+    const cachedCount = vectors.filter(Boolean).length;
+
+    // Embed only the distinct texts that were not cached
+    const missing = [...new Set(texts.filter((text, idx) => !vectors[idx]))];
+    if (missing.length > 0) {
+      const fresh = await provider.embed(missing, requestOptions);
+      const byText = new Map(missing.map((text, idx) => [text, fresh[idx]]));
+      texts.forEach((text, idx) => {
+        if (vectors[idx]) return;
+        vectors[idx] = byText.get(text);
+        cache.setJson("embeddings", keys[idx], vectors[idx]);
+      });
+    }
+
+    console.log(`Embeddings: ${cachedCount} cached, ${texts.length - cachedCount} new`);
+    return vectors;
+  }
+
+  return { ...provider, transcribe, embed };
+}
+
+/**
+ * Provider that only reads embeddings cached by withCache() and never calls
+ * an API, so plans can be evaluated offline against a real embedding model
+ * @param {string} embeddingModel - Model whose cached vectors are used
+ * @param {Object} cache - Cache from utils/cache.js
+ * @returns {Object} Provider with embed() (transcribe() always fails)
+ */
+export function cachedEmbeddingsOnly(embeddingModel, cache) {
+  async function transcribe() {
+    throw new Error("The cache-only provider cannot transcribe.");
+  }
+
+  async function embed(texts) {
+    const vectors = texts.map((text) => cache.getJson("embeddings", hashKey(embeddingModel, text)));
+    const missing = vectors.filter((vector) => !vector).length;
+    if (missing > 0) {
+      throw new Error(
+        `${missing} of ${texts.length} texts have no cached ${embeddingModel} embedding. Run once with live embeddings to fill the cache.`
+      );
+    }
+    return vectors;
+  }
+
+  return {
+    name: "cache",
+    transcriptionModel: null,
+    embeddingModel,
+    transcribesMedia: false,
+    transcribe,
+    embed,
+  };
+}
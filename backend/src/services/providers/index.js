@@ -0,0 +1,109 @@
+/**
+ * Transcription / embedding provider selection
+ *
+ * A provider is an object with:
+ *   - name, transcriptionModel, embeddingModel
+ *   - maxUploadBytes (optional): largest file transcribe() accepts; longer
+ *     audio is split into chunks (see services/audioService.js)
+ *   - transcribesMedia (optional): false if transcribe() ignores the media
+ *   - transcribe(buffer, filename, {signal}) -> Promise<{segments, words?, duration_sec}>
+ *   - embed(texts, {signal}) -> Promise<number[][]>
+ *
+ * Providers are chosen through environment variables:
+ *   AI_PROVIDER              openai (default) | openai-compatible | offline
+ *   TRANSCRIPTION_PROVIDER   overrides AI_PROVIDER for transcription only
+ *   EMBEDDING_PROVIDER       overrides AI_PROVIDER for embeddings only
+ *
+ * Network providers are wrapped with the persistent cache (see utils/cache.js).
+ */
+
+import dotenv from "dotenv";
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createOfflineProvider } from "./offlineProvider.js";
+import { withCache } from "./cachedProvider.js";
+import { getCache } from "../../utils/cache.js";
+
+dotenv.config();
+
+export const PROVIDER_NAMES = ["openai", "openai-compatible", "offline"];
+
+/**
+ * Create a single provider by name, reading its settings from the environment
+ * @param {string} name - One of PROVIDER_NAMES
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Provider
+ */
+export function createProvider(name, env = process.env) {
+  switch (name) {
+    case "openai":
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        transcriptionModel: env.TRANSCRIPTION_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL,
+      });
+    case "openai-compatible":
+      if (!env.OPENAI_BASE_URL) {
+        throw new Error("OPENAI_BASE_URL is required for the openai-compatible provider.");
+      }
+      return createOpenAIProvider({
+        name: "openai-compatible",
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL,
+        transcriptionModel: env.TRANSCRIPTION_MODEL,
+        embeddingModel: env.EMBEDDING_MODEL,
+        // Local servers often accept larger uploads than the hosted API
+        maxUploadBytes: env.TRANSCRIBE_MAX_MB ? Number(env.TRANSCRIBE_MAX_MB) * 1024 * 1024 : undefined,
+      });
+    case "offline":
+      return createOfflineProvider({
+        transcriptPath: env.OFFLINE_TRANSCRIPT_PATH,
+        dimensions: env.OFFLINE_EMBEDDING_DIMENSIONS
+          ? Number(env.OFFLINE_EMBEDDING_DIMENSIONS)
+          : undefined,
+      });
+    default:
+      throw new Error(
+        `Unknown provider "${name}". Expected one of: ${PROVIDER_NAMES.join(", ")}.`
+      );
+  }
+}
+
+let cachedProvider = null;
+
+/**
+ * Get the configured provider (transcription and embeddings may come from
+ * different backends). The result is created once and reused.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Provider
+ */
+export function getProvider(env = process.env) {
+  if (cachedProvider && env === process.env) return cachedProvider;
+
+  const defaultName = env.AI_PROVIDER || "openai";
+  const transcriptionName = env.TRANSCRIPTION_PROVIDER || defaultName;
+  const embeddingName = env.EMBEDDING_PROVIDER || defaultName;
+
+  // The offline provider is already instant and reads a fixture that may change
+  const cached = (provider) =>
+    provider.name === "offline" ? provider : withCache(provider, getCache());
+
+  const transcriber = cached(createProvider(transcriptionName, env));
+  const embedder =
+    embeddingName === transcriptionName
+      ? transcriber
+      : cached(createProvider(embeddingName, env));
+
+  const provider = {
+    name:
+      transcriber === embedder ? transcriber.name : `${transcriber.name}+${embedder.name}`,
+    transcriptionModel: transcriber.transcriptionModel,
+    embeddingModel: embedder.embeddingModel,
+    maxUploadBytes: transcriber.maxUploadBytes,
+    transcribesMedia: transcriber.transcribesMedia,
+    transcribe: transcriber.transcribe,
+    embed: embedder.embed,
+  };
+
+  if (env === process.env) cachedProvider = provider;
+  return provider;
+}
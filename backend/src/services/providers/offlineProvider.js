@@ -0,0 +1,119 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join, resolve } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_TRANSCRIPT_PATH = join(__dirname, "../../../../examples/sample_plan.json");
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase word tokens (Unicode-aware, so Devanagari works too)
+ * @param {string} text - Input text
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+  return (text || "").toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Deterministic bag-of-words embedding using feature hashing.
+ * Texts that share words end up close in cosine space, which is enough
+ * to exercise the matching pipeline without a model.
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector size
+ * @returns {number[]} L2-normalised vector
+ */
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = tokenize(text);
+  const features = [...tokens];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map((v) => v / norm);
+}
+
+/**
+ * Create a deterministic provider that never touches the network.
+ * Transcription is read from a fixture file (either a saved plan with
+ * `transcript_segments` or a raw `{segments, duration_sec}` transcript),
+ * embeddings are hashed bag-of-words vectors.
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.transcriptPath] - Fixture transcript path
+ * @param {number} [config.dimensions] - Embedding vector size
+ * @returns {Object} Provider with transcribe() and embed()
+ */
+export function createOfflineProvider(config = {}) {
+  const { transcriptPath = DEFAULT_TRANSCRIPT_PATH, dimensions = 256 } = config;
+  const fixturePath = resolve(transcriptPath);
+
+  /**
+   * Return the fixture transcript (the video buffer is ignored)
+   * @returns {Promise<Object>} Transcript with segments and timestamps
+   */
+  async function transcribe() {
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`Transcription failed: offline transcript fixture not found at ${fixturePath}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf-8"));
+    const segments = fixture.transcript_segments || fixture.segments || [];
+    const transcriptSegments = segments.map((segment) => ({
+      start_sec: segment.start_sec,
+      end_sec: segment.end_sec,
+      text: (segment.text || "").trim(),
+    }));
+
+    console.log(`Offline transcription loaded: ${transcriptSegments.length} segments`);
+
+    return {
+      segments: transcriptSegments,
+      duration_sec:
+        fixture.aroll_duration_sec ??
+        fixture.duration_sec ??
+        (transcriptSegments.length > 0 ? transcriptSegments[transcriptSegments.length - 1].end_sec : 0),
+    };
+  }
+
+  /**
+   * Generate hashed embeddings for multiple texts
+   * @param {string[]} texts - Array of texts to embed
+   * @returns {Promise<number[][]>} Array of embedding vectors
+   */
+  async function embed(texts) {
+    return texts.map((text) => hashEmbedding(text, dimensions));
+  }
+
+  return {
+    name: "offline",
+    transcriptionModel: `fixture:${fixturePath}`,
+    embeddingModel: `hashed-bow-${dimensions}`,
+    // The fixture stands in for the transcript, so the media is never read
+    transcribesMedia: false,
+    transcribe,
+    embed,
+  };
+}
@@ -0,0 +1,130 @@
+import OpenAI from "openai";
+
+// Whisper API upload limit
+const DEFAULT_MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Create a provider backed by the OpenAI API (or any OpenAI-compatible server,
+ * e.g. a local Whisper / embedding server, when `baseURL` is set)
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.apiKey] - API key (local servers usually accept any value)
+ * @param {string} [config.baseURL] - Base URL of an OpenAI-compatible API
+ * @param {string} [config.transcriptionModel] - Transcription model name
+ * @param {string} [config.embeddingModel] - Embedding model name
+ * @param {string} [config.name] - Provider name used in logs
+ * @param {number} [config.maxUploadBytes] - Largest file the transcription endpoint accepts
+ * @returns {Object} Provider with transcribe() and embed()
+ */
+export function createOpenAIProvider(config = {}) {
+  const {
+    apiKey,
+    baseURL,
+    transcriptionModel = "whisper-1",
+    embeddingModel = "text-embedding-3-small",
+    name = "openai",
+    maxUploadBytes = DEFAULT_MAX_UPLOAD_BYTES,
+  } = config;
+
+  // The client is created on first use so a missing key only fails the
+  // requests that actually need OpenAI, not the whole server at import time
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({
+        apiKey: apiKey || (baseURL ? "not-needed" : undefined),
+        baseURL: baseURL || undefined,
+      });
+    }
+    return client;
+  };
+
+  /**
+   * Transcribe audio (or video) using the Whisper API
+   * @param {Buffer} mediaBuffer - Audio or video file buffer, at most maxUploadBytes
+   * @param {string} filename - File name (the extension tells the API the format)
+   * @param {Object} requestOptions - {signal} to cancel the request
+   * @returns {Promise<Object>} Transcript with segments, words and timestamps
+   */
+  async function transcribe(mediaBuffer, filename = "audio.mp3", requestOptions = {}) {
+    try {
+      console.log(`Calling ${name} transcription API (${transcriptionModel})...`);
+
+      // Sent from memory, so concurrent requests never share a temp file
+      const file = new File([mediaBuffer], filename, {
+        type: filename.endsWith(".mp3") ? "audio/mpeg" : "video/mp4",
+      });
+
+      // Call Whisper API with verbose_json format for segment- and word-level timestamps
+      const transcription = await getClient().audio.transcriptions.create(
+        {
+          file: file,
+          model: transcriptionModel,
+          response_format: "verbose_json",
+          timestamp_granularities: ["segment", "word"], // Words give exact phrase boundaries
+        },
+        { signal: requestOptions.signal }
+      );
+
+      // Transform OpenAI response to our format
+      const segments = transcription.segments || [];
+      const transcriptSegments = segments.map((segment) => ({
+        start_sec: segment.start,
+        end_sec: segment.end,
+        text: segment.text.trim(),
+      }));
+
+      // Servers without word timestamps simply omit them
+      const words = (transcription.words || []).map((word) => ({
+        word: word.word,
+        start_sec: word.start,
+        end_sec: word.end,
+      }));
+
+      console.log(`Transcription completed: ${segments.length} segments, ${words.length} words`);
+
+      return {
+        segments: transcriptSegments,
+        words,
+        // Servers that do not report the media duration fall back to the last segment
+        duration_sec:
+          Number(transcription.duration) ||
+          (segments.length > 0 ? segments[segments.length - 1].end : 0),
+      };
+    } catch (error) {
+      console.error(`${name} transcription error:`, error);
+      throw new Error(`Transcription failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate embeddings for multiple texts in batch
+   * @param {string[]} texts - Array of texts to embed
+   * @param {Object} requestOptions - {signal} to cancel the request
+   * @returns {Promise<number[][]>} Array of embedding vectors
+   */
+  async function embed(texts, requestOptions = {}) {
+    try {
+      const response = await getClient().embeddings.create(
+        {
+          model: embeddingModel,
+          input: texts,
+        },
+        { signal: requestOptions.signal }
+      );
+
+      return response.data.map((item) => item.embedding);
+    } catch (error) {
+      console.error(`${name} batch embedding error:`, error);
+      throw new Error(`Batch embedding failed: ${error.message}`);
+    }
+  }
+
+  return {
+    name,
+    transcriptionModel,
+    embeddingModel,
+    maxUploadBytes,
+    transcribe,
+    embed,
+  };
+}
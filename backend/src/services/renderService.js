@@ -0,0 +1,240 @@
+/**
+ * Render service: composites B-roll insertions over the A-roll with ffmpeg.
+ * B-roll clips replace the picture during their insertion window while the
+ * A-roll audio keeps playing underneath. Each clip plays from its source
+ * in-point and blends in and out with the insertion's transitions.
+ */
+
+import fs from "fs";
+import os from "os";
+import { join, resolve } from "path";
+import { runFfmpeg, probeMedia } from "../utils/ffmpeg.js";
+import { fetchVideoFile } from "../utils/videoDownloader.js";
+import { buildCaptionCues, captionLayout, formatAss, resolveCaptionOptions } from "./captionService.js";
+import { fitTransition, upgradePlan } from "./insertionSchema.js";
+
+/**
+ * Write a media source ({path}, {buffer} or {url}) to disk if needed
+ * @param {Object} source - Media source
+ * @param {string} workDir - Temp directory for materialized files
+ * @param {string} name - File name to use inside workDir
+ * @param {Function[]} releases - Collects the release() of cached downloads, called after the render
+ * @returns {Promise<string>} Absolute path to a local file (ffmpeg runs in workDir)
+ */
+async function materializeSource(source, workDir, name, releases) {
+  if (source.path) return resolve(source.path);
+
+  const filePath = join(workDir, name);
+  if (source.buffer) {
+    fs.writeFileSync(filePath, source.buffer);
+    return filePath;
+  }
+  if (source.url) {
+    // Cached or local files are used in place; other downloads land in workDir
+    const file = await fetchVideoFile(source.url, { tempDir: workDir });
+    releases.push(file.release);
+    return resolve(file.path);
+  }
+  throw new Error(`Media source "${name}" has no path, buffer or url.`);
+}
+
+/**
+ * Fade filters for a layer's transitions, in output time. A crossfade ramps
+ * the layer's opacity. A dip spends the first half fading the A-roll to black
+ * (a black layer fading in) and the second half bringing the clip up from
+ * black, and the reverse on the way out.
+ * @param {Object} layer - {start_sec, duration_sec, transition_in, transition_out}
+ * @returns {string} Filters to append to the layer's chain ("" for hard cuts)
+ */
+function transitionFilters(layer) {
+  const { start_sec: start, duration_sec: duration, transition_in: into, transition_out: out } = layer;
+  const end = start + duration;
+  const t = (value) => value.toFixed(3);
+  const color = [];
+  const alpha = [];
+
+  if (into.type === "crossfade") {
+    alpha.push(`fade=t=in:st=${t(start)}:d=${t(into.duration_sec)}:alpha=1`);
+  } else if (into.type === "dip") {
+    const half = into.duration_sec / 2;
+    color.push(`fade=t=in:st=${t(start + half)}:d=${t(half)}`);
+    alpha.push(`fade=t=in:st=${t(start)}:d=${t(half)}:alpha=1`);
+  }
+  if (out.type === "crossfade") {
+    alpha.push(`fade=t=out:st=${t(end - out.duration_sec)}:d=${t(out.duration_sec)}:alpha=1`);
+  } else if (out.type === "dip") {
+    const half = out.duration_sec / 2;
+    color.push(`fade=t=out:st=${t(end - out.duration_sec)}:d=${t(half)}`);
+    alpha.push(`fade=t=out:st=${t(end - half)}:d=${t(half)}:alpha=1`);
+  }
+
+  // Color fades go first: they only touch the picture, the alpha fades need an alpha plane
+  const filters = [...color, ...(alpha.length > 0 ? ["format=yuva420p", ...alpha] : [])];
+  return filters.map((filter) => `,${filter}`).join("");
+}
+
+/**
+ * Build the ffmpeg arguments for compositing the plan
+ * @param {string} arollPath - A-roll file
+ * @param {Array} layers - Array of {path, start_sec, duration_sec, source_in_sec, loop,
+ *   transition_in, transition_out}
+ * @param {Object} arollInfo - Probe result for the A-roll ({width, height, has_audio})
+ * @param {string} outputPath - Output MP4 path
+ * @param {Object} options - Encoder options, plus captionsFile (an ASS file
+ *   relative to the working directory) to burn in
+ * @returns {string[]} ffmpeg arguments
+ */
+function buildRenderArgs(arollPath, layers, arollInfo, outputPath, options = {}) {
+  const { crf = 20, preset = "veryfast", captionsFile } = options;
+  const { width, height } = arollInfo;
+
+  const args = ["-y", "-i", arollPath];
+  // One input per insertion so the same clip can be reused without split filters
+  for (const layer of layers) {
+    // Looping insertions repeat the clip until the trim below cuts it off
+    if (layer.loop) args.push("-stream_loop", "-1");
+    args.push("-i", layer.path);
+  }
+
+  const filters = [`[0:v]setpts=PTS-STARTPTS,setsar=1[base0]`];
+  layers.forEach((layer, idx) => {
+    const inputIdx = idx + 1;
+    const start = layer.start_sec.toFixed(3);
+    const end = (layer.start_sec + layer.duration_sec).toFixed(3);
+    filters.push(
+      `[${inputIdx}:v]trim=start=${layer.source_in_sec.toFixed(3)}:duration=${layer.duration_sec.toFixed(3)},` +
+        `setpts=PTS-STARTPTS+${start}/TB,` +
+        `scale=${width}:${height}:force_original_aspect_ratio=increase,` +
+        `crop=${width}:${height},setsar=1${transitionFilters(layer)}[broll${idx}]`
+    );
+    filters.push(
+      `[base${idx}][broll${idx}]overlay=eof_action=pass:enable='between(t,${start},${end})'[base${idx + 1}]`
+    );
+  });
+
+  let output = `[base${layers.length}]`;
+  if (captionsFile) {
+    filters.push(`${output}subtitles=${captionsFile}[captioned]`);
+    output = "[captioned]";
+  }
+
+  args.push("-filter_complex", filters.join(";"), "-map", output);
+  if (arollInfo.has_audio) {
+    args.push("-map", "0:a", "-c:a", "aac", "-b:a", "192k");
+  }
+  args.push(
+    "-c:v",
+    "libx264",
+    "-preset",
+    preset,
+    "-crf",
+    String(crf),
+    "-pix_fmt",
+    "yuv420p",
+    "-movflags",
+    "+faststart",
+    outputPath
+  );
+
+  return args;
+}
+
+/**
+ * Render the final edited video from a plan
+ * @param {Object} params - Render parameters
+ * @param {Object} params.aroll - A-roll source: {path}, {buffer} or {url}
+ * @param {Array} params.brolls - Array of {id, path|buffer|url}
+ * @param {Object} params.plan - Plan with an `insertions` array (any schema version)
+ * @param {string} params.outputPath - Where to write the MP4
+ * @param {Object} params.options - {crf, preset, captions} where captions are
+ *   snake_case caption options (see captionService.js) to burn the plan's
+ *   transcript in, or null for no captions
+ * @returns {Promise<Object>} {output_path, duration_sec, insertions_rendered, captions_burned}
+ */
+export async function renderVideo({ aroll, brolls, plan, outputPath, options = {} }) {
+  if (!plan || !Array.isArray(plan.insertions)) {
+    throw new Error("Plan must contain an insertions array.");
+  }
+  if (options.captions && !plan.transcript_segments?.length) {
+    throw new Error("Plan has no transcript_segments to burn in as captions.");
+  }
+  const { insertions } = upgradePlan(plan);
+
+  const brollById = new Map((brolls || []).map((broll) => [broll.id, broll]));
+  for (const insertion of insertions) {
+    if (!brollById.has(insertion.broll_id)) {
+      throw new Error(`No B-roll source found for "${insertion.broll_id}".`);
+    }
+  }
+
+  const workDir = fs.mkdtempSync(join(os.tmpdir(), "broll-render-"));
+  const releases = [];
+  try {
+    console.log("Preparing render sources...");
+    const arollPath = await materializeSource(aroll, workDir, "a_roll.mp4", releases);
+    const arollInfo = await probeMedia(arollPath);
+    if (!arollInfo.width || !arollInfo.height) {
+      throw new Error("A-roll has no video stream.");
+    }
+
+    // Fetch (and measure) each distinct clip once even if the plan reuses it
+    const brollFiles = new Map();
+    for (const insertion of insertions) {
+      if (!brollFiles.has(insertion.broll_id)) {
+        const source = brollById.get(insertion.broll_id);
+        const path = await materializeSource(source, workDir, `broll_${brollFiles.size + 1}.mp4`, releases);
+        brollFiles.set(insertion.broll_id, { path, duration_sec: (await probeMedia(path)).duration_sec });
+      }
+    }
+
+    const layers = [...insertions]
+      .sort((a, b) => a.start_sec - b.start_sec)
+      .filter((insertion) => insertion.start_sec < arollInfo.duration_sec)
+      .map((insertion) => {
+        const file = brollFiles.get(insertion.broll_id);
+        const duration = Math.min(insertion.duration_sec, arollInfo.duration_sec - insertion.start_sec);
+        // The plan may know a different clip length than the real file; keep the window inside it
+        const sourceIn =
+          insertion.loop || !file.duration_sec
+            ? insertion.source_in_sec
+            : Math.max(0, Math.min(insertion.source_in_sec, file.duration_sec - duration));
+        return {
+          path: file.path,
+          start_sec: insertion.start_sec,
+          duration_sec: duration,
+          source_in_sec: sourceIn,
+          loop: Boolean(insertion.loop),
+          transition_in: fitTransition(insertion.transition_in, duration),
+          transition_out: fitTransition(insertion.transition_out, duration),
+        };
+      });
+
+    let captionsFile = null;
+    if (options.captions) {
+      const { maxCharsPerLine } = captionLayout(arollInfo.width, arollInfo.height);
+      const captionOptions = resolveCaptionOptions(options.captions, { maxCharsPerLine });
+      const cues = buildCaptionCues(plan.transcript_segments, captionOptions);
+      // Relative to cwd so Windows drive letters never appear inside the filter string
+      captionsFile = "captions.ass";
+      fs.writeFileSync(join(workDir, captionsFile), formatAss(cues, layers, arollInfo, captionOptions));
+    }
+
+    console.log(`Rendering ${layers.length} insertions with ffmpeg${captionsFile ? " and captions" : ""}...`);
+    const args = buildRenderArgs(arollPath, layers, arollInfo, resolve(outputPath), {
+      ...options,
+      captionsFile,
+    });
+    await runFfmpeg(args, { cwd: workDir });
+
+    console.log(`Render completed: ${outputPath}`);
+    return {
+      output_path: outputPath,
+      duration_sec: arollInfo.duration_sec,
+      insertions_rendered: layers.length,
+      captions_burned: Boolean(captionsFile),
+    };
+  } finally {
+    releases.forEach((release) => release());
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Saved plans: plans edited in the timeline editor are stored so they can be
+ * reopened, exported or rendered later.
+ */
+
+import { randomUUID } from "crypto";
+import { join } from "path";
+import { createJsonStore, DATA_DIR } from "../utils/jsonStore.js";
+import { planSchemaError } from "./insertionSchema.js";
+
+const store = createJsonStore(join(DATA_DIR, "plans.json"), () => ({ plans: [] }));
+
+// Rounding slack when comparing times sent back by the editor
+const EPSILON = 0.001;
+
+/**
+ * Check a plan before saving it: insertions must be inside the A-roll, must not
+ * overlap and must not outlast their clip unless they loop, and their source
+ * in-points and transitions must be valid (see insertionSchema.js)
+ * @param {Object} plan - Plan with `insertions` (and optionally `b_rolls`)
+ * @returns {string|null} Error message, or null if the plan is valid
+ */
+export function planValidationError(plan) {
+  if (!plan || !Array.isArray(plan.insertions)) {
+    return "A plan with an insertions array is required.";
+  }
+
+  const duration = Number(plan.aroll_duration_sec);
+  if (!(duration > 0)) return "aroll_duration_sec must be a positive number.";
+
+  const brollById = Array.isArray(plan.b_rolls)
+    ? new Map(plan.b_rolls.map((broll) => [broll.id, broll]))
+    : null;
+
+  const sorted = [...plan.insertions].sort((a, b) => a.start_sec - b.start_sec);
+  for (const [idx, insertion] of sorted.entries()) {
+    const label = `Insertion at ${Number(insertion.start_sec).toFixed(2)}s`;
+    if (!insertion.broll_id) return `${label} has no broll_id.`;
+    if (!(insertion.start_sec >= 0) || !(insertion.duration_sec > 0)) {
+      return `${label} needs a non-negative start_sec and a positive duration_sec.`;
+    }
+    if (insertion.start_sec + insertion.duration_sec > duration + EPSILON) {
+      return `${label} ends after the A-roll.`;
+    }
+
+    const next = sorted[idx + 1];
+    if (next && insertion.start_sec + insertion.duration_sec > next.start_sec + EPSILON) {
+      return `${label} overlaps the next insertion.`;
+    }
+
+    if (brollById) {
+      const broll = brollById.get(insertion.broll_id);
+      if (!broll) return `${label} uses unknown B-roll "${insertion.broll_id}".`;
+      if (
+        broll.duration_sec &&
+        !insertion.loop &&
+        insertion.duration_sec > broll.duration_sec + EPSILON
+      ) {
+        return `${label} is longer than B-roll "${broll.id}" (${broll.duration_sec}s) and does not loop.`;
+      }
+    }
+  }
+  return planSchemaError(plan);
+}
+
+/**
+ * Get a saved plan
+ * @param {string} id - Plan id
+ * @returns {Object|null} {id, plan, created_at, updated_at}, or null if not found
+ */
+export function getSavedPlan(id) {
+  return store.read().plans.find((entry) => entry.id === id) || null;
+}
+
+/**
+ * List saved plans without their contents
+ * @returns {Array} Array of {id, aroll_duration_sec, insertion_count, created_at, updated_at}
+ */
+export function listSavedPlans() {
+  return store.read().plans.map((entry) => ({
+    id: entry.id,
+    aroll_duration_sec: entry.plan.aroll_duration_sec,
+    insertion_count: entry.plan.insertions.length,
+    created_at: entry.created_at,
+    updated_at: entry.updated_at,
+  }));
+}
+
+/**
+ * Save a new plan (throws on invalid plans, see planValidationError)
+ * @param {Object} plan - Plan
+ * @returns {Object} Saved entry
+ */
+export function savePlan(plan) {
+  const error = planValidationError(plan);
+  if (error) throw new Error(error);
+
+  const now = new Date().toISOString();
+  const entry = { id: randomUUID(), plan, created_at: now, updated_at: now };
+  store.update((data) => data.plans.push(entry));
+  return entry;
+}
+
+/**
+ * Replace the contents of a saved plan
+ * @param {string} id - Plan id
+ * @param {Object} plan - New plan
+ * @returns {Object|null} Saved entry, or null if not found
+ */
+export function updateSavedPlan(id, plan) {
+  if (!getSavedPlan(id)) return null;
+
+  const error = planValidationError(plan);
+  if (error) throw new Error(error);
+
+  return store.update((data) => {
+    const entry = data.plans.find((e) => e.id === id);
+    Object.assign(entry, { plan, updated_at: new Date().toISOString() });
+    return entry;
+  });
+}
@@ -0,0 +1,296 @@
+/**
+ * Transcript re-segmentation: turns provider segments (often several sentences
+ * long, or cut mid-sentence) into sentence / phrase units whose start and end
+ * are exact word boundaries.
+ */
+
+// A token that ends a sentence (Latin punctuation and the Devanagari danda)
+const SENTENCE_END = /[.!?।॥…]["')\]]*$/;
+// A token that ends a clause, a good place to split a long sentence
+const CLAUSE_END = /[,;:—–]["')\]]*$/;
+
+/**
+ * Normalize a token for comparing transcript text with recognized words
+ * @param {string} token - Word or text token
+ * @returns {string} Lowercase token without punctuation
+ */
+function normalizeToken(token) {
+  return token.toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, "");
+}
+
+/**
+ * Give recognized words the punctuation of the segment text. Word timestamps
+ * usually come without punctuation, which is needed to find sentence ends.
+ * @param {Object} segment - Segment {start_sec, end_sec, text}
+ * @param {Array} words - Words of the segment {word, start_sec, end_sec}
+ * @returns {Array} Words {text, start_sec, end_sec}
+ */
+function alignSegmentWords(segment, words) {
+  const tokens = segment.text.split(/\s+/).filter(Boolean);
+  let tokenIdx = 0;
+
+  const aligned = words.map((word) => {
+    const text = word.word.trim();
+    const target = normalizeToken(text);
+    // Look a few tokens ahead so a missing or merged word doesn't derail the rest
+    for (let i = tokenIdx; i < Math.min(tokens.length, tokenIdx + 4); i++) {
+      if (normalizeToken(tokens[i]) === target) {
+        tokenIdx = i + 1;
+        return { text: tokens[i], start_sec: word.start_sec, end_sec: word.end_sec };
+      }
+    }
+    return { text, start_sec: word.start_sec, end_sec: word.end_sec };
+  });
+
+  // Segments normally end a sentence even when the tokens could not be matched
+  const last = aligned[aligned.length - 1];
+  const finalPunctuation = segment.text.trim().match(/[.!?।॥…]+$/);
+  if (last && finalPunctuation && !SENTENCE_END.test(last.text)) {
+    last.text += finalPunctuation[0];
+  }
+  return aligned;
+}
+
+/**
+ * Spread a segment's words over its time range by character count. Used when
+ * the provider returned no word timestamps.
+ * @param {Object} segment - Segment {start_sec, end_sec, text}
+ * @returns {Array} Words {text, start_sec, end_sec}
+ */
+function estimateSegmentWords(segment) {
+  const tokens = segment.text.split(/\s+/).filter(Boolean);
+  const totalChars = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+  const duration = segment.end_sec - segment.start_sec;
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  let cursor = segment.start_sec;
+  return tokens.map((token) => {
+    const start = cursor;
+    cursor += (duration * (token.length + 1)) / totalChars;
+    return { text: token, start_sec: round(start), end_sec: round(cursor) };
+  });
+}
+
+/**
+ * Duration of a run of words
+ * @param {Array} words - Words
+ * @returns {number} Seconds from the first word's start to the last word's end
+ */
+function span(words) {
+  return words[words.length - 1].end_sec - words[0].start_sec;
+}
+
+/**
+ * Split a unit that is too long, preferring clause punctuation, then the
+ * longest pause, while keeping the halves balanced
+ * @param {Array} words - Words of the unit
+ * @param {number} maxUnitSec - Longest allowed unit
+ * @returns {Array<Array>} Units
+ */
+function splitLongUnit(words, maxUnitSec) {
+  if (words.length < 2 || span(words) <= maxUnitSec) return [words];
+
+  const total = span(words);
+  let bestIdx = 1;
+  let bestScore = -Infinity;
+  for (let i = 1; i < words.length; i++) {
+    const pause = words[i].start_sec - words[i - 1].end_sec;
+    const balance = Math.abs(span(words.slice(0, i)) - span(words.slice(i))) / total;
+    const score = (CLAUSE_END.test(words[i - 1].text) ? 1 : 0) + pause - balance;
+    if (score > bestScore) {
+      bestScore = score;
+      bestIdx = i;
+    }
+  }
+
+  return [
+    ...splitLongUnit(words.slice(0, bestIdx), maxUnitSec),
+    ...splitLongUnit(words.slice(bestIdx), maxUnitSec),
+  ];
+}
+
+/**
+ * Merge units shorter than the minimum into a neighbour (the shorter one),
+ * as long as the result stays within the maximum
+ * @param {Array<Array>} units - Units
+ * @param {number} minUnitSec - Shortest wanted unit
+ * @param {number} maxUnitSec - Longest allowed unit
+ * @returns {Array<Array>} Units
+ */
+function mergeShortUnits(units, minUnitSec, maxUnitSec) {
+  const merged = [...units];
+  let idx = 0;
+  while (idx < merged.length) {
+    const unit = merged[idx];
+    if (span(unit) >= minUnitSec || merged.length === 1) {
+      idx++;
+      continue;
+    }
+
+    const prev = merged[idx - 1];
+    const next = merged[idx + 1];
+    const prevFits = prev && span([...prev, ...unit]) <= maxUnitSec;
+    const nextFits = next && span([...unit, ...next]) <= maxUnitSec;
+    if (prevFits && (!nextFits || span(prev) <= span(next))) {
+      merged.splice(idx - 1, 2, [...prev, ...unit]);
+      idx--;
+    } else if (nextFits) {
+      merged.splice(idx, 2, [...unit, ...next]);
+    } else {
+      idx++;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Re-segment a transcript into sentence / phrase units with word boundaries
+ * @param {Object} transcript - {segments: [{start_sec, end_sec, text}], words?: [{word, start_sec, end_sec}], duration_sec}
+ * @param {Object} options - {minUnitSec, maxUnitSec}
+ * @returns {Object} {segments: [{start_sec, end_sec, text, words}], duration_sec, word_timing}
+ *   where word_timing is "recognized" or "estimated"
+ */
+export function resegmentTranscript(transcript, options = {}) {
+  const {
+    minUnitSec = 1.5, // Shorter phrases are merged into a neighbour
+    maxUnitSec = 8, // Longer sentences are split at clauses or pauses
+  } = options;
+
+  const hasWords = Array.isArray(transcript.words) && transcript.words.length > 0;
+  const words = transcript.segments.flatMap((segment, idx) => {
+    if (!hasWords) return estimateSegmentWords(segment);
+
+    // A word belongs to the segment it starts in
+    const isLast = idx === transcript.segments.length - 1;
+    const segmentWords = transcript.words.filter(
+      (word) =>
+        (idx === 0 || word.start_sec >= segment.start_sec) &&
+        (isLast || word.start_sec < transcript.segments[idx + 1].start_sec)
+    );
+    return alignSegmentWords(segment, segmentWords);
+  });
+
+  const sentences = [];
+  let current = [];
+  for (const word of words) {
+    current.push(word);
+    if (SENTENCE_END.test(word.text)) {
+      sentences.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) sentences.push(current);
+
+  const units = mergeShortUnits(
+    sentences.flatMap((sentence) => splitLongUnit(sentence, maxUnitSec)),
+    minUnitSec,
+    maxUnitSec
+  );
+
+  return {
+    segments: units.map((unit) => ({
+      start_sec: unit[0].start_sec,
+      end_sec: unit[unit.length - 1].end_sec,
+      text: unit.map((word) => word.text).join(" "),
+      words: unit,
+    })),
+    duration_sec: transcript.duration_sec,
+    word_timing: hasWords ? "recognized" : "estimated",
+  };
+}
+
+/**
+ * Check the word timings of an edited segment: each word needs a time range
+ * inside its segment
+ * @param {Object} segment - Segment {start_sec, end_sec, words?}
+ * @param {string} label - Segment name for error messages
+ * @returns {string|null} Error message, or null if the words are valid
+ */
+function segmentWordsError(segment, label) {
+  if (segment.words === undefined || segment.words === null) return null;
+  if (!Array.isArray(segment.words)) return `${label} words must be an array.`;
+
+  for (const [idx, word] of segment.words.entries()) {
+    const start = word?.start_sec;
+    const end = word?.end_sec;
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+      return `${label} word ${idx + 1} needs a numeric start_sec and an end_sec that is not before it.`;
+    }
+    if (start < segment.start_sec - 0.001 || end > segment.end_sec + 0.001) {
+      return `${label} word ${idx + 1} lies outside its segment.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a transcript sent back by an editor: segments in order, each with a
+ * time range inside the A-roll, some text and word timings inside the segment
+ * @param {Array} segments - Segments {start_sec, end_sec, text, words?}
+ * @param {number} duration - A-roll duration in seconds
+ * @returns {string|null} Error message, or null if the transcript is valid
+ */
+export function transcriptValidationError(segments, duration) {
+  if (!(duration > 0)) return "aroll_duration_sec must be a positive number.";
+  if (!Array.isArray(segments) || segments.length === 0) {
+    return "transcript_segments must be a non-empty array.";
+  }
+
+  for (const [idx, segment] of segments.entries()) {
+    const label = `Transcript segment ${idx + 1}`;
+    if (!segment || typeof segment.text !== "string" || !segment.text.trim()) {
+      return `${label} has no text.`;
+    }
+    if (!(segment.start_sec >= 0) || !(segment.end_sec > segment.start_sec)) {
+      return `${label} needs a non-negative start_sec and a greater end_sec.`;
+    }
+    if (segment.end_sec > duration + 0.001) return `${label} ends after the A-roll.`;
+    if (idx > 0 && segment.start_sec < segments[idx - 1].end_sec - 0.001) {
+      return `${label} overlaps the previous segment.`;
+    }
+    const wordsError = segmentWordsError(segment, label);
+    if (wordsError) return wordsError;
+  }
+  return null;
+}
+
+/**
+ * Prepare an edited transcript for planning. Segments keep the editor's
+ * boundaries. Word timings are kept when the edit left the word count
+ * unchanged (a corrected spelling) and they lie inside the segment, otherwise
+ * they are estimated again.
+ * @param {Object} transcript - {segments: [{start_sec, end_sec, text, words?}], duration_sec, word_timing?}
+ * @returns {Object} {segments: [{start_sec, end_sec, text, words}], duration_sec, word_timing}
+ *   where word_timing is "estimated" as soon as one segment's words had to be estimated
+ */
+export function prepareEditedTranscript(transcript) {
+  let estimated = false;
+  const segments = transcript.segments.map((segment) => {
+    const text = segment.text.trim();
+    const tokens = text.split(/\s+/);
+    const words = Array.isArray(segment.words) ? segment.words : [];
+
+    if (words.length === tokens.length && !segmentWordsError(segment, "")) {
+      return {
+        start_sec: segment.start_sec,
+        end_sec: segment.end_sec,
+        text,
+        words: words.map((word, idx) => ({ text: tokens[idx], start_sec: word.start_sec, end_sec: word.end_sec })),
+      };
+    }
+    estimated = true;
+    return {
+      start_sec: segment.start_sec,
+      end_sec: segment.end_sec,
+      text,
+      words: estimateSegmentWords({ ...segment, text }),
+    };
+  });
+
+  return {
+    segments,
+    duration_sec: transcript.duration_sec,
+    word_timing: estimated ? "estimated" : transcript.word_timing || "recognized",
+  };
+}
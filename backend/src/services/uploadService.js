@@ -0,0 +1,90 @@
+/**
+ * Helpers for B-roll clips uploaded as multipart files
+ */
+
+import { probeMediaBuffer } from "../utils/ffmpeg.js";
+
+/**
+ * Parse an optional JSON form field
+ * @param {string|undefined} value - Raw field value
+ * @param {*} fallback - Value used when the field is missing
+ * @param {string} fieldName - Field name for error messages
+ * @returns {*} Parsed value
+ */
+export function parseJsonField(value, fallback, fieldName) {
+  if (value === undefined || value === "") return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new Error(`Field '${fieldName}' must be valid JSON.`);
+  }
+}
+
+/**
+ * Check a list form field aligned with the uploaded B-roll files
+ * ('broll_ids', 'broll_descriptions')
+ * @param {*} list - Parsed field value
+ * @param {string} fieldName - Field name for error messages
+ * @param {number} fileCount - Number of uploaded B-roll files
+ * @returns {string|null} Error message, or null if the field is valid
+ */
+export function brollListFieldError(list, fieldName, fileCount) {
+  if (!Array.isArray(list) || list.some((item) => typeof item !== "string")) {
+    return `Field '${fieldName}' must be a JSON array of strings.`;
+  }
+  if (list.length > fileCount) {
+    return `Field '${fieldName}' has more entries (${list.length}) than uploaded B-roll files (${fileCount}).`;
+  }
+  return null;
+}
+
+/**
+ * Ids for uploaded B-roll files: the explicit id for each position if given,
+ * otherwise the file name without extension (made unique with a suffix)
+ * @param {Array} files - Multer files
+ * @param {string[]} ids - Explicit ids, aligned with files
+ * @returns {string[]} One id per file
+ */
+export function uploadedBrollIds(files, ids = []) {
+  const seen = new Map();
+  return files.map((file, idx) => {
+    const base = ids[idx] || file.originalname.replace(/\.[^.]+$/, "") || `broll_${idx + 1}`;
+    const uses = (seen.get(base) || 0) + 1;
+    seen.set(base, uses);
+    return uses === 1 ? base : `${base}_${uses}`;
+  });
+}
+
+/**
+ * Build B-roll definitions for uploaded files, probing each clip's duration
+ * @param {Array} files - Multer files
+ * @param {Object} fields - {ids, descriptions} aligned with files, and
+ *   fallbackBrolls (e.g. video_url.json b_rolls) to borrow descriptions from by id
+ * @returns {Promise<Array>} Array of {id, metadata, duration_sec, buffer}
+ */
+export async function buildUploadedBrolls(files, fields = {}) {
+  const { ids = [], descriptions = [], fallbackBrolls = [] } = fields;
+  const brollIds = uploadedBrollIds(files, ids);
+  const fallbackById = new Map(fallbackBrolls.map((broll) => [broll.id, broll]));
+
+  const brolls = [];
+  for (const [idx, file] of files.entries()) {
+    const id = brollIds[idx];
+    const metadata =
+      descriptions[idx] ||
+      fallbackById.get(id)?.metadata ||
+      // Last resort: the file name is better than nothing for matching
+      file.originalname.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ");
+
+    let duration_sec = null;
+    try {
+      duration_sec = (await probeMediaBuffer(file.buffer)).duration_sec || null;
+    } catch (err) {
+      console.warn(`Could not probe duration of ${file.originalname}: ${err.message}`);
+    }
+
+    brolls.push({ id, metadata, duration_sec, buffer: file.buffer });
+  }
+
+  return brolls;
+}
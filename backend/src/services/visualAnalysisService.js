@@ -0,0 +1,177 @@
+/**
+ * A-roll picture analysis: shot boundaries and jump cuts found by frame
+ * differencing. Talking-head videos are full of jump cuts, and B-roll laid
+ * over a cut hides it, so the planner prefers insertions that cover one.
+ */
+
+import fs from "fs";
+import { join } from "path";
+import { runFfmpeg } from "../utils/ffmpeg.js";
+
+// Frames are compared at thumbnail size, which is plenty for cuts and cheap on CPU
+const ANALYSIS_WIDTH = 160;
+
+// ffmpeg scene scores: a new shot scores high; a jump cut within the same
+// framing only stands out against the motion around it
+const SCENE_CUT_SCORE = 0.3;
+const JUMP_CUT_MIN_SCORE = 0.04;
+const JUMP_CUT_SPIKE_RATIO = 4;
+const NEIGHBOURHOOD_SEC = 1;
+const MIN_CUT_SPACING_SEC = 0.5;
+
+// A cut counts as covered when the insertion starts (or ends) this far away from it
+const CUT_COVER_MARGIN_SEC = 0.2;
+// An insertion starting this soon after a cut is moved back to cover it
+const CUT_LOOKBACK_SEC = 0.6;
+
+// Rounding slack, so a window moved to the margin still covers its cut
+const EPSILON = 0.001;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Classify frame-difference scores into cuts. Scores at or above
+ * SCENE_CUT_SCORE are scene cuts; smaller spikes that stand out from the
+ * median of the surrounding second are jump cuts.
+ * @param {Array} frames - Frames {time_sec, score} in time order, score 0-1
+ * @returns {Array} Cuts {time_sec, type: "scene"|"jump", score}
+ */
+export function classifyCuts(frames) {
+  const candidates = [];
+  for (const [idx, frame] of frames.entries()) {
+    if (frame.score >= SCENE_CUT_SCORE) {
+      candidates.push({ time_sec: round(frame.time_sec), type: "scene", score: round(frame.score) });
+      continue;
+    }
+    if (frame.score < JUMP_CUT_MIN_SCORE) continue;
+
+    const around = [];
+    for (let i = idx - 1; i >= 0 && frame.time_sec - frames[i].time_sec <= NEIGHBOURHOOD_SEC; i--) {
+      around.push(frames[i].score);
+    }
+    for (let i = idx + 1; i < frames.length && frames[i].time_sec - frame.time_sec <= NEIGHBOURHOOD_SEC; i++) {
+      around.push(frames[i].score);
+    }
+    around.sort((a, b) => a - b);
+    const median = around.length > 0 ? around[Math.floor(around.length / 2)] : 0;
+    if (frame.score >= JUMP_CUT_SPIKE_RATIO * median) {
+      candidates.push({ time_sec: round(frame.time_sec), type: "jump", score: round(frame.score) });
+    }
+  }
+
+  // Flashes and fades spike on several frames in a row; keep the strongest
+  const cuts = [];
+  for (const cut of candidates) {
+    const previous = cuts[cuts.length - 1];
+    if (previous && cut.time_sec - previous.time_sec < MIN_CUT_SPACING_SEC) {
+      if (cut.score > previous.score) cuts[cuts.length - 1] = cut;
+    } else {
+      cuts.push(cut);
+    }
+  }
+  return cuts;
+}
+
+/**
+ * Detect scene and jump cuts in a video with ffmpeg's scene score. The
+ * scores go to a metadata file in workDir, which the caller owns.
+ * @param {string} videoPath - Video file
+ * @param {string} workDir - Private temp directory of the request
+ * @param {Object} options - {signal}
+ * @returns {Promise<Array>} Cuts {time_sec, type, score} (see classifyCuts)
+ */
+export async function detectCuts(videoPath, workDir, options = {}) {
+  // Relative to cwd so Windows drive letters never appear inside the filter string
+  const metadataFile = "scenes.txt";
+  await runFfmpeg(
+    [
+      "-nostats",
+      "-i",
+      videoPath,
+      "-an",
+      "-vf",
+      `scale=${ANALYSIS_WIDTH}:-2,select='gte(scene,0)',metadata=mode=print:file=${metadataFile}`,
+      "-f",
+      "null",
+      "-",
+    ],
+    { signal: options.signal, cwd: workDir }
+  );
+
+  const metadataPath = join(workDir, metadataFile);
+  const metadata = fs.existsSync(metadataPath) ? fs.readFileSync(metadataPath, "utf-8") : "";
+  const frames = [];
+  let time = null;
+  for (const line of metadata.split("\n")) {
+    const frameMatch = line.match(/pts_time:(-?[\d.]+)/);
+    if (frameMatch) {
+      time = Number(frameMatch[1]);
+      continue;
+    }
+    const scoreMatch = line.match(/lavfi\.scene_score=([\d.]+)/);
+    if (scoreMatch && time !== null) frames.push({ time_sec: time, score: Number(scoreMatch[1]) });
+  }
+  return classifyCuts(frames);
+}
+
+/**
+ * Check the cut list sent back by a client
+ * @param {Array|undefined} cuts - aroll_cuts from a plan
+ * @returns {string|null} Error message, or null if valid
+ */
+export function cutsError(cuts) {
+  if (cuts === undefined || cuts === null) return null;
+  if (!Array.isArray(cuts) || cuts.some((cut) => !Number.isFinite(cut?.time_sec))) {
+    return "'aroll_cuts' must be an array of cuts with time_sec.";
+  }
+  return null;
+}
+
+/**
+ * Cuts an insertion hides: those inside it, at least the margin from its edges
+ * @param {Array|null} cuts - Cuts {time_sec}
+ * @param {number} start - Insertion start in seconds
+ * @param {number} end - Insertion end in seconds
+ * @returns {Array} Covered cuts
+ */
+export function coveredCuts(cuts, start, end) {
+  return (cuts || []).filter(
+    (cut) =>
+      cut.time_sec >= start + CUT_COVER_MARGIN_SEC - EPSILON &&
+      cut.time_sec <= end - CUT_COVER_MARGIN_SEC + EPSILON
+  );
+}
+
+/**
+ * Jump cuts usually fall between phrases, right where an insertion would
+ * start. Move a window that starts just after (or on) a cut back so it
+ * covers the cut, shortening it to a word boundary if it gets too long.
+ * @param {Object} window - Insertion window {start_sec, duration_sec, word_ends?}
+ * @param {Array|null} cuts - Cuts {time_sec}
+ * @param {number} minInsertionDuration - Shortest allowed insertion
+ * @param {number} maxInsertionDuration - Longest allowed insertion
+ * @returns {Object} The window, or a copy moved over the cut
+ */
+export function extendWindowOverCut(window, cuts, minInsertionDuration, maxInsertionDuration) {
+  const cut = (cuts || []).find(
+    (candidate) =>
+      candidate.time_sec >= window.start_sec - CUT_LOOKBACK_SEC &&
+      candidate.time_sec < window.start_sec + CUT_COVER_MARGIN_SEC
+  );
+  if (!cut) return window;
+
+  const start = Math.max(0, cut.time_sec - CUT_COVER_MARGIN_SEC);
+  const shift = window.start_sec - start;
+  const wordEnds = window.word_ends
+    ?.map((wordEnd) => round(wordEnd + shift))
+    .filter((wordEnd) => wordEnd >= minInsertionDuration && wordEnd <= maxInsertionDuration);
+
+  let duration = window.duration_sec + shift;
+  if (duration > maxInsertionDuration) {
+    duration = wordEnds?.length > 0 ? wordEnds[wordEnds.length - 1] : maxInsertionDuration;
+  }
+
+  const extended = { ...window, start_sec: round(start), duration_sec: round(duration) };
+  if (wordEnds) extended.word_ends = wordEnds;
+  return extended;
+}
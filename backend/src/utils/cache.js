@@ -0,0 +1,323 @@
+/**
+ * Persistent on-disk cache with a total size limit and LRU eviction.
+ *
+ * Entries live in <dir>/<namespace>/<key>; keys are SHA-256 hashes built by
+ * the caller from the content (and model name) they depend on. Recency is
+ * tracked through file modification times, so it survives restarts. Entries
+ * pinned by a running job are never evicted.
+ */
+
+import fs from "fs";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_CACHE_DIR = join(__dirname, "../../.cache");
+
+// Namespaces the app stores entries in
+export const CACHE_NAMESPACES = ["downloads", "download-validators", "transcripts", "embeddings"];
+
+/**
+ * SHA-256 hex digest of the given parts
+ * @param {...(string|Buffer)} parts - Values to hash (joined with a NUL separator)
+ * @returns {string} Hex digest
+ */
+export function hashKey(...parts) {
+  const hash = createHash("sha256");
+  parts.forEach((part, idx) => {
+    if (idx > 0) hash.update("\0");
+    hash.update(part);
+  });
+  return hash.digest("hex");
+}
+
+/**
+ * Create a cache instance
+ * @param {Object} config - {dir, maxBytes, enabled}
+ * @returns {Object} Cache API
+ */
+export function createCache(config = {}) {
+  const { dir = DEFAULT_CACHE_DIR, maxBytes = 2 * 1024 * 1024 * 1024, enabled = true } = config;
+
+  // key "<namespace>/<key>" -> {size, lastUsed}; loaded from disk on first use
+  let index = null;
+  let totalBytes = 0;
+  const counters = {};
+  // "<namespace>/<key>" -> number of users holding the entry
+  const pins = new Map();
+
+  const count = (namespace, field) => {
+    counters[namespace] = counters[namespace] || { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    counters[namespace][field]++;
+  };
+
+  const loadIndex = () => {
+    if (index) return;
+    index = new Map();
+    totalBytes = 0;
+    if (!fs.existsSync(dir)) return;
+
+    for (const namespace of fs.readdirSync(dir)) {
+      const nsDir = join(dir, namespace);
+      if (!fs.statSync(nsDir).isDirectory()) continue;
+      for (const file of fs.readdirSync(nsDir)) {
+        if (file.endsWith(".tmp")) continue;
+        const stat = fs.statSync(join(nsDir, file));
+        index.set(`${namespace}/${file}`, { size: stat.size, lastUsed: stat.mtimeMs });
+        totalBytes += stat.size;
+      }
+    }
+  };
+
+  const remove = (entryKey) => {
+    const entry = index.get(entryKey);
+    if (!entry) return;
+    fs.rmSync(join(dir, entryKey), { force: true });
+    index.delete(entryKey);
+    totalBytes -= entry.size;
+  };
+
+  const evict = () => {
+    if (totalBytes <= maxBytes) return;
+    const byAge = [...index.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    for (const [entryKey] of byAge) {
+      if (totalBytes <= maxBytes) break;
+      if (pins.has(entryKey)) continue;
+      remove(entryKey);
+      count(entryKey.split("/")[0], "evictions");
+    }
+  };
+
+  /**
+   * Read a raw entry
+   * @param {string} namespace - Entry namespace (e.g. "transcripts")
+   * @param {string} key - Entry key
+   * @returns {Buffer|null} Stored bytes, or null on a miss
+   */
+  function getBuffer(namespace, key) {
+    if (!enabled) return null;
+    loadIndex();
+
+    const entryKey = `${namespace}/${key}`;
+    const entry = index.get(entryKey);
+    if (!entry) {
+      count(namespace, "misses");
+      return null;
+    }
+
+    try {
+      const data = fs.readFileSync(join(dir, entryKey));
+      const now = new Date();
+      fs.utimesSync(join(dir, entryKey), now, now);
+      entry.lastUsed = now.getTime();
+      count(namespace, "hits");
+      return data;
+    } catch (e) {
+      // File vanished underneath us (e.g. purged by hand)
+      index.delete(entryKey);
+      totalBytes -= entry.size;
+      count(namespace, "misses");
+      return null;
+    }
+  }
+
+  /**
+   * Store a raw entry, evicting least recently used entries if over the limit
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @param {Buffer} data - Bytes to store
+   */
+  function setBuffer(namespace, key, data) {
+    if (!enabled || data.length > maxBytes) return;
+    loadIndex();
+
+    const entryKey = `${namespace}/${key}`;
+    const filePath = join(dir, entryKey);
+    fs.mkdirSync(join(dir, namespace), { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+
+    const previous = index.get(entryKey);
+    if (previous) totalBytes -= previous.size;
+    index.set(entryKey, { size: data.length, lastUsed: Date.now() });
+    totalBytes += data.length;
+    count(namespace, "writes");
+    evict();
+  }
+
+  /**
+   * Path of a raw entry, for large entries read as files
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @returns {string|null} Path of the stored file, or null on a miss
+   */
+  function getPath(namespace, key) {
+    if (!enabled) return null;
+    loadIndex();
+
+    const entryKey = `${namespace}/${key}`;
+    const entry = index.get(entryKey);
+    const filePath = join(dir, entryKey);
+    if (!entry || !fs.existsSync(filePath)) {
+      if (entry) {
+        index.delete(entryKey);
+        totalBytes -= entry.size;
+      }
+      count(namespace, "misses");
+      return null;
+    }
+
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+    entry.lastUsed = now.getTime();
+    count(namespace, "hits");
+    return filePath;
+  }
+
+  /**
+   * Store a file as a raw entry by moving it into the cache
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @param {string} sourcePath - File to move (left in place if the cache is disabled or it is too large)
+   * @returns {string|null} Path of the stored file, or null if it was not stored
+   */
+  function setFile(namespace, key, sourcePath) {
+    const size = fs.statSync(sourcePath).size;
+    if (!enabled || size > maxBytes) return null;
+    loadIndex();
+
+    const entryKey = `${namespace}/${key}`;
+    const filePath = join(dir, entryKey);
+    fs.mkdirSync(join(dir, namespace), { recursive: true });
+
+    // Copy across file systems, then rename so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      fs.renameSync(sourcePath, tempPath);
+    } catch (e) {
+      if (e.code !== "EXDEV") throw e;
+      fs.copyFileSync(sourcePath, tempPath);
+      fs.rmSync(sourcePath, { force: true });
+    }
+    fs.renameSync(tempPath, filePath);
+
+    const previous = index.get(entryKey);
+    if (previous) totalBytes -= previous.size;
+    index.set(entryKey, { size, lastUsed: Date.now() });
+    totalBytes += size;
+    count(namespace, "writes");
+    evict();
+    return index.has(entryKey) ? filePath : null;
+  }
+
+  /**
+   * Keep an entry from being evicted while it is in use, e.g. a cached
+   * download a job is reading
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @returns {Function} Releases the pin (calling it again does nothing)
+   */
+  function pin(namespace, key) {
+    const entryKey = `${namespace}/${key}`;
+    pins.set(entryKey, (pins.get(entryKey) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      const remaining = pins.get(entryKey) - 1;
+      if (remaining > 0) {
+        pins.set(entryKey, remaining);
+      } else {
+        pins.delete(entryKey);
+      }
+    };
+  }
+
+  /**
+   * Read a JSON entry
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @returns {*} Parsed value, or null on a miss
+   */
+  function getJson(namespace, key) {
+    const data = getBuffer(namespace, key);
+    return data ? JSON.parse(data.toString("utf-8")) : null;
+  }
+
+  /**
+   * Store a JSON entry
+   * @param {string} namespace - Entry namespace
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serialisable value
+   */
+  function setJson(namespace, key, value) {
+    setBuffer(namespace, key, Buffer.from(JSON.stringify(value)));
+  }
+
+  /**
+   * Cache statistics per namespace
+   * @returns {Object} {enabled, dir, max_bytes, total_bytes, namespaces}
+   */
+  function stats() {
+    if (enabled) loadIndex();
+
+    const namespaces = {};
+    for (const [entryKey, entry] of index || []) {
+      const namespace = entryKey.split("/")[0];
+      namespaces[namespace] = namespaces[namespace] || { entries: 0, bytes: 0 };
+      namespaces[namespace].entries++;
+      namespaces[namespace].bytes += entry.size;
+    }
+    for (const [namespace, counter] of Object.entries(counters)) {
+      namespaces[namespace] = { entries: 0, bytes: 0, ...namespaces[namespace], ...counter };
+    }
+
+    return { enabled, dir, max_bytes: maxBytes, total_bytes: totalBytes, namespaces };
+  }
+
+  /**
+   * Delete cached entries
+   * @param {string} [namespace] - Only purge this namespace (all if omitted)
+   * @returns {{entries: number, bytes: number}} What was removed
+   */
+  function purge(namespace) {
+    if (!enabled) return { entries: 0, bytes: 0 };
+    loadIndex();
+
+    let entries = 0;
+    let bytes = 0;
+    for (const [entryKey, entry] of [...index.entries()]) {
+      if (namespace && !entryKey.startsWith(`${namespace}/`)) continue;
+      entries++;
+      bytes += entry.size;
+      remove(entryKey);
+    }
+    return { entries, bytes };
+  }
+
+  return { getBuffer, setBuffer, getPath, setFile, pin, getJson, setJson, stats, purge };
+}
+
+let defaultCache = null;
+
+/**
+ * Shared cache configured from the environment
+ * (CACHE_DIR, CACHE_MAX_MB, CACHE_DISABLED)
+ * @returns {Object} Cache API
+ */
+export function getCache() {
+  if (!defaultCache) {
+    defaultCache = createCache({
+      dir: process.env.CACHE_DIR || DEFAULT_CACHE_DIR,
+      maxBytes: (Number(process.env.CACHE_MAX_MB) || 2048) * 1024 * 1024,
+      enabled: process.env.CACHE_DISABLED !== "1" && process.env.CACHE_DISABLED !== "true",
+    });
+  }
+  return defaultCache;
+}
@@ -0,0 +1,115 @@
+/**
+ * Thin wrappers around the ffmpeg / ffprobe command-line tools
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import { join } from "path";
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+/**
+ * Run a command and collect its output
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {Object} options - { signal } to abort the process, { cwd } to run elsewhere
+ * @returns {Promise<{stdout: Buffer, stderr: string}>} Process output
+ */
+function run(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal: options.signal, cwd: options.cwd });
+    const stdout = [];
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk.toString();
+      // Keep only the tail, ffmpeg is chatty on long inputs
+      if (stderr.length > 20000) stderr = stderr.slice(-20000);
+    });
+
+    child.on("error", (error) => {
+      if (error.code === "ENOENT") {
+        const missing = new Error(`${command} not found. Install it or set ${command === FFMPEG_PATH ? "FFMPEG_PATH" : "FFPROBE_PATH"}.`);
+        // Lets callers fall back when the tools are not installed
+        missing.code = "ENOENT";
+        reject(missing);
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on("close", (code) => {
+      if (code === 0) {
+        resolve({ stdout: Buffer.concat(stdout), stderr });
+      } else {
+        const lastLines = stderr.trim().split("\n").slice(-5).join("\n");
+        reject(new Error(`${command} exited with code ${code}: ${lastLines}`));
+      }
+    });
+  });
+}
+
+/**
+ * Run ffmpeg with the given arguments
+ * @param {string[]} args - ffmpeg arguments (without the executable)
+ * @param {Object} options - { signal } to abort the process, { cwd } to run elsewhere
+ * @returns {Promise<{stdout: Buffer, stderr: string}>} Process output
+ */
+export function runFfmpeg(args, options = {}) {
+  return run(FFMPEG_PATH, ["-hide_banner", "-nostdin", ...args], options);
+}
+
+/**
+ * Probe a media file for duration, video size and audio presence
+ * @param {string} filePath - Media file path
+ * @returns {Promise<Object>} {duration_sec, width, height, fps, has_audio}
+ */
+export async function probeMedia(filePath) {
+  const { stdout } = await run(FFPROBE_PATH, [
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+
+  const info = JSON.parse(stdout.toString());
+  const streams = info.streams || [];
+  const video = streams.find((s) => s.codec_type === "video");
+  const audio = streams.find((s) => s.codec_type === "audio");
+
+  let fps = null;
+  if (video?.avg_frame_rate && video.avg_frame_rate !== "0/0") {
+    const [num, den] = video.avg_frame_rate.split("/").map(Number);
+    if (den) fps = num / den;
+  }
+
+  return {
+    duration_sec: Number(info.format?.duration) || 0,
+    width: video ? video.width : null,
+    height: video ? video.height : null,
+    fps,
+    has_audio: Boolean(audio),
+  };
+}
+
+/**
+ * Probe an in-memory media file (written to a private temp file first)
+ * @param {Buffer} buffer - Media bytes
+ * @returns {Promise<Object>} Same as probeMedia()
+ */
+export async function probeMediaBuffer(buffer) {
+  const workDir = fs.mkdtempSync(join(os.tmpdir(), "broll-probe-"));
+  try {
+    const filePath = join(workDir, "media");
+    fs.writeFileSync(filePath, buffer);
+    return await probeMedia(filePath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Minimal JSON-file database: the whole document is kept in memory and
+ * written back atomically (temp file + rename) after every change.
+ */
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Where the JSON databases and stored files live
+export const DATA_DIR = process.env.DATA_DIR || join(__dirname, "../../data");
+
+/**
+ * Create a store backed by a JSON file
+ * @param {string} filePath - Database file
+ * @param {Function} createDefault - Returns the initial document when the file is missing
+ * @returns {{read: Function, update: Function}} Store API
+ */
+export function createJsonStore(filePath, createDefault) {
+  let data = null;
+
+  const load = () => {
+    if (data) return data;
+    data = fs.existsSync(filePath)
+      ? JSON.parse(fs.readFileSync(filePath, "utf-8"))
+      : createDefault();
+    return data;
+  };
+
+  const save = () => {
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    /**
+     * Current document (treat as read-only; use update() to change it)
+     * @returns {Object} Document
+     */
+    read() {
+      return load();
+    },
+
+    /**
+     * Change the document and persist it
+     * @param {Function} mutate - Receives the document, may modify it in place
+     * @returns {*} Whatever mutate returns
+     */
+    update(mutate) {
+      load();
+      const result = mutate(data);
+      save();
+      return result;
+    },
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Frame / timecode helpers shared by the timeline exporters
+ */
+
+// NTSC rates are stored as their nominal integer rate * 1000/1001
+const NTSC_RATES = [23.976, 29.97, 47.952, 59.94];
+
+/**
+ * Frame duration of a frame rate as a rational number of seconds
+ * @param {number} fps - Frame rate (e.g. 25, 29.97)
+ * @returns {{num: number, den: number}} Seconds per frame = num / den
+ */
+export function frameDuration(fps) {
+  const nominal = Math.round(fps);
+  if (NTSC_RATES.some((rate) => Math.abs(rate - fps) < 0.01)) {
+    return { num: 1001, den: nominal * 1000 };
+  }
+  return { num: 1, den: nominal };
+}
+
+/**
+ * Validate a frame rate from user input
+ * @param {*} value - Raw value
+ * @param {number} fallback - Default frame rate
+ * @returns {number} Frame rate
+ */
+export function parseFps(value, fallback = 25) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const fps = Number(value);
+  if (!Number.isFinite(fps) || fps < 1 || fps > 120) {
+    throw new Error(`Invalid frame rate "${value}".`);
+  }
+  return fps;
+}
+
+/**
+ * Convert seconds to a whole number of frames
+ * @param {number} seconds - Time in seconds
+ * @param {number} fps - Frame rate
+ * @returns {number} Frame count
+ */
+export function secondsToFrames(seconds, fps) {
+  const { num, den } = frameDuration(fps);
+  return Math.round((seconds * den) / num);
+}
+
+/**
+ * Format a frame count as a non-drop-frame timecode (HH:MM:SS:FF)
+ * @param {number} frames - Frame count
+ * @param {number} fps - Frame rate
+ * @returns {string} Timecode
+ */
+export function framesToTimecode(frames, fps) {
+  const base = Math.round(fps);
+  const pad = (n) => String(n).padStart(2, "0");
+
+  const ff = frames % base;
+  const totalSeconds = Math.floor(frames / base);
+  const ss = totalSeconds % 60;
+  const mm = Math.floor(totalSeconds / 60) % 60;
+  const hh = Math.floor(totalSeconds / 3600);
+
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}:${pad(ff)}`;
+}
@@ -0,0 +1,24 @@
+/**
+ * Loads the A-roll / B-roll configuration from video_url.json
+ */
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_VIDEO_CONFIG_PATH = join(__dirname, "../../../video_url.json");
+
+/**
+ * Read and parse video_url.json
+ * @param {string} configPath - Path to the config file
+ * @returns {Object|null} Parsed config, or null if the file does not exist
+ */
+export function loadVideoConfig(configPath = DEFAULT_VIDEO_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+}
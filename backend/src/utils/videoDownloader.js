@@ -1,29 +1,415 @@
 /**
- * Utility to download video files from URLs
+ * Video downloader. Remote videos are streamed to disk with a size limit,
+ * timeouts, retries with backoff and resume via HTTP Range; local files
+ * (file:// URLs and paths) are read in place. Every source is checked for a
+ * media content type and media magic bytes. Cached downloads are revalidated
+ * with the server (ETag / Last-Modified) before they are reused.
  */
 
+import fs from "fs";
+import os from "os";
+import { once } from "events";
+import { randomUUID } from "crypto";
+import { join, resolve } from "path";
+import { Readable } from "stream";
+import { setTimeout as sleep } from "timers/promises";
+import { fileURLToPath } from "url";
+import { getCache, hashKey } from "./cache.js";
+
+// Content types servers send for video files, besides video/* and audio/*
+const GENERIC_CONTENT_TYPES = new Set(["application/octet-stream", "binary/octet-stream", "application/mp4"]);
+
+// Bytes read from the start of a file to recognize its format
+const HEAD_BYTES = 256;
+
+// Cache namespace holding the ETag / Last-Modified of each cached download
+const VALIDATOR_NAMESPACE = "download-validators";
+
+// Container signatures, checked against the first HEAD_BYTES of a file
+const MEDIA_SIGNATURES = [
+  // MP4 / MOV / M4A: a box type at offset 4
+  (head) => ["ftyp", "moov", "mdat", "wide", "free", "skip"].includes(head.toString("latin1", 4, 8)),
+  // Matroska / WebM (EBML header)
+  (head) => head.length >= 4 && head.readUInt32BE(0) === 0x1a45dfa3,
+  // AVI / WAV
+  (head) => head.toString("latin1", 0, 4) === "RIFF",
+  // MPEG program stream
+  (head) => head.length >= 4 && head.readUInt32BE(0) === 0x000001ba,
+  // MPEG transport stream: sync bytes every 188 bytes
+  (head) => head[0] === 0x47 && (head.length <= 188 || head[188] === 0x47),
+  // FLV, Ogg
+  (head) => head.toString("latin1", 0, 3) === "FLV" || head.toString("latin1", 0, 4) === "OggS",
+  // MP3 (ID3 tag or frame sync)
+  (head) => head.toString("latin1", 0, 3) === "ID3" || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0),
+];
+
 /**
- * Download a video file from a URL and return as Buffer
- * @param {string} url - Video URL
- * @returns {Promise<Buffer>} Video file buffer
+ * Download settings from the options, falling back to the environment
+ * (DOWNLOAD_MAX_MB, DOWNLOAD_TIMEOUT_MS, DOWNLOAD_RETRIES, DOWNLOAD_CACHE_TTL_HOURS,
+ * ALLOW_LOCAL_FILES)
+ * @param {Object} options - {maxBytes, timeoutMs, retries, backoffMs, cacheTtlMs, allowLocal}
+ * @returns {Object} Settings
+ */
+function downloadSettings(options) {
+  const envNumber = (name, fallback) =>
+    process.env[name] !== undefined && process.env[name] !== "" ? Number(process.env[name]) : fallback;
+  return {
+    maxBytes: options.maxBytes ?? envNumber("DOWNLOAD_MAX_MB", 2048) * 1024 * 1024,
+    timeoutMs: options.timeoutMs ?? envNumber("DOWNLOAD_TIMEOUT_MS", 30000),
+    retries: options.retries ?? envNumber("DOWNLOAD_RETRIES", 3),
+    backoffMs: options.backoffMs ?? 1000,
+    cacheTtlMs: options.cacheTtlMs ?? envNumber("DOWNLOAD_CACHE_TTL_HOURS", 24) * 60 * 60 * 1000,
+    allowLocal: options.allowLocal ?? process.env.ALLOW_LOCAL_FILES === "true",
+  };
+}
+
+/**
+ * Size limit for messages
+ * @param {number} bytes - Limit in bytes
+ * @returns {string} e.g. "2048 MB"
+ */
+function formatLimit(bytes) {
+  return bytes >= 1024 * 1024 ? `${Number((bytes / (1024 * 1024)).toFixed(1))} MB` : `${bytes} bytes`;
+}
+
+/**
+ * Error for a failed download. Retryable errors (network errors, timeouts,
+ * 5xx responses) are tried again; others fail at once.
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether another attempt may succeed
+ * @returns {Error}
+ */
+function downloadError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Throw unless the start of a file looks like a media container
+ * @param {Buffer} head - First bytes of the file
+ * @param {string} source - Source for the error message
+ */
+function checkMediaHead(head, source) {
+  if (head.length < 8 || !MEDIA_SIGNATURES.some((matches) => matches(head))) {
+    throw downloadError(`${source} is not a recognized video file.`, false);
+  }
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File path
+ * @returns {Buffer} Up to HEAD_BYTES bytes
+ */
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, head, 0, HEAD_BYTES, 0);
+    return head.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Local file path of a source, or null for URLs with a scheme other than file://
+ * @param {string} source - URL or path
+ * @returns {string|null} Absolute path
+ */
+function localSourcePath(source) {
+  if (source.startsWith("file://")) return fileURLToPath(source);
+  if (/^[a-z][a-z\d+.-]*:\/\//i.test(source)) return null;
+  return resolve(source);
+}
+
+/**
+ * Check a local video file against the settings
+ * @param {string} filePath - Absolute path
+ * @param {string} source - Source as given, for messages
+ * @param {Object} settings - From downloadSettings
+ * @returns {number} File size in bytes
+ */
+function checkLocalFile(filePath, source, settings) {
+  if (!settings.allowLocal) {
+    throw new Error(`Local video sources are disabled (set ALLOW_LOCAL_FILES=true to use "${source}").`);
+  }
+  if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    throw new Error(`Video file not found: ${filePath}`);
+  }
+  const { size } = fs.statSync(filePath);
+  if (size > settings.maxBytes) {
+    throw new Error(`${filePath} is larger than the ${formatLimit(settings.maxBytes)} limit.`);
+  }
+  checkMediaHead(readHead(filePath), filePath);
+  return size;
+}
+
+/**
+ * One download attempt. Resumes with a Range request when the file already
+ * holds part of the video, and gives up when no data arrives for timeoutMs.
+ * @param {string} url - http(s) URL
+ * @param {string} filePath - Destination (appended to when resuming)
+ * @param {Object} settings - From downloadSettings
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<Object|null>} Validators of the response (see responseValidators),
+ *   or null when a resumed download turned out to be complete already
  */
-export async function downloadVideo(url) {
+async function downloadAttempt(url, filePath, settings, signal) {
+  const offset = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, settings.timeoutMs);
+  };
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort, { once: true });
+
+  let out = null;
   try {
-    console.log(`Downloading video from: ${url}`);
-    const response = await fetch(url);
-    
+    restartTimer();
+    const response = await fetch(url, {
+      signal: controller.signal,
+      headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+    });
+
+    // A resumed download that was already complete
+    if (response.status === 416 && offset > 0) {
+      const total = Number(response.headers.get("content-range")?.split("/")[1]);
+      if (total === offset) return null;
+    }
     if (!response.ok) {
-      throw new Error(`Failed to download video: ${response.status} ${response.statusText}`);
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      throw downloadError(`Failed to download video: ${response.status} ${response.statusText}`, retryable);
+    }
+
+    const contentType = (response.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+    if (contentType && !/^(video|audio)\//.test(contentType) && !GENERIC_CONTENT_TYPES.has(contentType)) {
+      throw downloadError(`Unexpected content type "${contentType}" (expected a video).`, false);
+    }
+
+    const resumed = offset > 0 && response.status === 206;
+    if (offset > 0) {
+      console.log(resumed ? `Resuming download at ${offset} bytes` : "Server ignored the range request, restarting");
+    }
+    const length = Number(response.headers.get("content-length")) || null;
+    const expectedTotal = length && (resumed ? offset + length : length);
+    if (expectedTotal > settings.maxBytes) {
+      throw downloadError(`Video is larger than the ${formatLimit(settings.maxBytes)} download limit.`, false);
     }
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer); // 
-    
-    console.log(`Downloaded ${buffer.length} bytes`);
-    return buffer;
+    out = fs.createWriteStream(filePath, { flags: resumed ? "a" : "w" });
+    let written = resumed ? offset : 0;
+    // Fresh downloads are checked as soon as the first bytes arrive
+    let head = resumed ? null : Buffer.alloc(0);
+
+    for await (const chunk of Readable.fromWeb(response.body)) {
+      restartTimer();
+      written += chunk.length;
+      if (written > settings.maxBytes) {
+        throw downloadError(`Video is larger than the ${formatLimit(settings.maxBytes)} download limit.`, false);
+      }
+      if (head) {
+        head = Buffer.concat([head, chunk]).subarray(0, HEAD_BYTES);
+        if (head.length === HEAD_BYTES) {
+          checkMediaHead(head, url);
+          head = null;
+        }
+      }
+      if (!out.write(chunk)) await once(out, "drain");
+    }
+    out.end();
+    await once(out, "close");
+
+    if (expectedTotal && written < expectedTotal) {
+      throw downloadError(`Download ended after ${written} of ${expectedTotal} bytes.`, true);
+    }
+    return responseValidators(response);
   } catch (error) {
-    console.error(`Error downloading video from ${url}:`, error);
+    if (signal?.aborted) throw error;
+    if (timedOut) throw downloadError(`No data received for ${settings.timeoutMs}ms.`, true);
+    // Network errors from fetch or the body stream
+    if (error.retryable === undefined) error.retryable = true;
     throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+    if (out && !out.closed) {
+      out.destroy();
+      await once(out, "close");
+    }
+  }
+}
+
+/**
+ * Download a URL to a file, retrying with exponential backoff. Retries
+ * resume from the bytes already written.
+ * @param {string} url - http(s) URL
+ * @param {string} filePath - Destination
+ * @param {Object} settings - From downloadSettings
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<Object>} Validators of the downloaded version (see responseValidators)
+ */
+async function downloadToFile(url, filePath, settings, signal) {
+  let validators = null;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      validators = (await downloadAttempt(url, filePath, settings, signal)) || validators;
+      break;
+    } catch (error) {
+      if (!error.retryable || attempt > settings.retries || signal?.aborted) throw error;
+      const delay = settings.backoffMs * 2 ** (attempt - 1);
+      console.warn(`Download attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+      await sleep(delay, undefined, { signal });
+    }
+  }
+  checkMediaHead(readHead(filePath), url);
+  return validators || { etag: null, last_modified: null };
+}
+
+/**
+ * Cache validators a server sent for a URL
+ * @param {Response} response - fetch response
+ * @returns {{etag: string|null, last_modified: string|null}}
+ */
+function responseValidators(response) {
+  return {
+    etag: response.headers.get("etag"),
+    last_modified: response.headers.get("last-modified"),
+  };
+}
+
+/**
+ * Whether a cached download still matches the URL. With validators, a
+ * conditional HEAD request asks the server; a 304 or the same ETag /
+ * Last-Modified means unchanged. Without validators, or when the server
+ * cannot answer, the entry is trusted until it is cacheTtlMs old.
+ * @param {string} url - http(s) URL
+ * @param {Object|null} stored - {etag, last_modified, fetched_at} saved with the entry
+ * @param {Object} settings - From downloadSettings
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<boolean>} True if the cached file can be used
+ */
+async function cachedDownloadIsFresh(url, stored, settings, signal) {
+  if (!stored) return false;
+  const withinTtl = Date.now() - stored.fetched_at < settings.cacheTtlMs;
+  if (!stored.etag && !stored.last_modified) return withinTtl;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort, { once: true });
+  try {
+    const response = await fetch(url, {
+      method: "HEAD",
+      signal: controller.signal,
+      headers: {
+        ...(stored.etag && { "If-None-Match": stored.etag }),
+        ...(stored.last_modified && { "If-Modified-Since": stored.last_modified }),
+      },
+    });
+    if (response.status === 304) return true;
+    if (!response.ok) return withinTtl;
+
+    const current = responseValidators(response);
+    if (stored.etag && current.etag) return current.etag === stored.etag;
+    if (stored.last_modified && current.last_modified) return current.last_modified === stored.last_modified;
+    return withinTtl;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn(`Could not revalidate cached download for ${url} (${error.message})`);
+    return withinTtl;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
   }
 }
 
+/**
+ * Get a video as a file on disk. Local sources (file:// URLs and paths, when
+ * allowed) are used in place; http(s) downloads are cached by URL and
+ * revalidated before reuse, or written to a temporary file the caller removes
+ * when the cache is off. A cached file is kept from eviction until the caller
+ * calls release().
+ * @param {string} source - http(s) URL, file:// URL or local path
+ * @param {Object} options - {signal, cache, tempDir} plus the settings of
+ *   downloadSettings: {maxBytes, timeoutMs, retries, backoffMs, cacheTtlMs, allowLocal}
+ * @returns {Promise<{path: string, bytes: number, temporary: boolean, release: Function}>}
+ */
+export async function fetchVideoFile(source, options = {}) {
+  const { signal, cache = true, tempDir = os.tmpdir() } = options;
+  const settings = downloadSettings(options);
+
+  const localPath = localSourcePath(source);
+  if (localPath) {
+    const bytes = checkLocalFile(localPath, source, settings);
+    console.log(`Using local video: ${localPath} (${bytes} bytes)`);
+    return { path: localPath, bytes, temporary: false, release: () => {} };
+  }
+  if (!/^https?:\/\//i.test(source)) {
+    throw new Error(`Unsupported video source "${source}". Use an http(s) URL, a file:// URL or a local path.`);
+  }
+
+  const cacheKey = hashKey("url", source);
+  if (cache) {
+    const cachedPath = getCache().getPath("downloads", cacheKey);
+    if (cachedPath) {
+      // Pinned while the server is asked, so other jobs filling the cache can't evict it
+      const release = getCache().pin("downloads", cacheKey);
+      let fresh = false;
+      try {
+        const stored = getCache().getJson(VALIDATOR_NAMESPACE, cacheKey);
+        fresh = await cachedDownloadIsFresh(source, stored, settings, signal);
+      } finally {
+        if (!fresh) release();
+      }
+      if (fresh) {
+        const bytes = fs.statSync(cachedPath).size;
+        console.log(`Using cached download for: ${source} (${bytes} bytes)`);
+        return { path: cachedPath, bytes, temporary: false, release };
+      }
+      console.log(`Cached download for ${source} is out of date`);
+    }
+  }
+
+  const filePath = join(tempDir, `download-${randomUUID()}`);
+  let validators;
+  try {
+    console.log(`Downloading video from: ${source}`);
+    validators = await downloadToFile(source, filePath, settings, signal);
+  } catch (error) {
+    fs.rmSync(filePath, { force: true });
+    console.error(`Error downloading video from ${source}:`, error.message);
+    throw error;
+  }
+
+  const bytes = fs.statSync(filePath).size;
+  console.log(`Downloaded ${bytes} bytes`);
+  const cachedPath = cache ? getCache().setFile("downloads", cacheKey, filePath) : null;
+  if (!cachedPath) return { path: filePath, bytes, temporary: true, release: () => {} };
+
+  const release = getCache().pin("downloads", cacheKey);
+  getCache().setJson(VALIDATOR_NAMESPACE, cacheKey, { ...validators, fetched_at: Date.now() });
+  return { path: cachedPath, bytes, temporary: false, release };
+}
+
+/**
+ * Download a video and return it as a Buffer (see fetchVideoFile)
+ * @param {string} source - http(s) URL, file:// URL or local path
+ * @param {Object} options - As for fetchVideoFile
+ * @returns {Promise<Buffer>} Video file buffer
+ */
+export async function downloadVideo(source, options = {}) {
+  const file = await fetchVideoFile(source, options);
+  try {
+    return fs.readFileSync(file.path);
+  } finally {
+    file.release();
+    if (file.temporary) fs.rmSync(file.path, { force: true });
+  }
+}
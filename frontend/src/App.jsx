@@ -1,4 +1,14 @@
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
+import JobProgress from './components/JobProgress.jsx'
+import TimelineEditor from './components/TimelineEditor.jsx'
+import InsertionCard from './components/InsertionCard.jsx'
+import TranscriptEditor from './components/TranscriptEditor.jsx'
+import PlannerSettings from './components/PlannerSettings.jsx'
+import VariantPicker from './components/VariantPicker.jsx'
+import ProjectList from './components/ProjectList.jsx'
+import VersionHistory from './components/VersionHistory.jsx'
+import { swapInsertionClip } from './planEdits.js'
+import { plannerRequestFields } from './plannerSettings.js'
 import './App.css'
 
 function App() {
@@ -7,6 +17,69 @@ function App() {
   const [error, setError] = useState(null)
   const [arollFile, setArollFile] = useState(null)
   const [brollFiles, setBrollFiles] = useState([])
+  const [allowLooping, setAllowLooping] = useState(false)
+  const [exportFormat, setExportFormat] = useState('fcpxml')
+  const [exportFps, setExportFps] = useState(25)
+  const [exporting, setExporting] = useState(false)
+  const [captionFormat, setCaptionFormat] = useState('srt')
+  const [karaokeCaptions, setKaraokeCaptions] = useState(false)
+  const [job, setJob] = useState(null)
+  const [previewSources, setPreviewSources] = useState({ aroll: null, brolls: {} })
+  // Uploaded A-roll file the plan on screen was generated from, if any
+  const [planArollFile, setPlanArollFile] = useState(null)
+  const [demoArollUrl, setDemoArollUrl] = useState(null)
+  const [projects, setProjects] = useState([])
+  const [project, setProject] = useState(null)
+  const [viewedVersion, setViewedVersion] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [saveStatus, setSaveStatus] = useState(null)
+  const [replanning, setReplanning] = useState(false)
+  const [presets, setPresets] = useState({})
+  const [plannerSettings, setPlannerSettings] = useState({
+    preset: 'default',
+    strategy: 'greedy',
+    scoring: 'hybrid',
+    variants: 1,
+    transition: { type: 'cut', duration_sec: 0.5 },
+    options: {},
+  })
+  const eventSourceRef = useRef(null)
+
+  // Close any open progress stream when the page goes away
+  useEffect(() => () => eventSourceRef.current?.close(), [])
+
+  useEffect(() => {
+    fetch('http://localhost:4000/api/presets')
+      .then((response) => (response.ok ? response.json() : {}))
+      .then(setPresets)
+      .catch(() => setPresets({}))
+    fetch('http://localhost:4000/api/demo')
+      .then((response) => (response.ok ? response.json() : {}))
+      .then((demo) => setDemoArollUrl(demo.a_roll?.url || null))
+      .catch(() => setDemoArollUrl(null))
+  }, [])
+
+  const loadProjects = async () => {
+    try {
+      const response = await fetch('http://localhost:4000/api/projects')
+      if (response.ok) setProjects((await response.json()).projects)
+    } catch (err) {
+      console.error('Error loading projects:', err)
+    }
+  }
+
+  useEffect(() => {
+    loadProjects()
+  }, [])
+
+  // Release object URLs of uploaded files once they are no longer previewed
+  useEffect(
+    () => () => {
+      if (previewSources.aroll) URL.revokeObjectURL(previewSources.aroll)
+      Object.values(previewSources.brolls).forEach((url) => URL.revokeObjectURL(url))
+    },
+    [previewSources]
+  )
 
   const handleArollChange = (event) => {
     const file = event.target.files?.[0] || null
@@ -15,30 +88,155 @@ function App() {
 
   const handleBrollChange = (event) => {
     const files = Array.from(event.target.files || [])
-    setBrollFiles(files)
+    setBrollFiles(
+      files.map((file) => ({
+        file,
+        id: file.name.replace(/\.[^.]+$/, ''),
+        description: '',
+      }))
+    )
+  }
+
+  const updateBroll = (index, field, value) => {
+    setBrollFiles((current) =>
+      current.map((broll, i) => (i === index ? { ...broll, [field]: value } : broll))
+    )
+  }
+
+  // POST to the project API and return the response body
+  const projectRequest = async (path, body = null) => {
+    const response = await fetch(`http://localhost:4000/api/projects${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: body && JSON.stringify(body),
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(data.error || response.statusText)
+    return data
+  }
+
+  // Reload a project's history and show its latest version as the current one
+  const refreshProject = async (id) => {
+    const response = await fetch(`http://localhost:4000/api/projects/${id}`)
+    if (!response.ok) throw new Error(`Failed to load project: ${response.statusText}`)
+    const data = await response.json()
+    setProject(data)
+    setViewedVersion(data.latest.version)
+    loadProjects()
+    return data
+  }
+
+  // Start a project from a plan; aRoll names an uploaded A-roll ({name})
+  const createProject = async (newPlan, source, aRoll = null) => {
+    const created = await projectRequest('', { plan: newPlan, source, a_roll: aRoll })
+    setProject(created)
+    setViewedVersion(created.latest.version)
+    loadProjects()
+    return created.latest.version
+  }
+
+  // Add a plan to the open project's history (or start one if none is open)
+  const recordVersion = async (newPlan, source, note = null) => {
+    if (!project) return createProject(newPlan, source)
+    const version = await projectRequest(`/${project.id}/versions`, { plan: newPlan, source, note })
+    await refreshProject(project.id)
+    return version.version
+  }
+
+  // Follow a generation job. The finished plan becomes a new version of the
+  // open project when it was planned from the same A-roll, else a new project.
+  const followJob = (jobId, aRoll, sameAroll) => {
+    const source = new EventSource(`http://localhost:4000/api/jobs/${jobId}/events`)
+    eventSourceRef.current = source
+
+    const finish = () => {
+      source.close()
+      eventSourceRef.current = null
+      setLoading(false)
+    }
+
+    source.addEventListener('progress', (event) => {
+      setJob(JSON.parse(event.data))
+    })
+    source.addEventListener('completed', (event) => {
+      const data = JSON.parse(event.data)
+      setJob(data)
+      setPlan(data.result)
+      finish()
+      const saved =
+        sameAroll && project
+          ? recordVersion(data.result, 'generated', 'Generated again')
+          : createProject(data.result, 'generated', aRoll)
+      saved
+        .then((version) => setSaveStatus(`Saved as version ${version}`))
+        .catch((err) => {
+          setError(`Plan generated but could not be saved as a project: ${err.message}`)
+        })
+    })
+    source.addEventListener('failed', (event) => {
+      const data = JSON.parse(event.data)
+      setJob(data)
+      setError(`Failed to generate plan: ${data.error}`)
+      finish()
+    })
+    source.addEventListener('cancelled', (event) => {
+      setJob(JSON.parse(event.data))
+      finish()
+    })
+    source.onerror = () => {
+      setError('Lost connection to the job progress stream.')
+      finish()
+    }
   }
 
-  const callApiAndSetPlan = async (requestPromise) => {
+  const callApiAndSetPlan = async (requestPromise, aRoll = null, sameAroll = false) => {
     setLoading(true)
     setError(null)
     setPlan(null)
+    setJob(null)
+    // A plan for the same A-roll goes into the open project's history
+    if (!sameAroll) {
+      setProject(null)
+      setViewedVersion(null)
+    }
+    setSaveStatus(null)
 
     try {
       const response = await requestPromise
       if (!response.ok) {
-        throw new Error(`Failed to generate plan: ${response.statusText}`)
+        const body = await response.json().catch(() => ({}))
+        throw new Error(`Failed to generate plan: ${body.error || response.statusText}`)
       }
 
       const data = await response.json()
-      setPlan(data)
+      setJob(data)
+      followJob(data.id, aRoll, sameAroll)
     } catch (err) {
       setError(err.message)
       console.error('Error generating plan:', err)
-    } finally {
       setLoading(false)
     }
   }
 
+  // Whether a new run plans the A-roll of the plan on screen (the same
+  // uploaded file, or the same URL), so its pinned insertions still apply
+  const plansSameAroll = ({ file = null, url = null }) => {
+    if (!plan) return false
+    if (file) return file === planArollFile
+    return Boolean(url) && plan.a_roll?.url === url
+  }
+
+  const cancelJob = async () => {
+    if (!job) return
+    try {
+      await fetch(`http://localhost:4000/api/jobs/${job.id}`, { method: 'DELETE' })
+    } catch (err) {
+      console.error('Error cancelling job:', err)
+    }
+  }
+
   const generateFromUpload = async () => {
     if (!arollFile) {
       setError('Please upload an A-roll video to use this option, or use the demo video button below.')
@@ -47,30 +245,238 @@ function App() {
 
     const formData = new FormData()
     formData.append('aroll', arollFile)
-    brollFiles.forEach((file) => {
-      formData.append('brolls', file)
+    brollFiles.forEach((broll) => {
+      formData.append('brolls', broll.file)
+    })
+    formData.append('broll_ids', JSON.stringify(brollFiles.map((broll) => broll.id)))
+    formData.append(
+      'broll_descriptions',
+      JSON.stringify(brollFiles.map((broll) => broll.description))
+    )
+    formData.append('allow_looping', String(allowLooping))
+    // Pins and the open project only carry over when the same A-roll file is planned again
+    const sameAroll = plansSameAroll({ file: arollFile })
+    const pinSource = sameAroll ? plan : null
+    const { options, constraints, transition, ...plannerFields } = plannerRequestFields(plannerSettings, pinSource)
+    Object.entries(plannerFields).forEach(([name, value]) => formData.append(name, value))
+    formData.append('transition', JSON.stringify(transition))
+    formData.append('options', JSON.stringify(options))
+    formData.append('constraints', JSON.stringify(constraints))
+
+    // Preview uploads locally instead of fetching them back from the server
+    setPlanArollFile(arollFile)
+    setPreviewSources({
+      aroll: URL.createObjectURL(arollFile),
+      brolls: Object.fromEntries(
+        brollFiles.map((broll) => [broll.id, URL.createObjectURL(broll.file)])
+      ),
     })
 
     await callApiAndSetPlan(
-      fetch('http://localhost:4000/api/plan/upload', {
+      fetch('http://localhost:4000/api/jobs/upload', {
         method: 'POST',
         body: formData,
-      })
+      }),
+      { name: arollFile.name },
+      sameAroll
     )
   }
 
   const generateFromDemo = async () => {
+    const sameAroll = plansSameAroll({ url: demoArollUrl })
+    const pinSource = sameAroll ? plan : null
+    setPlanArollFile(null)
+    setPreviewSources({ aroll: null, brolls: {} })
     await callApiAndSetPlan(
-      fetch('http://localhost:4000/api/plan', {
+      fetch('http://localhost:4000/api/jobs', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(plannerRequestFields(plannerSettings, pinSource)),
+      }),
+      null,
+      sameAroll
+    )
+  }
+
+  // Re-plan from corrected transcript text; the video is not transcribed again
+  const replanFromTranscript = async (segments) => {
+    setReplanning(true)
+    setError(null)
+    try {
+      const response = await fetch('http://localhost:4000/api/plan/transcript', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({}),
+        body: JSON.stringify({
+          transcript_segments: segments,
+          aroll_duration_sec: plan.aroll_duration_sec,
+          word_timing: plan.word_timing,
+          b_rolls: plan.b_rolls,
+          a_roll: plan.a_roll,
+          audio_analysis: plan.audio_analysis,
+          aroll_cuts: plan.aroll_cuts,
+          ...plannerRequestFields(plannerSettings, plan),
+        }),
       })
+      const body = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(`Failed to re-plan: ${body.details || body.error || response.statusText}`)
+      }
+      editPlan(body)
+      const version = await recordVersion(body, 'generated', 'Re-planned from the edited transcript')
+      setSaveStatus(`Saved as version ${version}`)
+    } catch (err) {
+      setError(err.message)
+      console.error('Error re-planning from transcript:', err)
+    } finally {
+      setReplanning(false)
+    }
+  }
+
+  const editPlan = (edited) => {
+    setPlan(edited)
+    setSaveStatus(project ? 'Unsaved changes' : null)
+  }
+
+  // Switch to another variant; edits made to the current one are kept with it
+  const chooseVariant = (id) => {
+    const variants = plan.variants.map((variant) =>
+      variant.id === plan.selected_variant
+        ? {
+            ...variant,
+            insertions: plan.insertions,
+            edited:
+              variant.edited ||
+              JSON.stringify(variant.insertions) !== JSON.stringify(plan.insertions),
+          }
+        : variant
     )
+    const chosen = variants.find((variant) => variant.id === id)
+    editPlan({
+      ...plan,
+      variants,
+      selected_variant: id,
+      insertions: chosen.insertions,
+      unsatisfied_constraints: chosen.unsatisfied_constraints,
+      coverage_ratio: chosen.summary.coverage_ratio,
+    })
   }
 
+  const savePlan = async () => {
+    setSaving(true)
+    setError(null)
+
+    try {
+      const version = await recordVersion(plan, 'edited')
+      setSaveStatus(`Saved as version ${version}`)
+    } catch (err) {
+      setError(`Failed to save plan: ${err.message}`)
+      console.error('Error saving plan:', err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const openProject = async (id) => {
+    setError(null)
+    try {
+      const data = await refreshProject(id)
+      setPlan(data.latest.plan)
+      setPlanArollFile(null)
+      setJob(null)
+      setSaveStatus(null)
+      // Uploaded files are not stored with the project; URL sources still preview
+      setPreviewSources({ aroll: null, brolls: {} })
+    } catch (err) {
+      setError(err.message)
+      console.error('Error opening project:', err)
+    }
+  }
+
+  // Load an older version into the editor; saving it adds a new version
+  const viewVersion = async (version) => {
+    setError(null)
+    try {
+      const response = await fetch(
+        `http://localhost:4000/api/projects/${project.id}/versions/${version}`
+      )
+      if (!response.ok) throw new Error(`Failed to load version ${version}: ${response.statusText}`)
+      const data = await response.json()
+      setPlan(data.plan)
+      setViewedVersion(version)
+      setSaveStatus(
+        version === project.latest.version ? null : `Viewing version ${version}`
+      )
+    } catch (err) {
+      setError(err.message)
+      console.error('Error loading version:', err)
+    }
+  }
+
+  const restoreVersion = async (version) => {
+    setError(null)
+    try {
+      await projectRequest(`/${project.id}/versions/${version}/restore`)
+      const data = await refreshProject(project.id)
+      setPlan(data.latest.plan)
+      setSaveStatus(`Restored version ${version} as version ${data.latest.version}`)
+    } catch (err) {
+      setError(`Failed to restore version ${version}: ${err.message}`)
+      console.error('Error restoring version:', err)
+    }
+  }
+
+  // POST the plan to an export endpoint and save the response as a file
+  const downloadExport = async (endpoint, body, filename, what) => {
+    setExporting(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`http://localhost:4000${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      })
+      if (!response.ok) {
+        throw new Error(`Failed to export ${what}: ${response.statusText}`)
+      }
+
+      const blob = await response.blob()
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+      console.error(`Error exporting ${what}:`, err)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const downloadTimeline = () =>
+    downloadExport(
+      `/api/export/${exportFormat}`,
+      { plan, fps: exportFps },
+      `broll_timeline.${exportFormat}`,
+      'timeline'
+    )
+
+  const downloadCaptions = () =>
+    downloadExport(
+      `/api/captions/${captionFormat}`,
+      { plan, options: { karaoke: karaokeCaptions } },
+      `broll_captions.${captionFormat}`,
+      'captions'
+    )
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60)
     const secs = (seconds % 60).toFixed(1)
@@ -115,9 +521,33 @@ function App() {
                 onChange={handleBrollChange}
               />
               {brollFiles.length > 0 && (
-                <p className="file-name">
-                  Selected B-rolls: {brollFiles.map((f) => f.name).join(', ')}
-                </p>
+                <div className="broll-meta-list">
+                  {brollFiles.map((broll, index) => (
+                    <div key={index} className="broll-meta-item">
+                      <p className="file-name">{broll.file.name}</p>
+                      <input
+                        type="text"
+                        value={broll.id}
+                        placeholder="Clip id"
+                        onChange={(e) => updateBroll(index, 'id', e.target.value)}
+                      />
+                      <textarea
+                        value={broll.description}
+                        placeholder="Describe what the clip shows (used for matching)"
+                        rows={2}
+                        onChange={(e) => updateBroll(index, 'description', e.target.value)}
+                      />
+                    </div>
+                  ))}
+                  <label className="checkbox-field">
+                    <input
+                      type="checkbox"
+                      checked={allowLooping}
+                      onChange={(e) => setAllowLooping(e.target.checked)}
+                    />
+                    Allow short clips to loop to fill an insertion
+                  </label>
+                </div>
               )}
             </div>
 
@@ -132,6 +562,19 @@ function App() {
             </div>
           </div>
 
+          <ProjectList
+            projects={projects}
+            currentId={project?.id}
+            onOpen={openProject}
+            formatTime={formatTime}
+          />
+
+          <PlannerSettings
+            settings={plannerSettings}
+            presets={presets}
+            onChange={setPlannerSettings}
+          />
+
           <div className="demo-section">
             <h2>Or Use Demo Video</h2>
             <p className="upload-help">
@@ -150,6 +593,10 @@ function App() {
           </div>
         </div>
 
+        {job && job.status !== 'completed' && (
+          <JobProgress job={job} onCancel={cancelJob} />
+        )}
+
         {error && (
           <div className="error">
             <strong>Error:</strong> {error}
@@ -163,20 +610,111 @@ function App() {
               <p><strong>Duration:</strong> {formatTime(plan.aroll_duration_sec)}</p>
             </div>
 
-            <div className="transcript-section">
-              <h2>Transcript</h2>
-              <div className="transcript-list">
-                {plan.transcript_segments.map((segment, index) => (
-                  <div key={index} className="transcript-item">
-                    <span className="timestamp">
-                      {formatTime(segment.start_sec)} - {formatTime(segment.end_sec)}
-                    </span>
-                    <span className="text">{segment.text}</span>
-                  </div>
-                ))}
+            {plan.unsatisfied_constraints?.length > 0 && (
+              <div className="unsatisfied-constraints">
+                <strong>Some constraints could not be met:</strong>
+                <ul>
+                  {plan.unsatisfied_constraints.map((item, index) => (
+                    <li key={index}>
+                      {item.type === 'pinned'
+                        ? `Pinned ${item.constraint.broll_id} at ${formatTime(item.constraint.start_sec)}`
+                        : `Required ${item.constraint}`}
+                      : {item.reason}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {plan.variants?.length > 1 && (
+              <VariantPicker
+                variants={plan.variants}
+                selected={plan.selected_variant}
+                duration={plan.aroll_duration_sec}
+                onChoose={chooseVariant}
+              />
+            )}
+
+            {project && (
+              <VersionHistory
+                key={`${project.id}-${project.latest.version}`}
+                project={project}
+                viewedVersion={viewedVersion}
+                onView={viewVersion}
+                onRestore={restoreVersion}
+                formatTime={formatTime}
+              />
+            )}
+
+            <TimelineEditor
+              plan={plan}
+              sources={previewSources}
+              onChange={editPlan}
+              onSave={savePlan}
+              saving={saving}
+              saveStatus={saveStatus}
+            />
+
+            <div className="export-section">
+              <h2>Export Timeline</h2>
+              <div className="export-controls">
+                <label>
+                  Format
+                  <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                    <option value="fcpxml">FCPXML (Final Cut, Resolve, Premiere)</option>
+                    <option value="edl">EDL (CMX3600)</option>
+                    <option value="otio">OpenTimelineIO</option>
+                  </select>
+                </label>
+                <label>
+                  Frame rate
+                  <select value={exportFps} onChange={(e) => setExportFps(Number(e.target.value))}>
+                    {[23.976, 24, 25, 29.97, 30, 50, 59.94, 60].map((fps) => (
+                      <option key={fps} value={fps}>{fps} fps</option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={downloadTimeline}
+                  disabled={exporting}
+                  className="generate-btn"
+                >
+                  {exporting ? 'Exporting...' : 'Download timeline'}
+                </button>
+              </div>
+              <div className="export-controls">
+                <label>
+                  Captions
+                  <select value={captionFormat} onChange={(e) => setCaptionFormat(e.target.value)}>
+                    <option value="srt">SubRip (SRT)</option>
+                    <option value="vtt">WebVTT</option>
+                  </select>
+                </label>
+                <label className="checkbox-field">
+                  <input
+                    type="checkbox"
+                    checked={karaokeCaptions}
+                    onChange={(e) => setKaraokeCaptions(e.target.checked)}
+                  />
+                  Highlight words as they are spoken
+                </label>
+                <button
+                  onClick={downloadCaptions}
+                  disabled={exporting}
+                  className="generate-btn"
+                >
+                  {exporting ? 'Exporting...' : 'Download captions'}
+                </button>
               </div>
             </div>
 
+            <TranscriptEditor
+              segments={plan.transcript_segments}
+              formatTime={formatTime}
+              onReplan={replanFromTranscript}
+              replanning={replanning}
+            />
+
             <div className="insertions-section">
               <h2>B-Roll Insertions ({plan.insertions.length})</h2>
               {plan.insertions.length === 0 ? (
@@ -184,18 +722,12 @@ function App() {
               ) : (
                 <div className="insertions-list">
                   {plan.insertions.map((insertion, index) => (
-                    <div key={index} className="insertion-item">
-                      <div className="insertion-header">
-                        <span className="insertion-time">
-                          {formatTime(insertion.start_sec)} ({insertion.duration_sec}s)
-                        </span>
-                        <span className="insertion-id">{insertion.broll_id}</span>
-                        <span className="insertion-confidence">
-                          Confidence: {(insertion.confidence * 100).toFixed(1)}%
-                        </span>
-                      </div>
-                      <div className="insertion-reason">{insertion.reason}</div>
-                    </div>
+                    <InsertionCard
+                      key={index}
+                      insertion={insertion}
+                      formatTime={formatTime}
+                      onPickAlternative={(brollId) => editPlan(swapInsertionClip(plan, index, brollId))}
+                    />
                   ))}
                 </div>
               )}
@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from 'react'
+
+// How far the videos may drift from the playhead before they are re-seeked
+const SYNC_TOLERANCE = 0.3
+
+// Position inside a B-roll clip for a timeline time
+function brollOffset(insertion, time, clipDuration) {
+  const offset = time - insertion.start_sec
+  if (insertion.loop && clipDuration) return offset % clipDuration
+  return (insertion.source_in_sec || 0) + offset
+}
+
+// How far (0-1) a transition has progressed, 1 outside of it
+function transitionProgress(transition, elapsed) {
+  if (!transition || transition.type === 'cut' || !transition.duration_sec) return 1
+  return Math.min(Math.max(elapsed / transition.duration_sec, 0), 1)
+}
+
+// Opacity and brightness of the B-roll layer during its transitions, as in
+// the render: a crossfade fades the layer in or out; a dip fades the A-roll
+// to black over the first half and the B-roll up from black over the second
+function brollLayerStyle(insertion, time) {
+  let opacity = 1
+  let brightness = 1
+  const edges = [
+    [insertion.transition_in, time - insertion.start_sec],
+    [insertion.transition_out, insertion.start_sec + insertion.duration_sec - time],
+  ]
+  for (const [transition, elapsed] of edges) {
+    const progress = transitionProgress(transition, elapsed)
+    if (transition?.type === 'dip') {
+      opacity = Math.min(opacity, Math.min(progress * 2, 1))
+      brightness = Math.min(brightness, Math.max(progress * 2 - 1, 0))
+    } else {
+      opacity = Math.min(opacity, progress)
+    }
+  }
+  return { opacity, filter: brightness < 1 ? `brightness(${brightness})` : undefined }
+}
+
+function CompositePreview({ arollSrc, brollSrcs, insertions, brollDurations, currentTime, onTimeChange }) {
+  const arollRef = useRef(null)
+  const brollRef = useRef(null)
+  const [playing, setPlaying] = useState(false)
+
+  const active = insertions.find(
+    (insertion) =>
+      currentTime >= insertion.start_sec &&
+      currentTime < insertion.start_sec + insertion.duration_sec
+  )
+  const activeSrc = active ? brollSrcs[active.broll_id] : null
+
+  // Follow seeks made outside the player (clicks on the timeline)
+  useEffect(() => {
+    const aroll = arollRef.current
+    if (aroll && Math.abs(aroll.currentTime - currentTime) > SYNC_TOLERANCE) {
+      aroll.currentTime = currentTime
+    }
+  }, [currentTime])
+
+  // Keep the B-roll layer on the frame that belongs to the playhead
+  useEffect(() => {
+    const broll = brollRef.current
+    if (!broll || !active || !activeSrc) return
+
+    const target = brollOffset(active, currentTime, brollDurations[active.broll_id])
+    if (Math.abs(broll.currentTime - target) > SYNC_TOLERANCE) {
+      broll.currentTime = target
+    }
+    if (playing && broll.paused) {
+      broll.play().catch(() => {})
+    } else if (!playing && !broll.paused) {
+      broll.pause()
+    }
+  }, [active, activeSrc, brollDurations, currentTime, playing])
+
+  // Report the playhead smoothly while playing
+  useEffect(() => {
+    if (!playing) return undefined
+    let frame
+    const tick = () => {
+      onTimeChange(arollRef.current.currentTime)
+      frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [playing, onTimeChange])
+
+  const togglePlayback = () => {
+    const aroll = arollRef.current
+    if (aroll.paused) {
+      aroll.play().catch(() => {})
+    } else {
+      aroll.pause()
+    }
+  }
+
+  if (!arollSrc) {
+    return <div className="preview preview-empty">No A-roll source available for preview.</div>
+  }
+
+  return (
+    <div className="preview">
+      <div className="preview-screen">
+        <video
+          ref={arollRef}
+          src={arollSrc}
+          className="preview-video"
+          onPlay={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+          onSeeked={(e) => onTimeChange(e.target.currentTime)}
+          playsInline
+        />
+        {activeSrc && (
+          <video
+            key={activeSrc}
+            ref={brollRef}
+            src={activeSrc}
+            className="preview-video preview-broll"
+            style={brollLayerStyle(active, currentTime)}
+            muted
+            loop={Boolean(active.loop)}
+            onLoadedMetadata={(e) => {
+              e.target.currentTime = brollOffset(
+                active,
+                arollRef.current.currentTime,
+                brollDurations[active.broll_id]
+              )
+              if (playing) e.target.play().catch(() => {})
+            }}
+            playsInline
+          />
+        )}
+        {active && (
+          <span className="preview-badge">
+            {active.broll_id}
+            {activeSrc ? '' : ' (no preview source)'}
+          </span>
+        )}
+      </div>
+      <button onClick={togglePlayback} className="generate-btn">
+        {playing ? 'Pause' : 'Play'}
+      </button>
+    </div>
+  )
+}
+
+export default CompositePreview
@@ -0,0 +1,81 @@
+const BREAKDOWN_LABELS = [
+  ['semantic', 'Semantic'],
+  ['lexical', 'Keywords'],
+  ['reuse_penalty', 'Reuse penalty'],
+  ['timing', 'Timing'],
+]
+
+const TRANSITION_LABELS = { crossfade: 'crossfade', dip: 'dip to black' }
+
+// "crossfade in 0.5s" for a transition other than a hard cut
+const describeTransition = (transition, direction) =>
+  transition && transition.type !== 'cut'
+    ? `${TRANSITION_LABELS[transition.type]} ${direction} ${transition.duration_sec}s`
+    : null
+
+function InsertionCard({ insertion, formatTime, onPickAlternative }) {
+  const breakdown = insertion.score_breakdown
+  const alternatives = insertion.alternatives || []
+  const transitions = [
+    describeTransition(insertion.transition_in, 'in'),
+    describeTransition(insertion.transition_out, 'out'),
+  ].filter(Boolean)
+
+  return (
+    <div className="insertion-item">
+      <div className="insertion-header">
+        <span className="insertion-time">
+          {formatTime(insertion.start_sec)} ({insertion.duration_sec}s
+          {insertion.loop ? ', looped' : ''}
+          {insertion.covered_cuts?.length ? `, hides ${insertion.covered_cuts.length} cut` : ''}
+          {insertion.covered_cuts?.length > 1 ? 's' : ''})
+        </span>
+        <span className="insertion-id">
+          {insertion.broll_id}
+          {insertion.source_in_sec ? ` from ${insertion.source_in_sec}s` : ''}
+        </span>
+        <span className="insertion-confidence">
+          {insertion.confidence === null || insertion.confidence === undefined
+            ? 'Edited'
+            : `Confidence: ${(insertion.confidence * 100).toFixed(1)}%`}
+        </span>
+      </div>
+
+      {insertion.transcript_text && (
+        <div className="insertion-transcript">“{insertion.transcript_text}”</div>
+      )}
+      <div className="insertion-reason">{insertion.reason}</div>
+      {transitions.length > 0 && <div className="insertion-transitions">{transitions.join(', ')}</div>}
+
+      {breakdown && (
+        <div className="score-breakdown">
+          {BREAKDOWN_LABELS.map(([key, label]) => (
+            <span key={key} className="score-part">
+              {label}: {breakdown[key] >= 0 ? '+' : ''}
+              {breakdown[key].toFixed(2)}
+            </span>
+          ))}
+          <span className="score-part score-total">Total: {breakdown.total.toFixed(2)}</span>
+        </div>
+      )}
+
+      {alternatives.length > 0 && (
+        <div className="alternatives">
+          <span className="alternatives-label">Alternatives:</span>
+          {alternatives.map((alt) => (
+            <button
+              key={alt.broll_id}
+              onClick={() => onPickAlternative(alt.broll_id)}
+              className="alternative-btn"
+              title={alt.keywords?.length ? `Shared keywords: ${alt.keywords.join(', ')}` : 'No shared keywords'}
+            >
+              {alt.broll_id} ({alt.score.toFixed(2)})
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InsertionCard
@@ -0,0 +1,43 @@
+function JobProgress({ job, onCancel }) {
+  const isActive = job.status === 'queued' || job.status === 'running'
+  const percent = Math.round((job.progress || 0) * 100)
+
+  const stageState = (index) => {
+    if (job.status === 'completed' || index < job.stage_index) return 'done'
+    if (index === job.stage_index) return isActive ? 'active' : job.status
+    return 'pending'
+  }
+
+  return (
+    <div className="job-progress">
+      <div className="job-progress-header">
+        <h2>
+          {job.status === 'cancelled'
+            ? 'Cancelled'
+            : job.status === 'failed'
+              ? 'Failed'
+              : `Generating plan... ${percent}%`}
+        </h2>
+        {isActive && (
+          <button onClick={onCancel} className="cancel-btn">
+            Cancel
+          </button>
+        )}
+      </div>
+
+      <div className="progress-bar">
+        <div className="progress-bar-fill" style={{ width: `${percent}%` }} />
+      </div>
+
+      <ol className="stage-list">
+        {job.stages.map((stage, index) => (
+          <li key={stage.id} className={`stage stage-${stageState(index)}`}>
+            {stage.label}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default JobProgress
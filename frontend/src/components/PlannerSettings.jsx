@@ -0,0 +1,112 @@
+import { PLANNER_NUMBER_FIELDS, TRANSITION_OPTIONS } from '../plannerSettings.js'
+
+function PlannerSettings({ settings, presets, onChange }) {
+  const presetOptions = presets[settings.preset]?.options || {}
+
+  const update = (changes) => onChange({ ...settings, ...changes })
+  const updateOption = (name, value) => update({ options: { ...settings.options, [name]: value } })
+  const updateTransition = (changes) => update({ transition: { ...settings.transition, ...changes } })
+
+  // Empty fields fall back to the preset, whose value is shown as the placeholder
+  const placeholder = (field) => {
+    const value = presetOptions[field.name]
+    if (value === undefined) return 'auto'
+    return String(field.percent ? Math.round(value * 100) : value)
+  }
+
+  return (
+    <div className="planner-settings">
+      <h2>Planner Settings</h2>
+      <div className="planner-settings-row">
+        <label>
+          Preset
+          <select
+            value={settings.preset}
+            onChange={(e) => update({ preset: e.target.value, options: {} })}
+          >
+            {Object.entries(presets).map(([name, preset]) => (
+              <option key={name} value={name}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Strategy
+          <select value={settings.strategy} onChange={(e) => update({ strategy: e.target.value })}>
+            <option value="greedy">Greedy</option>
+            <option value="optimal">Optimal</option>
+          </select>
+        </label>
+        <label>
+          Matching
+          <select value={settings.scoring} onChange={(e) => update({ scoring: e.target.value })}>
+            <option value="hybrid">Keywords + meaning</option>
+            <option value="semantic">Meaning only</option>
+          </select>
+        </label>
+        <label>
+          Variants
+          <select
+            value={settings.variants}
+            onChange={(e) => update({ variants: Number(e.target.value) })}
+          >
+            {[1, 2, 3, 4, 5].map((count) => (
+              <option key={count} value={count}>
+                {count === 1 ? 'One plan' : `${count} plans to compare`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Transition
+          <select
+            value={settings.transition.type}
+            onChange={(e) => updateTransition({ type: e.target.value })}
+          >
+            {TRANSITION_OPTIONS.map((option) => (
+              <option key={option.type} value={option.type}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {settings.transition.type !== 'cut' && (
+          <label>
+            Transition length (s)
+            <input
+              type="number"
+              step={0.1}
+              min={0}
+              max={2}
+              value={settings.transition.duration_sec}
+              onChange={(e) => updateTransition({ duration_sec: e.target.value })}
+            />
+          </label>
+        )}
+      </div>
+      {presets[settings.preset] && (
+        <p className="upload-help">{presets[settings.preset].description}</p>
+      )}
+
+      <div className="planner-settings-row">
+        {PLANNER_NUMBER_FIELDS.map((field) => (
+          <label key={field.name}>
+            {field.label}
+            <input
+              type="number"
+              step={field.step}
+              min={field.min}
+              max={field.max}
+              value={settings.options[field.name] ?? ''}
+              placeholder={placeholder(field)}
+              onChange={(e) => updateOption(field.name, e.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default PlannerSettings
@@ -0,0 +1,41 @@
+// Saved projects, most recently updated first, so work can be reopened after
+// a page reload
+function ProjectList({ projects, currentId, onOpen, formatTime }) {
+  return (
+    <div className="projects-section">
+      <h2>Projects</h2>
+      {projects.length === 0 ? (
+        <p className="upload-help">
+          Generated plans are saved as projects automatically and will appear here.
+        </p>
+      ) : (
+        <ul className="project-list">
+          {projects.map((project) => (
+            <li
+              key={project.id}
+              className={`project-item${project.id === currentId ? ' selected' : ''}`}
+            >
+              <div className="project-info">
+                <strong>{project.name}</strong>
+                <span>
+                  {formatTime(project.aroll_duration_sec)} · {project.version_count}{' '}
+                  {project.version_count === 1 ? 'version' : 'versions'} · updated{' '}
+                  {new Date(project.updated_at).toLocaleString()}
+                </span>
+              </div>
+              <button
+                className="generate-btn secondary"
+                disabled={project.id === currentId}
+                onClick={() => onOpen(project.id)}
+              >
+                {project.id === currentId ? 'Open' : 'Open project'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ProjectList
@@ -0,0 +1,370 @@
+import { useCallback, useRef, useState } from 'react'
+import CompositePreview from './CompositePreview.jsx'
+import Waveform from './Waveform.jsx'
+import { swapInsertionClip } from '../planEdits.js'
+import { TRANSITION_OPTIONS } from '../plannerSettings.js'
+
+// Shortest insertion the editor allows when resizing
+const MIN_INSERTION_SEC = 0.5
+
+// Share of an insertion each transition may take (the server's limit)
+const MAX_TRANSITION_SHARE = 0.4
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Shorten an insertion's transitions to fit its (new) duration
+function fitTransitions(insertion) {
+  const maxDuration = round(insertion.duration_sec * MAX_TRANSITION_SHARE)
+  const fitted = { ...insertion }
+  for (const name of ['transition_in', 'transition_out']) {
+    if (insertion[name]?.duration_sec > maxDuration) {
+      fitted[name] = { ...insertion[name], duration_sec: maxDuration }
+    }
+  }
+  return fitted
+}
+
+// Apply a drag to an insertion, keeping it inside the A-roll, clear of its
+// neighbours and no longer than the clip left after its in-point (unless it loops)
+function dragInsertion(drag, deltaSec, insertions, duration, clipDuration) {
+  const { mode, index, original } = drag
+  const others = insertions.filter((_, i) => i !== index)
+  const prevEnd = Math.max(
+    0,
+    ...others
+      .filter((other) => other.start_sec <= original.start_sec)
+      .map((other) => other.start_sec + other.duration_sec)
+  )
+  const nextStart = Math.min(
+    duration,
+    ...others.filter((other) => other.start_sec > original.start_sec).map((other) => other.start_sec)
+  )
+  const maxLength = original.loop || !clipDuration ? Infinity : clipDuration - (original.source_in_sec || 0)
+  const originalEnd = original.start_sec + original.duration_sec
+
+  let start = original.start_sec
+  let end = originalEnd
+  if (mode === 'move') {
+    start = Math.min(Math.max(original.start_sec + deltaSec, prevEnd), nextStart - original.duration_sec)
+    end = start + original.duration_sec
+  } else if (mode === 'resize-start') {
+    start = Math.min(
+      Math.max(original.start_sec + deltaSec, prevEnd, originalEnd - maxLength),
+      originalEnd - MIN_INSERTION_SEC
+    )
+  } else {
+    end = Math.max(
+      Math.min(originalEnd + deltaSec, nextStart, original.start_sec + maxLength),
+      original.start_sec + MIN_INSERTION_SEC
+    )
+  }
+
+  return fitTransitions({ ...original, start_sec: round(start), duration_sec: round(end - start), edited: true })
+}
+
+function TimelineEditor({ plan, sources, onChange, onSave, saving, saveStatus }) {
+  const [currentTime, setCurrentTime] = useState(0)
+  const [selected, setSelected] = useState(null)
+  const [source, setSource] = useState(plan)
+  const trackRef = useRef(null)
+  const dragRef = useRef(null)
+
+  const duration = plan.aroll_duration_sec
+  const insertions = plan.insertions
+  // Older plans don't list their clips; fall back to the ids they use
+  const brolls = plan.b_rolls?.length
+    ? plan.b_rolls
+    : [...new Set(insertions.map((insertion) => insertion.broll_id))].map((id) => ({ id }))
+  const brollDurations = Object.fromEntries(brolls.map((broll) => [broll.id, broll.duration_sec]))
+  const brollSrcs = Object.fromEntries(
+    brolls.map((broll) => [
+      broll.id,
+      sources.brolls[broll.id] ||
+        broll.url ||
+        `http://localhost:4000/api/library/${encodeURIComponent(broll.id)}/file`,
+    ])
+  )
+  const arollSrc = sources.aroll || plan.a_roll?.url || null
+
+  // Another plan (a variant, version, re-plan or an edit made outside the
+  // editor) replaces the insertions, so the selected index no longer applies
+  if (source !== plan) {
+    setSource(plan)
+    setSelected(null)
+  }
+  const selectedInsertion = selected !== null ? insertions[selected] || null : null
+
+  const percent = (seconds) => `${(seconds / duration) * 100}%`
+
+  const handleTimeChange = useCallback((time) => setCurrentTime(time), [])
+
+  // Edits made here keep the selection
+  const emitChange = (next) => {
+    setSource(next)
+    onChange(next)
+  }
+
+  const updateInsertions = (next) => emitChange({ ...plan, insertions: next })
+
+  const updateInsertion = (index, changes) => {
+    updateInsertions(
+      insertions.map((insertion, i) => (i === index ? { ...insertion, ...changes, edited: true } : insertion))
+    )
+  }
+
+  const seekFromPointer = (event) => {
+    const rect = trackRef.current.getBoundingClientRect()
+    const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1)
+    setCurrentTime(ratio * duration)
+  }
+
+  const startDrag = (event, index, mode) => {
+    event.stopPropagation()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    setSelected(index)
+    dragRef.current = { mode, index, startX: event.clientX, original: insertions[index] }
+  }
+
+  const moveDrag = (event) => {
+    const drag = dragRef.current
+    if (!drag) return
+    const rect = trackRef.current.getBoundingClientRect()
+    const deltaSec = ((event.clientX - drag.startX) / rect.width) * duration
+    const moved = dragInsertion(drag, deltaSec, insertions, duration, brollDurations[drag.original.broll_id])
+    updateInsertions(insertions.map((insertion, i) => (i === drag.index ? moved : insertion)))
+  }
+
+  const endDrag = () => {
+    dragRef.current = null
+  }
+
+  const swapClip = (brollId) => {
+    if (selectedInsertion) emitChange(swapInsertionClip(plan, selected, brollId))
+  }
+
+  // Looping clips play from their start; otherwise the insertion has to end
+  // before the clip does
+  const toggleLoop = (loop) => {
+    if (!selectedInsertion) return
+    const clipDuration = brollDurations[selectedInsertion.broll_id]
+    if (loop) {
+      updateInsertion(selected, { loop, source_in_sec: 0 })
+      return
+    }
+    const changes = { loop }
+    const available = clipDuration ? clipDuration - (selectedInsertion.source_in_sec || 0) : Infinity
+    if (selectedInsertion.duration_sec > available) {
+      changes.duration_sec = round(available)
+    }
+    updateInsertion(selected, changes)
+  }
+
+  const setSourceIn = (value) => {
+    if (!selectedInsertion) return
+    const clipDuration = brollDurations[selectedInsertion.broll_id]
+    const maxSourceIn = clipDuration ? Math.max(clipDuration - selectedInsertion.duration_sec, 0) : Infinity
+    updateInsertion(selected, { source_in_sec: round(Math.min(Math.max(Number(value) || 0, 0), maxSourceIn)) })
+  }
+
+  const setTransition = (name, changes) => {
+    if (!selectedInsertion) return
+    const current = selectedInsertion[name] || { type: 'cut', duration_sec: 0 }
+    const next = { ...current, ...changes }
+    const maxDuration = round(selectedInsertion.duration_sec * MAX_TRANSITION_SHARE)
+    next.duration_sec =
+      next.type === 'cut' ? 0 : Math.min(Math.max(Number(next.duration_sec) || 0, 0), maxDuration)
+    if (next.type !== 'cut' && current.type === 'cut' && !changes.duration_sec) {
+      next.duration_sec = Math.min(0.5, maxDuration)
+    }
+    updateInsertion(selected, { [name]: next })
+  }
+
+  const transitionField = (name, label) => {
+    const transition = selectedInsertion[name] || { type: 'cut', duration_sec: 0 }
+    return (
+      <label>
+        {label}
+        <select value={transition.type} onChange={(e) => setTransition(name, { type: e.target.value })}>
+          {TRANSITION_OPTIONS.map((option) => (
+            <option key={option.type} value={option.type}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {transition.type !== 'cut' && (
+          <input
+            type="number"
+            step={0.1}
+            min={0}
+            max={round(selectedInsertion.duration_sec * MAX_TRANSITION_SHARE)}
+            value={transition.duration_sec}
+            onChange={(e) => setTransition(name, { duration_sec: e.target.value })}
+            title="Transition length in seconds"
+          />
+        )}
+      </label>
+    )
+  }
+
+  const deleteInsertion = () => {
+    if (!selectedInsertion) return
+    updateInsertions(insertions.filter((_, i) => i !== selected))
+    setSelected(null)
+  }
+
+  return (
+    <div className="timeline-editor">
+      <div className="timeline-editor-header">
+        <h2>Timeline Editor</h2>
+        <div className="timeline-save">
+          {saveStatus && <span className="save-status">{saveStatus}</span>}
+          <button onClick={onSave} disabled={saving} className="generate-btn">
+            {saving ? 'Saving...' : 'Save plan'}
+          </button>
+        </div>
+      </div>
+
+      <CompositePreview
+        arollSrc={arollSrc}
+        brollSrcs={brollSrcs}
+        insertions={insertions}
+        brollDurations={brollDurations}
+        currentTime={currentTime}
+        onTimeChange={handleTimeChange}
+      />
+
+      <div className="timeline">
+        {plan.audio_analysis && (
+          <div className="timeline-row">
+            <span className="track-label">Audio</span>
+            <div className="timeline-track" onPointerDown={seekFromPointer}>
+              <Waveform analysis={plan.audio_analysis} duration={duration} />
+              <div className="playhead" style={{ left: percent(currentTime) }} />
+            </div>
+          </div>
+        )}
+
+        <div className="timeline-row">
+          <span className="track-label">A-roll</span>
+          <div className="timeline-track" ref={trackRef} onPointerDown={seekFromPointer}>
+            {plan.transcript_segments.map((segment, index) => (
+              <div
+                key={index}
+                className="timeline-block transcript-block"
+                style={{
+                  left: percent(segment.start_sec),
+                  width: percent(segment.end_sec - segment.start_sec),
+                }}
+                title={segment.text}
+              >
+                {segment.text}
+              </div>
+            ))}
+            {(plan.aroll_cuts || []).map((cut, index) => (
+              <div
+                key={`cut-${index}`}
+                className={`cut-marker ${cut.type}`}
+                style={{ left: percent(cut.time_sec) }}
+                title={`${cut.type === 'jump' ? 'Jump' : 'Scene'} cut at ${cut.time_sec.toFixed(2)}s`}
+              />
+            ))}
+            <div className="playhead" style={{ left: percent(currentTime) }} />
+          </div>
+        </div>
+
+        <div className="timeline-row">
+          <span className="track-label">B-roll</span>
+          <div
+            className="timeline-track"
+            onPointerDown={seekFromPointer}
+            onPointerMove={moveDrag}
+            onPointerUp={endDrag}
+          >
+            {insertions.map((insertion, index) => (
+              <div
+                key={index}
+                className={`timeline-block insertion-block${selected === index ? ' selected' : ''}${insertion.pinned ? ' pinned' : ''}`}
+                style={{
+                  left: percent(insertion.start_sec),
+                  width: percent(insertion.duration_sec),
+                }}
+                onPointerDown={(e) => startDrag(e, index, 'move')}
+                title={`${insertion.broll_id} (${insertion.duration_sec}s)`}
+              >
+                <span
+                  className="resize-handle resize-start"
+                  onPointerDown={(e) => startDrag(e, index, 'resize-start')}
+                />
+                {insertion.broll_id}
+                {insertion.loop ? ' ↻' : ''}
+                <span
+                  className="resize-handle resize-end"
+                  onPointerDown={(e) => startDrag(e, index, 'resize-end')}
+                />
+              </div>
+            ))}
+            <div className="playhead" style={{ left: percent(currentTime) }} />
+          </div>
+        </div>
+      </div>
+
+      {selectedInsertion && (
+        <div className="insertion-inspector">
+          <label>
+            Clip
+            <select value={selectedInsertion.broll_id} onChange={(e) => swapClip(e.target.value)}>
+              {brolls.map((broll) => (
+                <option key={broll.id} value={broll.id}>
+                  {broll.id}
+                  {broll.duration_sec ? ` (${broll.duration_sec.toFixed(1)}s)` : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <span>
+            {selectedInsertion.start_sec.toFixed(2)}s, {selectedInsertion.duration_sec.toFixed(2)}s long
+          </span>
+          <label title="Where the insertion starts inside its clip">
+            Source in (s)
+            <input
+              type="number"
+              step={0.1}
+              min={0}
+              max={
+                brollDurations[selectedInsertion.broll_id]
+                  ? round(brollDurations[selectedInsertion.broll_id] - selectedInsertion.duration_sec)
+                  : undefined
+              }
+              value={selectedInsertion.source_in_sec ?? 0}
+              disabled={Boolean(selectedInsertion.loop)}
+              onChange={(e) => setSourceIn(e.target.value)}
+            />
+          </label>
+          {transitionField('transition_in', 'In')}
+          {transitionField('transition_out', 'Out')}
+          <label className="checkbox-field">
+            <input
+              type="checkbox"
+              checked={Boolean(selectedInsertion.loop)}
+              onChange={(e) => toggleLoop(e.target.checked)}
+            />
+            Loop
+          </label>
+          <label className="checkbox-field" title="Pinned insertions are kept when the plan is regenerated">
+            <input
+              type="checkbox"
+              checked={Boolean(selectedInsertion.pinned)}
+              onChange={(e) => updateInsertion(selected, { pinned: e.target.checked })}
+            />
+            Pin
+          </label>
+          <button onClick={deleteInsertion} className="cancel-btn">
+            Delete insertion
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TimelineEditor
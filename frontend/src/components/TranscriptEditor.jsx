@@ -0,0 +1,71 @@
+import { useState } from 'react'
+
+function TranscriptEditor({ segments, formatTime, onReplan, replanning }) {
+  const [source, setSource] = useState(segments)
+  const [texts, setTexts] = useState(() => segments.map((segment) => segment.text))
+
+  // Start over from the new transcript when a new plan arrives
+  if (source !== segments) {
+    setSource(segments)
+    setTexts(segments.map((segment) => segment.text))
+  }
+
+  const editedCount = texts.filter((text, index) => text !== segments[index].text).length
+  const hasEmpty = texts.some((text) => !text.trim())
+
+  const updateText = (index, text) => {
+    setTexts((current) => current.map((value, i) => (i === index ? text : value)))
+  }
+
+  const replan = () => {
+    onReplan(segments.map((segment, index) => ({ ...segment, text: texts[index].trim() })))
+  }
+
+  return (
+    <div className="transcript-section">
+      <div className="transcript-header">
+        <h2>Transcript</h2>
+        {editedCount > 0 && (
+          <div className="transcript-actions">
+            <span className="save-status">
+              {editedCount} edited segment{editedCount === 1 ? '' : 's'}
+            </span>
+            <button
+              onClick={() => setTexts(segments.map((segment) => segment.text))}
+              disabled={replanning}
+              className="cancel-btn"
+            >
+              Discard edits
+            </button>
+            <button onClick={replan} disabled={replanning || hasEmpty} className="generate-btn">
+              {replanning ? 'Re-planning...' : 'Re-plan from edited text'}
+            </button>
+          </div>
+        )}
+      </div>
+      <p className="upload-help">
+        Correct transcription mistakes below, then re-plan. Only the matching runs again.
+      </p>
+      <div className="transcript-list">
+        {segments.map((segment, index) => (
+          <div
+            key={index}
+            className={`transcript-item${texts[index] !== segment.text ? ' edited' : ''}`}
+          >
+            <span className="timestamp">
+              {formatTime(segment.start_sec)} - {formatTime(segment.end_sec)}
+            </span>
+            <textarea
+              className="text"
+              value={texts[index]}
+              rows={Math.max(1, Math.ceil(texts[index].length / 80))}
+              onChange={(e) => updateText(index, e.target.value)}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TranscriptEditor
@@ -0,0 +1,62 @@
+// Plan variants side by side: summary stats and a strip showing where each
+// variant's insertions fall, so editors can compare edits and pick one
+function VariantPicker({ variants, selected, duration, onChoose }) {
+  return (
+    <div className="variants-section">
+      <h2>Plan Variants</h2>
+      <div className="variant-grid">
+        {variants.map((variant) => {
+          const { summary } = variant
+          const isSelected = variant.id === selected
+          return (
+            <div key={variant.id} className={`variant-card${isSelected ? ' selected' : ''}`}>
+              <div className="variant-header">
+                <strong>Variant {variant.id}</strong>
+                {variant.edited && <span className="variant-edited">edited</span>}
+              </div>
+
+              <div className="variant-strip">
+                {variant.insertions.map((insertion, index) => (
+                  <div
+                    key={index}
+                    className="variant-strip-clip"
+                    style={{
+                      left: `${(insertion.start_sec / duration) * 100}%`,
+                      width: `${(insertion.duration_sec / duration) * 100}%`,
+                    }}
+                    title={`${insertion.broll_id} at ${insertion.start_sec}s`}
+                  />
+                ))}
+              </div>
+
+              <dl className="variant-stats">
+                <dt>Insertions</dt>
+                <dd>{summary.insertion_count}</dd>
+                <dt>Coverage</dt>
+                <dd>{Math.round(summary.coverage_ratio * 100)}%</dd>
+                <dt>Avg. confidence</dt>
+                <dd>
+                  {summary.average_confidence === null
+                    ? '-'
+                    : `${(summary.average_confidence * 100).toFixed(1)}%`}
+                </dd>
+                <dt>Clips</dt>
+                <dd>{summary.clips_used.join(', ') || 'none'}</dd>
+              </dl>
+
+              <button
+                className="generate-btn secondary"
+                disabled={isSelected}
+                onClick={() => onChoose(variant.id)}
+              >
+                {isSelected ? 'In use' : 'Use this variant'}
+              </button>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default VariantPicker
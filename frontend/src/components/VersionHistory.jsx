@@ -0,0 +1,127 @@
+import { useState } from 'react'
+
+const SOURCE_LABELS = { generated: 'Generated', edited: 'Edited', restored: 'Restored' }
+
+// Short description of an insertion for the diff list
+const describe = (insertion, formatTime) =>
+  `${insertion.broll_id} at ${formatTime(insertion.start_sec)} (${insertion.duration_sec.toFixed(1)}s)`
+
+// A project's plan history: open any version in the editor, compare it with
+// the latest one, or restore it as a new latest version
+function VersionHistory({ project, viewedVersion, onView, onRestore, formatTime }) {
+  const [diff, setDiff] = useState(null)
+  const [error, setError] = useState(null)
+  const latest = project.versions[project.versions.length - 1].version
+
+  const compare = async (version) => {
+    setError(null)
+    try {
+      const response = await fetch(
+        `http://localhost:4000/api/projects/${project.id}/diff?from=${version}&to=${latest}`
+      )
+      const body = await response.json().catch(() => ({}))
+      if (!response.ok) throw new Error(body.error || response.statusText)
+      setDiff(body)
+    } catch (err) {
+      setError(`Failed to compare versions: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className="history-section">
+      <h2>Version History: {project.name}</h2>
+      <ul className="version-list">
+        {[...project.versions].reverse().map((version) => (
+          <li
+            key={version.version}
+            className={`version-item${version.version === viewedVersion ? ' selected' : ''}`}
+          >
+            <div className="version-info">
+              <strong>v{version.version}</strong>
+              <span className={`version-source ${version.source}`}>
+                {SOURCE_LABELS[version.source]}
+                {version.restored_from && ` from v${version.restored_from}`}
+              </span>
+              <span>
+                {version.insertion_count} insertions ·{' '}
+                {new Date(version.created_at).toLocaleString()}
+              </span>
+              {version.note && <span className="version-note">{version.note}</span>}
+            </div>
+            <div className="version-actions">
+              <button
+                className="generate-btn secondary"
+                disabled={version.version === viewedVersion}
+                onClick={() => onView(version.version)}
+              >
+                {version.version === viewedVersion ? 'Viewing' : 'View'}
+              </button>
+              {version.version !== latest && (
+                <>
+                  <button className="generate-btn secondary" onClick={() => compare(version.version)}>
+                    Compare with v{latest}
+                  </button>
+                  <button className="generate-btn secondary" onClick={() => onRestore(version.version)}>
+                    Restore
+                  </button>
+                </>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {error && <p className="version-error">{error}</p>}
+
+      {diff && (
+        <div className="version-diff">
+          <div className="version-diff-header">
+            <strong>
+              v{diff.from.version} → v{diff.to.version}
+            </strong>
+            <span>{diff.insertions.unchanged_count} insertions unchanged</span>
+            <button className="generate-btn secondary" onClick={() => setDiff(null)}>
+              Close
+            </button>
+          </div>
+          {diff.insertions.added.length +
+            diff.insertions.removed.length +
+            diff.insertions.changed.length +
+            diff.transcript.length +
+            Object.keys(diff.settings).length ===
+            0 && <p className="upload-help">The two versions are identical.</p>}
+          <ul>
+            {diff.insertions.added.map((insertion, index) => (
+              <li key={`added-${index}`} className="diff-added">
+                + {describe(insertion, formatTime)}
+              </li>
+            ))}
+            {diff.insertions.removed.map((insertion, index) => (
+              <li key={`removed-${index}`} className="diff-removed">
+                − {describe(insertion, formatTime)}
+              </li>
+            ))}
+            {diff.insertions.changed.map((change, index) => (
+              <li key={`changed-${index}`} className="diff-changed">
+                ~ {describe(change.from, formatTime)} → {describe(change.to, formatTime)} (
+                {change.changes.join(', ')})
+              </li>
+            ))}
+            {diff.transcript.map((change) => (
+              <li key={`transcript-${change.index}`} className="diff-changed">
+                Transcript segment {change.index + 1}: “{change.from ?? ''}” → “{change.to ?? ''}”
+              </li>
+            ))}
+            {Object.entries(diff.settings).map(([key, change]) => (
+              <li key={`setting-${key}`} className="diff-changed">
+                {key}: {change.from ?? 'none'} → {change.to ?? 'none'}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default VersionHistory
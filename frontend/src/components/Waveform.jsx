@@ -0,0 +1,38 @@
+// Loudness envelope of the A-roll, mirrored around the middle, with the
+// detected pauses shaded. Drawn in seconds so it lines up with the tracks.
+function Waveform({ analysis, duration }) {
+  const { waveform, resolution_sec: resolution, silences } = analysis
+
+  const top = waveform.map((level, index) => `L${index * resolution},${0.5 - level / 2}`)
+  const bottom = waveform
+    .map((level, index) => `L${index * resolution},${0.5 + level / 2}`)
+    .reverse()
+  const path = `M0,0.5 ${top.join(' ')} ${bottom.join(' ')} Z`
+
+  return (
+    <svg
+      className="waveform"
+      viewBox={`0 0 ${duration} 1`}
+      preserveAspectRatio="none"
+      aria-label="A-roll waveform"
+    >
+      {silences.map((silence, index) => (
+        <rect
+          key={index}
+          className="waveform-pause"
+          x={silence.start_sec}
+          y={0}
+          width={silence.end_sec - silence.start_sec}
+          height={1}
+        >
+          <title>
+            Pause {silence.start_sec.toFixed(2)}s - {silence.end_sec.toFixed(2)}s
+          </title>
+        </rect>
+      ))}
+      <path className="waveform-level" d={path} />
+    </svg>
+  )
+}
+
+export default Waveform
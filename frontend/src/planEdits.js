@@ -0,0 +1,48 @@
+// Edits to a plan's insertions shared by the timeline editor and the insertion list
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Replace the clip of an insertion. A clip listed in the insertion's
+// alternatives takes over its score; the replaced clip becomes an alternative
+// so the change can be undone with one click.
+export function swapInsertionClip(plan, index, brollId) {
+  const insertion = plan.insertions[index]
+  if (insertion.broll_id === brollId) return plan
+
+  const clipDuration = plan.b_rolls?.find((broll) => broll.id === brollId)?.duration_sec
+  const alternatives = insertion.alternatives || []
+  const picked = alternatives.find((alt) => alt.broll_id === brollId)
+  const previous =
+    insertion.confidence === null || insertion.confidence === undefined
+      ? null
+      : { broll_id: insertion.broll_id, score: insertion.confidence, keywords: insertion.keywords || [] }
+
+  const swapped = {
+    ...insertion,
+    broll_id: brollId,
+    confidence: picked ? picked.score : null,
+    keywords: picked ? picked.keywords : [],
+    reason: picked
+      ? `${brollId} picked from the alternatives (score ${picked.score.toFixed(2)}).`
+      : 'Manually selected clip',
+    // The planner's breakdown described the replaced clip
+    score_breakdown: null,
+    alternatives: [...alternatives.filter((alt) => alt.broll_id !== brollId), ...(previous ? [previous] : [])].sort(
+      (a, b) => b.score - a.score
+    ),
+    edited: true,
+  }
+  // A shorter clip trims the insertion rather than silently looping it, and
+  // the in-point moves back so the insertion still ends inside the clip
+  if (clipDuration && !insertion.loop && insertion.duration_sec > clipDuration) {
+    swapped.duration_sec = round(clipDuration)
+  }
+  if (clipDuration && (insertion.source_in_sec || 0) + swapped.duration_sec > clipDuration) {
+    swapped.source_in_sec = round(Math.max(clipDuration - swapped.duration_sec, 0))
+  }
+
+  return {
+    ...plan,
+    insertions: plan.insertions.map((current, i) => (i === index ? swapped : current)),
+  }
+}
@@ -0,0 +1,54 @@
+// Number options shown in the settings panel. Coverage is entered in percent
+// and sent as a 0-1 'target_coverage'.
+export const PLANNER_NUMBER_FIELDS = [
+  { name: 'min_insertion_gap', label: 'Gap between insertions (s)', step: 0.5, min: 0 },
+  { name: 'min_insertion_duration', label: 'Min duration (s)', step: 0.5, min: 0.5 },
+  { name: 'max_insertion_duration', label: 'Max duration (s)', step: 0.5, min: 0.5 },
+  { name: 'max_insertions', label: 'Max insertions', step: 1, min: 0 },
+  { name: 'min_confidence', label: 'Min confidence', step: 0.05, min: -1, max: 1 },
+  { name: 'target_coverage', label: 'Cover % of runtime', step: 5, min: 1, max: 100, percent: true },
+]
+
+// Transitions the planner can put on insertions; duration is ignored for cuts
+export const TRANSITION_OPTIONS = [
+  { type: 'cut', label: 'Hard cut' },
+  { type: 'crossfade', label: 'Crossfade' },
+  { type: 'dip', label: 'Dip to black' },
+]
+
+// Planner request fields for the settings: { preset, strategy, scoring,
+// variants, transition, options, constraints } where options only holds the
+// fields the user filled in. Insertions pinned in 'plan' are kept with their
+// in-points and transitions, so only pass the plan when re-planning its A-roll.
+export function plannerRequestFields(settings, plan) {
+  const options = {}
+  for (const field of PLANNER_NUMBER_FIELDS) {
+    const value = settings.options[field.name]
+    if (value === undefined || value === '') continue
+    options[field.name] = field.percent ? Number(value) / 100 : Number(value)
+  }
+  return {
+    preset: settings.preset,
+    strategy: settings.strategy,
+    scoring: settings.scoring,
+    variants: settings.variants,
+    transition: {
+      type: settings.transition.type,
+      duration_sec: Number(settings.transition.duration_sec) || 0,
+    },
+    options,
+    constraints: {
+      pinned: (plan?.insertions || [])
+        .filter((insertion) => insertion.pinned)
+        .map(({ start_sec, duration_sec, broll_id, loop, source_in_sec, transition_in, transition_out }) => ({
+          start_sec,
+          duration_sec,
+          broll_id,
+          loop: Boolean(loop),
+          source_in_sec,
+          transition_in,
+          transition_out,
+        })),
+    },
+  }
+}